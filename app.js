@@ -0,0 +1,2490 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { createStorage } = require('./lib/storage');
+const { splitGst, validatePackageInput, sortPackages, publicPackage } = require('./lib/packages');
+const { ROLES, roleRank, isValidRole, hashPassword, createAdminAuth, publicAdmin } = require('./lib/auth');
+const { renderEmail, listTemplates, sampleData } = require('./lib/email/templates');
+const { escapeHtml } = require('./lib/email/html');
+const { CUSTOMER_SCHEMA, ENQUIRY_SCHEMA, INVESTMENT_RANGES, validate, hasErrors, sendValidationError } = require('./lib/validation');
+const {
+    LEAD_TRANSITIONS,
+    canTransitionLead,
+    isLeadStatus,
+    activityEntry,
+    createLead,
+    transitionLead,
+    validateLeadUpdate,
+    filterLeads
+} = require('./lib/leads');
+const { createApplicantRegistry, orderSummary, buildApplicantTimeline } = require('./lib/applicants');
+const { parseListQuery, inDateRange, matchesSearch, sortItems, paginate } = require('./lib/listQuery');
+const { PAYMENT_COLUMNS, ENQUIRY_COLUMNS, EXPORT_FORMATS, selectColumns, sendExport } = require('./lib/export');
+const { buildDashboardStats } = require('./lib/stats');
+const {
+    REFUND_STATUS,
+    REFUND_REASONS,
+    generateRefundId,
+    refundableAmount,
+    validateRefundRequest,
+    addRefund,
+    settleRefund
+} = require('./lib/refunds');
+const { createEmailTransport } = require('./lib/email/transports');
+const { EMAIL_STATUS, createEmailOutbox, summarizeEmail, describeAttachments } = require('./lib/email/outbox');
+const { INDIAN_STATES } = require('./lib/gst');
+const { INVOICEABLE_STATUSES, createInvoiceRegistry, invoiceToken, verifyInvoiceToken } = require('./lib/invoices');
+const { renderInvoicePdf } = require('./lib/invoicePdf');
+const { GATEWAY_NAMES, hasGatewayCredentials, orderGateway, createPaymentGateways } = require('./lib/gateways');
+const { createLogger, requestLogger, currentRequestId } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { CHECK_STATUS, createHealthChecks } = require('./lib/health');
+const { cspNonce, securityHeaders, parseOrigins, corsOptions, createRateLimiter, parseTrustProxy } = require('./lib/security');
+const {
+    SPAM_REASONS,
+    SPAM_MESSAGES,
+    createFormTokens,
+    checkSubmission,
+    parseDomainList,
+    isDisposableEmail
+} = require('./lib/antiSpam');
+const {
+    PAYMENT_STATUS,
+    PaymentStateError,
+    canTransition,
+    createStatusHistory,
+    transitionPayment,
+    publicStatusHistory,
+    isExpired,
+    isTestOrder
+} = require('./lib/paymentState');
+
+// ============ LOGGING CONFIGURATION ============
+// LOG_LEVEL: debug, info (default), warn, error or silent. LOG_FORMAT: json (one
+// object per line, the default in production) or pretty. LOG_FILE appends to a
+// file instead of stdout.
+const LOG_CONFIG = {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    file: process.env.LOG_FILE
+};
+
+const logger = createLogger(LOG_CONFIG);
+
+// ============ MONITORING CONFIGURATION ============
+// METRICS_TOKEN, when set, must be sent as a Bearer token to read /metrics and
+// the full readiness details. Unset, /metrics is open to anyone - except in
+// production, where it is refused until a token is configured.
+// The readiness probe gives each dependency HEALTH_CHECK_TIMEOUT_MS to answer
+// and reuses an SMTP check for HEALTH_EMAIL_CACHE_SECONDS, so frequent probes
+// don't open a mail connection every time.
+const MONITORING_CONFIG = {
+    metricsToken: process.env.METRICS_TOKEN,
+    production: process.env.NODE_ENV === 'production',
+    checkTimeoutMs: Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+    emailCheckCacheMs: (Number(process.env.HEALTH_EMAIL_CACHE_SECONDS) || 60) * 1000
+};
+
+const metrics = createMetrics({ collectDefaults: true });
+
+if (!MONITORING_CONFIG.metricsToken) {
+    logger.warn(MONITORING_CONFIG.production
+        ? 'METRICS_TOKEN not set - /metrics is disabled'
+        : 'METRICS_TOKEN not set - /metrics is open to anyone');
+}
+
+// ============ SECURITY CONFIGURATION ============
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser
+// (defaults to BASE_URL's; "*" allows any). Rate limits count requests per IP
+// over RATE_LIMIT_WINDOW_MINUTES: every /api route shares RATE_LIMIT_MAX,
+// payment requests and enquiries have their own tighter limits, gateway webhooks
+// have their own looser one, and only failed admin logins count. RATE_LIMIT_ENABLED=false turns them all off. TRUST_PROXY
+// must be set behind a load balancer so limits apply to clients, not the proxy.
+const SECURITY_CONFIG = {
+    corsOrigins: parseOrigins(process.env.CORS_ORIGINS || process.env.BASE_URL || 'http://localhost:3000'),
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        windowMs: (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+        api: Number(process.env.RATE_LIMIT_MAX) || 300,
+        payment: Number(process.env.RATE_LIMIT_PAYMENT_MAX) || 10,
+        enquiry: Number(process.env.RATE_LIMIT_ENQUIRY_MAX) || 5,
+        login: Number(process.env.RATE_LIMIT_LOGIN_MAX) || 10,
+        webhook: Number(process.env.RATE_LIMIT_WEBHOOK_MAX) || 1000
+    },
+    // Gateway webhooks are a few kB; anything bigger is refused before it is parsed
+    webhookBodyLimit: process.env.WEBHOOK_BODY_LIMIT || '100kb'
+};
+
+function rateLimiter(limit, options = {}) {
+    const { enabled, windowMs } = SECURITY_CONFIG.rateLimit;
+    return createRateLimiter({ enabled, windowMs, limit, ...options });
+}
+
+const rateLimits = {
+    // Gateways retry webhooks from a few addresses, so they are counted apart
+    // from the rest of the API under a higher limit
+    api: rateLimiter(SECURITY_CONFIG.rateLimit.api, { skip: req => req.path.startsWith('/webhook') }),
+    payment: rateLimiter(SECURITY_CONFIG.rateLimit.payment),
+    enquiry: rateLimiter(SECURITY_CONFIG.rateLimit.enquiry),
+    login: rateLimiter(SECURITY_CONFIG.rateLimit.login, { skipSuccessfulRequests: true }),
+    webhook: rateLimiter(SECURITY_CONFIG.rateLimit.webhook)
+};
+
+const app = express();
+app.set('trust proxy', SECURITY_CONFIG.trustProxy);
+
+// Middleware
+// Request ids come first so every later log entry for the request carries one
+app.use(requestLogger(logger, { quietPaths: ['/metrics', '/health/live', '/health/ready'] }));
+app.use(metrics.requestMetrics());
+
+app.use(cspNonce());
+app.use(securityHeaders({ production: process.env.NODE_ENV === 'production' }));
+
+const CORS_OPTIONS = corsOptions(SECURITY_CONFIG.corsOrigins);
+app.use(cors(CORS_OPTIONS));
+app.options('*', cors(CORS_OPTIONS));
+
+app.use('/api', rateLimits.api);
+// Webhook bodies are parsed here, with the small limit, so the parsers below skip them.
+// Razorpay signs the exact bytes it sent, so they are kept as received.
+app.use(['/api/webhook', '/api/webhooks'],
+    rateLimits.webhook,
+    bodyParser.json({
+        limit: SECURITY_CONFIG.webhookBodyLimit,
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }),
+    bodyParser.urlencoded({ extended: true, limit: SECURITY_CONFIG.webhookBodyLimit }));
+app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+// Only public/ is served (after the page routes below), so source, config and
+// data files never are
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// ============ PAYMENT GATEWAY CONFIGURATION ============
+// PAYMENT_GATEWAY picks the default provider; packages can be pinned to another
+// configured one. Test mode (TEST_MODE=true, or no credentials for the default
+// provider) sends every payment through the mock gateway instead.
+const PAYMENT_CONFIG = {
+    gateway: (process.env.PAYMENT_GATEWAY || 'instamojo').toLowerCase(),
+    instamojo: {
+        apiKey: process.env.INSTAMOJO_API_KEY,
+        authToken: process.env.INSTAMOJO_AUTH_TOKEN,
+        salt: process.env.INSTAMOJO_SALT,
+        // Fix: Use v1.1 API for standard Instamojo accounts
+        apiUrl: process.env.INSTAMOJO_API_URL || 'https://api.instamojo.com/v2/',
+        webhookUrl: process.env.WEBHOOK_URL
+    },
+    razorpay: {
+        keyId: process.env.RAZORPAY_KEY_ID,
+        keySecret: process.env.RAZORPAY_KEY_SECRET,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+        apiUrl: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1/'
+    }
+};
+PAYMENT_CONFIG.testMode = process.env.TEST_MODE === 'true' || !hasGatewayCredentials(PAYMENT_CONFIG.gateway, PAYMENT_CONFIG);
+// Signs the /test-payment simulator's webhooks; the Instamojo salt is used when set
+PAYMENT_CONFIG.mock = {
+    webhookSalt: PAYMENT_CONFIG.instamojo.salt || process.env.TEST_WEBHOOK_SALT || crypto.randomBytes(16).toString('hex')
+};
+
+logger.info('Payment gateway configuration', {
+    defaultGateway: PAYMENT_CONFIG.gateway,
+    instamojo: hasGatewayCredentials('instamojo', PAYMENT_CONFIG),
+    instamojoSaltSet: Boolean(PAYMENT_CONFIG.instamojo.salt),
+    instamojoApiUrl: PAYMENT_CONFIG.instamojo.apiUrl,
+    razorpay: hasGatewayCredentials('razorpay', PAYMENT_CONFIG),
+    testMode: PAYMENT_CONFIG.testMode
+});
+
+if (PAYMENT_CONFIG.testMode) {
+    logger.warn('Running in test mode - no real payments will be processed; add gateway credentials to .env to enable them');
+} else {
+    if (hasGatewayCredentials('instamojo', PAYMENT_CONFIG) && !PAYMENT_CONFIG.instamojo.salt) {
+        logger.error('INSTAMOJO_SALT missing - every Instamojo webhook will be rejected until it is set');
+    }
+    if (hasGatewayCredentials('razorpay', PAYMENT_CONFIG) && !PAYMENT_CONFIG.razorpay.webhookSecret) {
+        logger.error('RAZORPAY_WEBHOOK_SECRET missing - every Razorpay webhook will be rejected until it is set');
+    }
+}
+
+// Public URL of this server, used for gateway redirects, webhooks and links in emails
+const BASE_URL = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Unpaid payment requests are expired after this long (matches the "valid for 24 hours" email copy)
+const PAYMENT_EXPIRY_MS = (Number(process.env.PAYMENT_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+const EXPIRY_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Webhook events are deleted from the event log after this long (by the same sweep)
+const WEBHOOK_RETENTION_MS = (Number(process.env.WEBHOOK_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+
+// Email Configuration
+// EMAIL_TRANSPORT picks how mail is delivered: gmail (default when Gmail credentials
+// are set), smtp, file (writes JSON files, for offline testing) or none
+const EMAIL_CONFIG = {
+    transport: process.env.EMAIL_TRANSPORT || (process.env.EMAIL_USER && process.env.EMAIL_APP_PASSWORD ? 'gmail' : 'none'),
+    user: process.env.EMAIL_USER,
+    password: process.env.EMAIL_APP_PASSWORD,
+    from: process.env.EMAIL_FROM || `"Zudio Franchise" <${process.env.EMAIL_USER || 'franchise@zudio.com'}>`,
+    // Recipient of admin notifications
+    adminAddress: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+    },
+    fileDir: process.env.EMAIL_FILE_DIR || path.join(__dirname, 'data', 'mail'),
+    maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+    retryBaseMs: (Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 30) * 1000,
+    // Delivered emails keep their bodies this long; the record and its log stay
+    retentionMs: (Number(process.env.EMAIL_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000
+};
+
+const emailTransport = createEmailTransport(EMAIL_CONFIG);
+
+// Verify email configuration
+if (emailTransport) {
+    emailTransport.verify()
+        .then(() => logger.info('Email transport ready', { transport: emailTransport.name }))
+        .catch(error => logger.error('Email configuration error', { transport: emailTransport.name, error }));
+} else {
+    logger.warn('Email not configured (optional for testing)');
+}
+
+// ============ STORAGE CONFIGURATION ============
+const STORAGE_CONFIG = {
+    driver: process.env.STORAGE_DRIVER || 'file',
+    file: process.env.STORAGE_FILE || path.join(__dirname, 'data', 'zudio.json')
+};
+
+const storage = createStorage({ ...STORAGE_CONFIG, logger });
+const paymentStore = storage.collection('payments', { indexes: ['paymentRequestId', 'paymentId'] });
+const enquiryStore = storage.collection('enquiries');
+const adminStore = storage.collection('admins');
+const webhookEventStore = storage.collection('webhookEvents', { indexes: ['dedupeKey', 'orderId'] });
+const packageStore = storage.collection('packages');
+const emailOutboxStore = storage.collection('emailOutbox', { indexes: ['status'] });
+const applicantStore = storage.collection('applicants', { indexes: ['email', 'phone'] });
+const invoiceStore = storage.collection('invoices', { indexes: ['orderId', 'series'] });
+
+const applicants = createApplicantRegistry({ store: applicantStore, logger });
+
+const gateways = createPaymentGateways({
+    ...PAYMENT_CONFIG,
+    logger,
+    metrics,
+    mock: {
+        ...PAYMENT_CONFIG.mock,
+        baseUrl: BASE_URL,
+        findOrder: paymentRequestId => paymentStore.findOneBy('paymentRequestId', paymentRequestId)
+    }
+});
+
+const emailOutbox = emailTransport && createEmailOutbox({
+    store: emailOutboxStore,
+    transport: emailTransport,
+    from: EMAIL_CONFIG.from,
+    maxAttempts: EMAIL_CONFIG.maxAttempts,
+    baseDelayMs: EMAIL_CONFIG.retryBaseMs,
+    retentionMs: EMAIL_CONFIG.retentionMs,
+    loadAttachment: loadEmailAttachment,
+    logger,
+    metrics
+});
+
+// Storage failing makes the app not ready; email only degrades it, because
+// the outbox keeps messages and retries once the mail server is back
+const healthChecks = createHealthChecks({
+    checks: {
+        storage: { probe: () => storage.check(), critical: true },
+        email: emailTransport && {
+            probe: () => emailTransport.verify().then(() => ({ transport: emailTransport.name })),
+            critical: false,
+            cacheMs: MONITORING_CONFIG.emailCheckCacheMs
+        }
+    },
+    timeoutMs: MONITORING_CONFIG.checkTimeoutMs,
+    onResult: metrics.recordHealthCheck
+});
+
+// ============ ADMIN AUTH CONFIGURATION ============
+const ADMIN_CONFIG = {
+    tokenSecret: process.env.ADMIN_TOKEN_SECRET,
+    tokenTtlHours: Number(process.env.ADMIN_TOKEN_TTL_HOURS) || 12,
+    linkTtlHours: Number(process.env.ADMIN_LINK_TTL_HOURS) || 72,
+    bootstrapUsername: process.env.ADMIN_USERNAME,
+    bootstrapPassword: process.env.ADMIN_PASSWORD
+};
+
+if (!ADMIN_CONFIG.tokenSecret) {
+    // Tokens signed with a random secret stop working when the server restarts
+    ADMIN_CONFIG.tokenSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('ADMIN_TOKEN_SECRET not set - admin sessions will not survive a restart');
+}
+
+const adminAuth = createAdminAuth({
+    store: adminStore,
+    secret: ADMIN_CONFIG.tokenSecret,
+    tokenTtlHours: ADMIN_CONFIG.tokenTtlHours,
+    linkTtlHours: ADMIN_CONFIG.linkTtlHours
+});
+
+// ============ SPAM PROTECTION CONFIGURATION ============
+// The landing pages are rendered with a form token (signed with the admin token
+// secret) that the enquiry and payment forms send back. A token is accepted once,
+// from FORM_MIN_FILL_SECONDS after the page was served until FORM_TOKEN_TTL_MINUTES.
+// A second enquiry, or a second payment while one is still pending, from the
+// same email or phone within DUPLICATE_WINDOW_MINUTES is refused.
+// SPAM_PROTECTION_ENABLED=false turns off the token and duplicate checks (for
+// scripted clients); the honeypot and BLOCKED_EMAIL_DOMAINS (added to the
+// built-in disposable domain list) always apply.
+const SPAM_CONFIG = {
+    enabled: process.env.SPAM_PROTECTION_ENABLED !== 'false',
+    minFillMs: (Number(process.env.FORM_MIN_FILL_SECONDS) || 3) * 1000,
+    tokenTtlMs: (Number(process.env.FORM_TOKEN_TTL_MINUTES) || 30) * 60 * 1000,
+    duplicateWindowMs: (Number(process.env.DUPLICATE_WINDOW_MINUTES) || 30) * 60 * 1000,
+    blockedEmailDomains: parseDomainList(process.env.BLOCKED_EMAIL_DOMAINS)
+};
+
+const formTokens = createFormTokens({
+    secret: ADMIN_CONFIG.tokenSecret,
+    minFillMs: SPAM_CONFIG.minFillMs,
+    ttlMs: SPAM_CONFIG.tokenTtlMs
+});
+
+// ============ INVOICE CONFIGURATION ============
+const INVOICE_CONFIG = {
+    prefix: process.env.INVOICE_PREFIX || 'ZF',
+    // SAC 997334: licensing services for the right to use trademarks and franchises
+    sac: process.env.INVOICE_SAC || '997334',
+    seller: {
+        name: process.env.INVOICE_SELLER_NAME || 'Trent Limited (Zudio)',
+        gstin: process.env.INVOICE_SELLER_GSTIN || null,
+        address: process.env.INVOICE_SELLER_ADDRESS || 'Bombay House, 24 Homi Mody Street, Fort, Mumbai 400001',
+        state: process.env.INVOICE_SELLER_STATE || 'Maharashtra'
+    }
+};
+
+if (!INDIAN_STATES[INVOICE_CONFIG.seller.state]) {
+    throw new Error(`INVOICE_SELLER_STATE "${INVOICE_CONFIG.seller.state}" is not an Indian state or union territory name`);
+}
+if (!INVOICE_CONFIG.seller.gstin) {
+    logger.warn('INVOICE_SELLER_GSTIN not set - invoices will be issued without a GSTIN');
+}
+
+const invoices = createInvoiceRegistry({
+    store: invoiceStore,
+    seller: INVOICE_CONFIG.seller,
+    sac: INVOICE_CONFIG.sac,
+    prefix: INVOICE_CONFIG.prefix,
+    logger
+});
+
+// Create the first superadmin from .env when no admin accounts exist yet
+async function ensureBootstrapAdmin() {
+    if (await adminStore.count() > 0) {
+        return;
+    }
+    if (!ADMIN_CONFIG.bootstrapUsername || !ADMIN_CONFIG.bootstrapPassword) {
+        logger.warn('No admin accounts - set ADMIN_USERNAME and ADMIN_PASSWORD to create a superadmin');
+        return;
+    }
+    await adminAuth.createAdmin({
+        username: ADMIN_CONFIG.bootstrapUsername,
+        password: ADMIN_CONFIG.bootstrapPassword,
+        role: 'superadmin'
+    });
+    logger.info('Created superadmin', { username: ADMIN_CONFIG.bootstrapUsername });
+}
+
+// ============ UTILITY FUNCTIONS ============
+function generateOrderId() {
+    return 'ZUDIO_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function generateWebhookEventId() {
+    return 'WH_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Queues the email in the outbox; delivery (and retrying) happens in the background.
+// attachments: [{ filename, contentType, content (base64), source }] - see lib/email/outbox.js
+async function sendEmail(to, { subject, html, text }, template, attachments) {
+    if (!emailOutbox) {
+        logger.warn('Email not configured - skipping email', { to, template });
+        return null;
+    }
+
+    try {
+        return await emailOutbox.enqueue({ to, subject, html, text, template, attachments });
+    } catch (error) {
+        logger.error('Email queue error', { to, template, error });
+        return null;
+    }
+}
+
+function emailContext() {
+    return { baseUrl: BASE_URL, testMode: PAYMENT_CONFIG.testMode };
+}
+
+function sendTemplatedEmail(to, templateName, data, attachments) {
+    return sendEmail(to, renderEmail(templateName, data, emailContext()), templateName, attachments);
+}
+
+// ============ INVOICES ============
+function invoiceUrl(orderId) {
+    return `${BASE_URL}/api/orders/${encodeURIComponent(orderId)}/invoice?token=${invoiceToken(orderId, ADMIN_CONFIG.tokenSecret)}`;
+}
+
+function invoiceFilename(invoice) {
+    return `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+}
+
+// Issues (or fetches) the order's invoice and renders its PDF. Records the
+// invoice number on the order the first time.
+async function invoiceWithPdf(order) {
+    const invoice = await invoices.issueInvoice(order);
+    if (order.invoiceNumber !== invoice.invoiceNumber) {
+        await paymentStore.update(order.orderId, { invoiceNumber: invoice.invoiceNumber });
+    }
+    return { invoice, pdf: await renderInvoicePdf(invoice) };
+}
+
+// The outbox drops attachments once an email is delivered; a resent payment
+// email gets the order's invoice PDF rendered again
+async function loadEmailAttachment({ source }) {
+    const invoice = source.type === 'invoice' ? await invoices.findInvoice(source.orderId) : null;
+    return invoice ? (await renderInvoicePdf(invoice)).toString('base64') : null;
+}
+
+// ============ PAYMENT GATEWAYS ============
+// Where the gateway sends the applicant back to, and where it posts webhooks
+function gatewayCallbackUrls(gateway) {
+    return {
+        redirectUrl: process.env.REDIRECT_URL || `${BASE_URL}/payment-success`,
+        webhookUrl: `${BASE_URL}/api/webhooks/${gateway.name}`
+    };
+}
+
+// /api/webhook predates per-gateway webhook URLs and is still Instamojo's (or,
+// in test mode, the simulator's)
+function legacyWebhookGateway() {
+    return gateways.get(PAYMENT_CONFIG.testMode ? 'mock' : 'instamojo');
+}
+
+// ============ PAYMENT STATUS CHANGES ============
+// The webhook, the success redirect and the test confirm endpoint can all try
+// to update the same order at once. Changes to one order run one at a time and
+// always start from a fresh read, so the state machine sees the latest status.
+const orderLocks = new Map();
+
+function withOrderLock(orderId, task) {
+    const previous = orderLocks.get(orderId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    orderLocks.set(orderId, run);
+    run.catch(() => {}).finally(() => {
+        if (orderLocks.get(orderId) === run) {
+            orderLocks.delete(orderId);
+        }
+    });
+    return run;
+}
+
+// Shared by gateway webhooks, the success redirect and the test-mode
+// confirm endpoint so all of them record the payment and send the same emails.
+function completePayment(orderId, paymentId, source) {
+    return withOrderLock(orderId, () => recordCompletedPayment(orderId, paymentId, source));
+}
+
+async function recordCompletedPayment(orderId, paymentId, source) {
+    let order = await paymentStore.get(orderId);
+    order = transitionPayment(order, PAYMENT_STATUS.COMPLETED, { source });
+    order.paymentId = paymentId;
+    await paymentStore.set(order.orderId, order);
+
+    // orderRequestId ties this entry to the create-payment request's log
+    logger.info('Payment marked as completed', { orderId: order.orderId, paymentId, source, orderRequestId: order.requestId || null });
+    metrics.recordPayment('completed', order);
+
+    // The payment is already recorded, so an invoice problem only means the
+    // email goes without it - the invoice can still be downloaded later
+    let invoice = null;
+    try {
+        invoice = await invoiceWithPdf(order);
+    } catch (error) {
+        logger.error('Invoice generation failed', { orderId: order.orderId, error });
+    }
+
+    await sendTemplatedEmail(order.customerData.email, 'paymentSuccess', {
+        name: order.customerData.name,
+        orderId: order.orderId,
+        paymentId: paymentId,
+        amount: order.amount,
+        completedAt: order.completedAt,
+        invoiceNumber: invoice && invoice.invoice.invoiceNumber,
+        invoiceUrl: invoice && invoiceUrl(order.orderId)
+    }, invoice ? [{
+        filename: invoiceFilename(invoice.invoice),
+        contentType: 'application/pdf',
+        content: invoice.pdf.toString('base64'),
+        source: { type: 'invoice', orderId: order.orderId }
+    }] : undefined);
+
+    // Notify admin
+    if (EMAIL_CONFIG.adminAddress) {
+        await sendTemplatedEmail(EMAIL_CONFIG.adminAddress, 'adminPaymentCompleted', {
+            customer: order.customerData,
+            orderId: order.orderId,
+            paymentId: paymentId,
+            amount: order.amount,
+            completedAt: order.completedAt
+        });
+    }
+
+    return order;
+}
+
+function failPayment(orderId, paymentId, source) {
+    return withOrderLock(orderId, async () => {
+        let order = await paymentStore.get(orderId);
+        order = transitionPayment(order, PAYMENT_STATUS.FAILED, { source, reason: 'Payment failed at gateway' });
+        if (paymentId) {
+            order.failedPaymentIds = [...(order.failedPaymentIds || []), paymentId];
+        }
+        await paymentStore.set(order.orderId, order);
+
+        logger.info('Payment marked as failed', { orderId: order.orderId, paymentId, source, orderRequestId: order.requestId || null });
+        metrics.recordPayment('failed', order);
+
+        return order;
+    });
+}
+
+// Validates and sends the refund while holding the order lock, so two admins
+// can't refund the same balance. Resolves to { errors } or { order, refund }.
+function requestRefund(orderId, input, admin) {
+    return withOrderLock(orderId, async () => {
+        let order = await paymentStore.get(orderId);
+        const { errors, values } = validateRefundRequest(input, order);
+        if (hasErrors(errors)) {
+            return { errors };
+        }
+
+        const gateway = gateways.forOrder(order);
+        if (!gateway) {
+            throw new Error(`Payment gateway ${order.gateway} is not configured`);
+        }
+        const result = await gateway.createRefund(order, values);
+        const refund = {
+            refundId: generateRefundId(),
+            gatewayRefundId: result.gatewayRefundId,
+            amount: values.amount,
+            reason: values.reason,
+            note: values.note || null,
+            status: REFUND_STATUS.PENDING,
+            requestedBy: admin.username,
+            requestedAt: new Date().toISOString()
+        };
+        order = addRefund(order, refund);
+        await paymentStore.set(order.orderId, order);
+
+        logger.info('Refund requested', { orderId: order.orderId, refundId: refund.refundId, amount: refund.amount, admin: admin.username });
+
+        if (result.status === REFUND_STATUS.PENDING) {
+            return { order, refund };
+        }
+        return recordSettledRefund(order.orderId, refund.refundId, result.status, 'refund-request');
+    });
+}
+
+// Cancels the order from a fresh read while holding the order lock, so a
+// webhook completing it at the same moment is never overwritten. Resolves to
+// { order: null } for an unknown order, { order } (unchanged) when its status
+// can't be cancelled, or { order, cancelled: true }.
+function cancelPayment(orderId, admin, reason) {
+    return withOrderLock(orderId, async () => {
+        const order = await paymentStore.get(orderId);
+        if (!order || !canTransition(order.status, PAYMENT_STATUS.CANCELLED)) {
+            return { order: order || null };
+        }
+
+        const cancelled = transitionPayment(order, PAYMENT_STATUS.CANCELLED, {
+            source: `admin:${admin.username}`,
+            reason: reason || 'Cancelled by admin'
+        });
+        await paymentStore.set(cancelled.orderId, cancelled);
+        logger.info('Payment cancelled', { orderId: cancelled.orderId, admin: admin.username });
+        return { order: cancelled, cancelled: true };
+    });
+}
+
+// Shared by the refund request (when the gateway settles at once) and refund
+// webhooks. Runs inside the order lock.
+async function recordSettledRefund(orderId, refundId, status, source, failureReason) {
+    const result = settleRefund(await paymentStore.get(orderId), refundId, status, { source, failureReason });
+    if (!result.changed) {
+        return result;
+    }
+    await paymentStore.set(orderId, result.order);
+
+    const { order, refund } = result;
+    if (refund.status === REFUND_STATUS.FAILED) {
+        logger.warn('Refund failed', { orderId, refundId: refund.refundId, reason: failureReason || null });
+        return result;
+    }
+
+    logger.info('Refund processed', { orderId, refundId: refund.refundId, orderStatus: order.status });
+    await sendTemplatedEmail(order.customerData.email, 'refundProcessed', {
+        name: order.customerData.name,
+        orderId: order.orderId,
+        paymentId: order.paymentId,
+        refundId: refund.refundId,
+        amount: refund.amount,
+        totalRefunded: order.refundedAmount,
+        orderAmount: order.amount,
+        reason: REFUND_REASONS[refund.reason],
+        processedAt: refund.settledAt
+    });
+    return result;
+}
+
+// ============ WEBHOOK PROCESSING ============
+// Gateways retry webhooks until they get a 200, so the same payment can be
+// reported several times. Each gateway's parseWebhook gives the event a dedupe
+// key (payment id + status for Instamojo).
+const webhooksInFlight = new Set();
+
+// Refund events carry the gateway's refund id and payment id
+async function applyRefundWebhook(event, gateway, source) {
+    const { gatewayRefundId, paymentId, status, gatewayStatus } = event;
+
+    const order = await paymentStore.findOneBy('paymentId', paymentId);
+    const refund = order && (order.refunds || []).find(entry => entry.gatewayRefundId === gatewayRefundId);
+    if (!refund) {
+        logger.warn('Refund not found for webhook', { gatewayRefundId, paymentId });
+        return { outcome: 'order-not-found', orderId: order ? order.orderId : undefined, message: `No refund ${gatewayRefundId} for payment ${paymentId}` };
+    }
+
+    if (status === REFUND_STATUS.PENDING) {
+        return { outcome: 'ignored', orderId: order.orderId, message: `Refund still ${gatewayStatus}` };
+    }
+
+    const result = await withOrderLock(order.orderId, () => recordSettledRefund(
+        order.orderId, refund.refundId, status, source, status === REFUND_STATUS.FAILED ? `${gateway.label} status ${gatewayStatus}` : undefined
+    ));
+    if (!result.changed) {
+        return { outcome: 'ignored', orderId: order.orderId, message: `Refund already ${result.refund.status}` };
+    }
+    return { outcome: 'processed', orderId: order.orderId };
+}
+
+// Applies a parsed webhook event to its order and returns the outcome for the event log
+async function applyWebhookEvent(event, gateway, source) {
+    if (event.type === 'refund') {
+        return applyRefundWebhook(event, gateway, source);
+    }
+
+    const { paymentId, paymentRequestId, status, gatewayStatus } = event;
+
+    const order = paymentRequestId ? await paymentStore.findOneBy('paymentRequestId', paymentRequestId) : null;
+    if (!order) {
+        logger.warn('Order not found for webhook', { paymentRequestId });
+        return { outcome: 'order-not-found', message: `No order for payment request ${paymentRequestId}` };
+    }
+
+    try {
+        if (status === PAYMENT_STATUS.COMPLETED) {
+            await completePayment(order.orderId, paymentId, source);
+        } else if (status === PAYMENT_STATUS.FAILED) {
+            await failPayment(order.orderId, paymentId, source);
+        } else {
+            logger.info('Unhandled payment status ignored', { orderId: order.orderId, gatewayStatus });
+            return { outcome: 'ignored', orderId: order.orderId, message: `Unhandled status ${gatewayStatus}` };
+        }
+    } catch (error) {
+        if (error instanceof PaymentStateError) {
+            // The order has already moved on - nothing to do
+            logger.warn('Webhook ignored', { orderId: order.orderId, reason: error.message });
+            return { outcome: 'ignored', orderId: order.orderId, message: error.message };
+        }
+        throw error;
+    }
+
+    return { outcome: 'processed', orderId: order.orderId };
+}
+
+// Each candidate is re-read under its order lock, so a webhook that paid it
+// during the sweep wins instead of being overwritten with a stale copy
+function expirePayment(orderId) {
+    return withOrderLock(orderId, async () => {
+        const order = await paymentStore.get(orderId);
+        if (!order || !isExpired(order, PAYMENT_EXPIRY_MS) || !canTransition(order.status, PAYMENT_STATUS.EXPIRED)) {
+            return false;
+        }
+        const expired = transitionPayment(order, PAYMENT_STATUS.EXPIRED, {
+            source: 'expiry-sweep',
+            reason: `Not paid within ${PAYMENT_EXPIRY_MS / 3600000} hours`
+        });
+        await paymentStore.set(expired.orderId, expired);
+        return true;
+    });
+}
+
+async function expireStalePayments() {
+    const stale = await paymentStore.find(order => isExpired(order, PAYMENT_EXPIRY_MS));
+
+    let count = 0;
+    for (const order of stale) {
+        if (await expirePayment(order.orderId)) {
+            count += 1;
+        }
+    }
+
+    if (count > 0) {
+        logger.info('Expired unpaid payment requests', { count });
+    }
+    return count;
+}
+
+// ============ SPAM PROTECTION ============
+function recordBlockedSubmission(form, reason) {
+    logger.warn('Form submission blocked', { form, reason });
+    metrics.recordBlockedSubmission(form, reason);
+}
+
+// Route middleware for the public forms: turns away submissions that filled in
+// the honeypot or carry no usable form token, before anything is validated.
+// Tokens are single-use, so every answer carries a fresh one in X-Form-Token for
+// the page's next submission (a corrected form, or the page's other form).
+function spamGuard(form) {
+    return (req, res, next) => {
+        if (SPAM_CONFIG.enabled) {
+            res.set('X-Form-Token', formTokens.issue());
+        }
+        const blocked = checkSubmission(req.body, { formTokens, requireToken: SPAM_CONFIG.enabled });
+        if (!blocked) {
+            return next();
+        }
+        recordBlockedSubmission(form, blocked.reason);
+        return sendValidationError(res, { form: blocked.message }, 'Submission rejected');
+    };
+}
+
+// Adds an email error to a form's validation errors for disposable inboxes
+function checkEmailDomain(errors, email, form) {
+    if (!errors.email && email && isDisposableEmail(email, SPAM_CONFIG.blockedEmailDomains)) {
+        errors.email = SPAM_MESSAGES[SPAM_REASONS.DISPOSABLE_EMAIL];
+        recordBlockedSubmission(form, SPAM_REASONS.DISPOSABLE_EMAIL);
+    }
+}
+
+// Enquiries or orders (idsKey) of every applicant sharing the contact's email or phone
+async function contactRecords(contact, idsKey, store) {
+    const ids = (await applicants.findAllByContact(contact)).flatMap(applicant => applicant[idsKey] || []);
+    return (await Promise.all(ids.map(id => store.get(id)))).filter(Boolean);
+}
+
+function withinDuplicateWindow(timestamp) {
+    return Date.now() - Date.parse(timestamp) < SPAM_CONFIG.duplicateWindowMs;
+}
+
+async function findDuplicateEnquiry(contact) {
+    const enquiries = await contactRecords(contact, 'enquiryIds', enquiryStore);
+    return enquiries.find(enquiry => withinDuplicateWindow(enquiry.receivedAt)) || null;
+}
+
+// Only an unpaid order counts: after a failed or expired payment the applicant
+// may start another one straight away
+async function findDuplicateOrder(contact) {
+    const orders = await contactRecords(contact, 'orderIds', paymentStore);
+    return orders.find(order => order.status === PAYMENT_STATUS.PENDING && withinDuplicateWindow(order.createdAt)) || null;
+}
+
+function sendDuplicateSubmission(res, form, message) {
+    recordBlockedSubmission(form, SPAM_REASONS.DUPLICATE);
+    return res.status(409).json({ success: false, message });
+}
+
+// ============ ROUTES ============
+
+// Health Check
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date(),
+        environment: process.env.NODE_ENV || 'development',
+        payments: {
+            testMode: PAYMENT_CONFIG.testMode,
+            defaultGateway: gateways.defaultGateway.name,
+            gateways: gateways.list().map(gateway => gateway.name)
+        },
+        storage: {
+            driver: STORAGE_CONFIG.driver
+        },
+        email: {
+            transport: emailTransport ? emailTransport.name : 'none'
+        }
+    });
+});
+
+// Liveness: answers as long as the process can serve requests. Nothing is
+// probed, so a slow mail server never gets the process restarted.
+app.get('/health/live', (req, res) => {
+    res.json({ status: 'alive', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// True when the request carries the configured metrics token
+function hasMetricsToken(req) {
+    if (!MONITORING_CONFIG.metricsToken) {
+        return false;
+    }
+    const expected = Buffer.from(`Bearer ${MONITORING_CONFIG.metricsToken}`);
+    const received = Buffer.from(req.get('Authorization') || '');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Readiness: probes storage and the email transport. 503 when a critical
+// dependency is down, so a load balancer stops sending traffic here. Without
+// the metrics token callers only see up/down per check; failures are logged.
+app.get('/health/ready', async (req, res, next) => {
+    try {
+        const result = await healthChecks.run();
+        for (const [name, check] of Object.entries(result.checks)) {
+            if (check.status === CHECK_STATUS.DOWN) {
+                logger.warn('Readiness check failed', { check: name, critical: check.critical, error: check.error });
+            }
+        }
+
+        const checks = hasMetricsToken(req)
+            ? result.checks
+            : Object.fromEntries(Object.entries(result.checks).map(([name, check]) => [name, { status: check.status }]));
+        res.status(result.status === 'not-ready' ? 503 : 200).json({
+            status: result.status,
+            timestamp: new Date(),
+            checks
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res, next) => {
+    try {
+        if (MONITORING_CONFIG.metricsToken) {
+            if (!hasMetricsToken(req)) {
+                return res.status(401).json({ success: false, message: 'Metrics token required' });
+            }
+        } else if (MONITORING_CONFIG.production) {
+            return res.status(403).json({ success: false, message: 'Metrics are disabled until METRICS_TOKEN is set' });
+        }
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Landing pages, rendered with a fresh form token for their enquiry and payment
+// forms (the {{FORM_TOKEN}} placeholder), so they are never cached
+const LANDING_PAGES = {
+    '/': 'instamojo.html',
+    '/instamojo.html': 'instamojo.html',
+    '/claude.html': 'claude.html'
+};
+
+function renderLandingPage(file) {
+    return async (req, res, next) => {
+        try {
+            const html = await fs.promises.readFile(path.join(PUBLIC_DIR, file), 'utf8');
+            res.set('Cache-Control', 'no-store');
+            res.type('html').send(html.replace('{{FORM_TOKEN}}', formTokens.issue()));
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+for (const [route, file] of Object.entries(LANDING_PAGES)) {
+    app.get(route, renderLandingPage(file));
+}
+
+// Admin dashboard (signs in against /api/admin/login and reads the admin JSON API)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+});
+
+// Scripts and the remaining pages
+app.use(express.static(PUBLIC_DIR));
+
+// REGISTRATION PACKAGES
+app.get('/api/packages', async (req, res, next) => {
+    try {
+        const packages = sortPackages(await packageStore.find(pkg => pkg.active)).map(publicPackage);
+        res.json({ success: true, count: packages.length, data: packages });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// CREATE PAYMENT REQUEST
+app.post('/api/create-payment', rateLimits.payment, spamGuard('payment'), async (req, res) => {
+    try {
+        const { packageId } = req.body || {};
+
+        // Validate - only the schema's fields are kept from customerData
+        const { errors, values: customerData } = validate(CUSTOMER_SCHEMA, (req.body || {}).customerData);
+        const selectedPackage = packageId ? await packageStore.get(String(packageId)) : null;
+        if (!packageId) {
+            errors.packageId = 'Select a registration package';
+        } else if (!selectedPackage || !selectedPackage.active) {
+            errors.packageId = 'Unknown or unavailable registration package';
+        }
+        checkEmailDomain(errors, customerData.email, 'payment');
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid payment request');
+        }
+
+        if (SPAM_CONFIG.enabled && await findDuplicateOrder(customerData)) {
+            return sendDuplicateSubmission(res, 'payment',
+                'A payment for this email or phone number was started a few minutes ago. Please complete it using the link we emailed you.');
+        }
+
+        // The amount always comes from the catalogue, never from the browser
+        const pricing = splitGst(selectedPackage.price, selectedPackage.gstRate);
+        const paymentData = {
+            packageId: selectedPackage.id,
+            amount: pricing.amount,
+            purpose: `Zudio Franchise Registration - ${selectedPackage.name}`
+        };
+        customerData.packageType = selectedPackage.name;
+
+        // Generate Order ID
+        const orderId = generateOrderId();
+
+        // Create the payment request with the package's gateway
+        const gateway = gateways.forPackage(selectedPackage);
+        logger.info('Creating payment request', {
+            orderId,
+            packageId: selectedPackage.id,
+            amount: paymentData.amount,
+            gateway: gateway.name
+        });
+        const paymentRequest = await gateway.createPaymentRequest({
+            orderId,
+            amount: paymentData.amount,
+            purpose: paymentData.purpose,
+            customer: customerData,
+            ...gatewayCallbackUrls(gateway)
+        });
+
+        // Store payment data
+        const applicant = await applicants.linkApplicant(customerData, { orderId });
+
+        const createdAt = new Date().toISOString();
+        const paymentRecord = {
+            orderId: orderId,
+            applicantId: applicant.applicantId,
+            testMode: gateway.testMode,
+            gateway: gateway.name,
+            paymentRequestId: paymentRequest.paymentRequestId,
+            customerData: customerData,
+            paymentData: paymentData,
+            status: PAYMENT_STATUS.PENDING,
+            statusHistory: createStatusHistory(createdAt, 'create-payment'),
+            // Lets the order's webhooks and emails be traced back to this request's log
+            requestId: req.id,
+            createdAt: createdAt,
+            packageId: selectedPackage.id,
+            packageName: selectedPackage.name,
+            amount: paymentData.amount,
+            taxableValue: pricing.taxableValue,
+            gstAmount: pricing.gstAmount,
+            gstRate: pricing.gstRate,
+            purpose: paymentData.purpose,
+            longurl: paymentRequest.longurl,
+            shorturl: paymentRequest.shorturl
+        };
+
+        await paymentStore.set(orderId, paymentRecord);
+        metrics.recordPayment('created', paymentRecord);
+
+        logger.info('Payment request created', {
+            orderId,
+            applicantId: applicant.applicantId,
+            paymentRequestId: paymentRequest.paymentRequestId
+        });
+
+        // Send confirmation email to customer
+        await sendTemplatedEmail(customerData.email, 'paymentLink', {
+            name: customerData.name,
+            orderId: orderId,
+            amount: paymentData.amount,
+            purpose: paymentData.purpose,
+            createdAt: createdAt,
+            paymentUrl: paymentRequest.longurl
+        });
+
+        // Send admin notification
+        if (EMAIL_CONFIG.adminAddress) {
+            await sendTemplatedEmail(EMAIL_CONFIG.adminAddress, 'adminPaymentCreated', {
+                customer: customerData,
+                amount: paymentData.amount,
+                orderId: orderId,
+                paymentRequestId: paymentRequest.paymentRequestId,
+                createdAt: createdAt,
+                longurl: paymentRequest.longurl,
+                shorturl: paymentRequest.shorturl,
+                paymentsUrl: `${BASE_URL}/api/admin/payments?token=${adminAuth.createLinkToken('/api/admin/payments', 'finance')}`
+            });
+        }
+
+        // Return response
+        res.status(201).json({
+            success: true,
+            message: 'Payment request created successfully',
+            data: {
+                orderId: orderId,
+                paymentRequestId: paymentRequest.paymentRequestId,
+                amount: paymentData.amount,
+                longurl: paymentRequest.longurl,
+                shorturl: paymentRequest.shorturl,
+                status: 'pending',
+                gateway: gateway.name,
+                testMode: gateway.testMode
+            }
+        });
+
+    } catch (error) {
+        logger.error('Payment creation error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create payment request',
+            error: error.message,
+            details: error.response?.data
+        });
+    }
+});
+
+// PAYMENT WEBHOOKS
+// Each gateway posts to /api/webhooks/<name>; /api/webhook is kept for
+// Instamojo accounts configured before there was more than one gateway.
+
+const REJECTED_WEBHOOK_PREVIEW_LENGTH = 300;
+
+function clip(value, length = 100) {
+    return typeof value === 'string' && value.length > length ? value.slice(0, length) : value;
+}
+
+// Anyone can post an unsigned webhook, so a rejected one is logged without its
+// payload: only its size, a hash and the start of the body are kept
+function rejectedWebhookRecord(event, req) {
+    const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+    return {
+        eventId: event.eventId,
+        gateway: event.gateway,
+        receivedAt: event.receivedAt,
+        paymentId: clip(event.paymentId),
+        paymentRequestId: clip(event.paymentRequestId),
+        status: clip(event.status),
+        requestId: event.requestId,
+        macVerified: false,
+        outcome: event.outcome,
+        message: event.message,
+        remoteAddress: req.ip,
+        userAgent: clip(req.get('User-Agent') || null, 200),
+        payloadSize: Buffer.byteLength(body),
+        payloadSha256: crypto.createHash('sha256').update(body).digest('hex'),
+        payloadPreview: body.slice(0, REJECTED_WEBHOOK_PREVIEW_LENGTH)
+    };
+}
+
+async function pruneWebhookEvents() {
+    const cutoff = new Date(Date.now() - WEBHOOK_RETENTION_MS).toISOString();
+    const count = await webhookEventStore.deleteWhere(event => event.receivedAt < cutoff);
+    if (count > 0) {
+        logger.info('Pruned old webhook events', { count, receivedBefore: cutoff });
+    }
+    return count;
+}
+
+async function handleWebhook(gateway, req, res) {
+    const payload = { ...req.body };
+    const parsed = gateway.parseWebhook(payload);
+    const event = {
+        eventId: generateWebhookEventId(),
+        gateway: gateway.name,
+        dedupeKey: parsed.dedupeKey,
+        receivedAt: new Date().toISOString(),
+        payload: payload,
+        paymentId: parsed.paymentId || null,
+        paymentRequestId: parsed.paymentRequestId || null,
+        status: parsed.gatewayStatus || null,
+        requestId: req.id,
+        macVerified: null,
+        outcome: 'received'
+    };
+
+    try {
+        // Only the parsed ids are logged; the full payload is kept in the webhook event log
+        logger.info('Webhook received', {
+            gateway: gateway.name,
+            eventId: event.eventId,
+            paymentRequestId: event.paymentRequestId,
+            paymentId: event.paymentId,
+            gatewayStatus: event.status
+        });
+
+        // Every webhook must carry a valid signature - rejected attempts stay in the log for audit
+        const verification = gateway.verifyWebhook(req);
+        event.macVerified = verification.valid;
+        if (!verification.valid) {
+            logger.warn('Webhook rejected', { eventId: event.eventId, reason: verification.reason, remoteAddress: req.ip });
+            event.outcome = 'rejected';
+            event.message = verification.reason;
+            await webhookEventStore.set(event.eventId, rejectedWebhookRecord(event, req));
+            return res.status(400).send('Invalid MAC');
+        }
+
+        // Acknowledge repeats without touching the order or resending emails
+        const previous = (await webhookEventStore.findBy('dedupeKey', event.dedupeKey))
+            .find(logged => logged.outcome === 'processed');
+        if (previous || webhooksInFlight.has(event.dedupeKey)) {
+            logger.info('Duplicate webhook ignored', { eventId: event.eventId, dedupeKey: event.dedupeKey });
+            event.outcome = 'duplicate';
+            event.duplicateOf = previous ? previous.eventId : null;
+            event.orderId = previous ? previous.orderId : null;
+            await webhookEventStore.set(event.eventId, event);
+            return res.status(200).send('OK');
+        }
+
+        webhooksInFlight.add(event.dedupeKey);
+        try {
+            Object.assign(event, await applyWebhookEvent(parsed, gateway, 'webhook'));
+        } finally {
+            webhooksInFlight.delete(event.dedupeKey);
+        }
+
+        event.processedAt = new Date().toISOString();
+        await webhookEventStore.set(event.eventId, event);
+        logger.info('Webhook processed', { eventId: event.eventId, outcome: event.outcome, orderId: event.orderId || null });
+
+        res.status(200).send('OK');
+    } catch (error) {
+        logger.error('Webhook error', { eventId: event.eventId, error });
+        event.outcome = 'error';
+        event.message = error.message;
+        await webhookEventStore.set(event.eventId, event).catch(() => {});
+        res.status(500).send('Error');
+    } finally {
+        metrics.recordWebhook(gateway.name, event.outcome);
+    }
+}
+
+function webhookGatewayNotFound(req, res) {
+    res.status(404).json({
+        success: false,
+        message: 'Endpoint not found',
+        path: req.path
+    });
+}
+
+app.post('/api/webhooks/:gateway', (req, res) => {
+    const gateway = gateways.get(req.params.gateway);
+    return gateway ? handleWebhook(gateway, req, res) : webhookGatewayNotFound(req, res);
+});
+
+app.post('/api/webhook', (req, res) => {
+    const gateway = legacyWebhookGateway();
+    return gateway ? handleWebhook(gateway, req, res) : webhookGatewayNotFound(req, res);
+});
+
+// CONFIRM TEST PAYMENT (used by the in-page simulator in claude.html)
+app.post('/api/confirm-payment', async (req, res) => {
+    try {
+        if (!PAYMENT_CONFIG.testMode) {
+            logger.warn('Rejected /api/confirm-payment call in live mode');
+            return res.status(403).json({
+                success: false,
+                message: 'Payment confirmation is only available in test mode'
+            });
+        }
+
+        const { orderId } = req.body || {};
+        if (!orderId) {
+            return sendValidationError(res, { orderId: 'Order ID is required' }, 'Missing orderId');
+        }
+
+        const order = await paymentStore.get(orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (!canTransition(order.status, PAYMENT_STATUS.COMPLETED)) {
+            return res.status(409).json({
+                success: false,
+                message: `Payment is already ${order.status}`
+            });
+        }
+
+        const paymentId = 'TEST_PAY_' + crypto.randomBytes(8).toString('hex');
+        const completedOrder = await completePayment(order.orderId, paymentId, 'confirm-payment');
+
+        res.json({
+            success: true,
+            message: 'Payment confirmed (test mode)',
+            data: {
+                orderId: completedOrder.orderId,
+                paymentId: completedOrder.paymentId,
+                status: completedOrder.status,
+                completedAt: completedOrder.completedAt,
+                testMode: true
+            }
+        });
+    } catch (error) {
+        // A webhook or the expiry sweep moved the order on after the check above
+        if (error instanceof PaymentStateError) {
+            return res.status(409).json({
+                success: false,
+                message: `Payment is already ${error.from}`
+            });
+        }
+        logger.error('Payment confirmation error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm payment'
+        });
+    }
+});
+
+// TEST PAYMENT PAGE (the mock gateway's checkout, simulates Instamojo)
+app.get('/test-payment', async (req, res, next) => {
+    try {
+        // The page hands out signed webhooks, so it must never exist in live mode
+        const mockGateway = gateways.get('mock');
+        if (!mockGateway) {
+            return res.status(404).json({
+                success: false,
+                message: 'Endpoint not found',
+                path: req.path
+            });
+        }
+
+        // Every query value is shown on the page, so each is escaped (req.query is already decoded)
+        const { payment_id, payment_request_id, amount, buyer_name } = req.query;
+
+        const order = await paymentStore.findOneBy('paymentRequestId', payment_request_id);
+
+        if (!order) {
+            return res.status(404).send('<h1>Unknown test payment request</h1><p><a href="/">Back to Home</a></p>');
+        }
+
+        // Escape "<" so buyer data can't close the <script> block
+        const signedWebhooks = JSON.stringify({
+            credit: mockGateway.buildWebhook(order, payment_id, 'Credit'),
+            failed: mockGateway.buildWebhook(order, payment_id, 'Failed')
+        }).replace(/</g, '\\u003c');
+
+        res.send(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Test Payment Gateway - Zudio Franchise</title>
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <style>
+                    * { margin: 0; padding: 0; box-sizing: border-box; }
+                    body { font-family: Arial, sans-serif; background: #f5f5f5; padding: 20px; }
+                    .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
+                    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
+                    .header h1 { font-size: 24px; margin-bottom: 10px; }
+                    .test-badge { background: #ff6b6b; color: white; padding: 5px 15px; border-radius: 20px; font-size: 12px; display: inline-block; margin-top: 10px; }
+                    .content { padding: 40px; }
+                    .amount { font-size: 48px; font-weight: bold; color: #333; text-align: center; margin: 20px 0; }
+                    .details { background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; }
+                    .details p { margin: 10px 0; color: #666; }
+                    .details strong { color: #333; }
+                    .button { display: block; width: 100%; padding: 18px; background: #28a745; color: white; text-align: center; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 18px; margin: 10px 0; border: none; cursor: pointer; transition: background 0.3s; }
+                    .button:hover { background: #218838; }
+                    .button-secondary { background: #dc3545; }
+                    .button-secondary:hover { background: #c82333; }
+                    .info { background: #e3f2fd; border-left: 4px solid #2196f3; padding: 15px; border-radius: 4px; margin: 20px 0; font-size: 14px; color: #1976d2; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>🧪 Test Payment Gateway</h1>
+                        <span class="test-badge">DEMO MODE - NO REAL PAYMENT</span>
+                    </div>
+                    <div class="content">
+                        <div class="amount">₹${escapeHtml(amount || '0')}</div>
+                    
+                        <div class="details">
+                            <p><strong>Merchant:</strong> Zudio Franchise</p>
+                            <p><strong>Buyer:</strong> ${escapeHtml(buyer_name || 'Customer')}</p>
+                            <p><strong>Payment ID:</strong> ${escapeHtml(payment_id || '')}</p>
+                            <p><strong>Payment Request ID:</strong> ${escapeHtml(payment_request_id || '')}</p>
+                        </div>
+
+                        <div class="info">
+                            <strong>ℹ️ This is a test payment page.</strong><br>
+                            In production mode, you would be redirected to the actual Instamojo payment gateway where you can pay using UPI, Cards, Net Banking, or Wallets.
+                        </div>
+
+                        <button class="button" id="completePayment">✓ Simulate Successful Payment</button>
+                        <button class="button button-secondary" id="failPayment">✗ Simulate Failed Payment</button>
+
+                        <p style="text-align: center; margin-top: 30px; color: #999; font-size: 14px;">
+                            Click either button to simulate the payment outcome
+                        </p>
+                    </div>
+                </div>
+
+                <script nonce="${res.locals.cspNonce}">
+                    // Signed by the server with the test webhook salt
+                    const WEBHOOKS = ${signedWebhooks};
+
+                    function completePayment() {
+                        const params = new URLSearchParams(window.location.search);
+                        const paymentId = params.get('payment_id');
+                        const orderId = params.get('payment_request_id');
+                    
+                        // Simulate webhook call, then redirect to the success page like Instamojo does
+                        fetch('/api/webhooks/mock', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(WEBHOOKS.credit)
+                        }).finally(() => {
+                            window.location.href = '/payment-success?payment_id=' + paymentId + '&payment_request_id=' + orderId + '&payment_status=Credit';
+                        });
+                    }
+
+                    function failPayment() {
+                        // Simulate the Failed webhook Instamojo sends for a declined payment
+                        fetch('/api/webhooks/mock', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(WEBHOOKS.failed)
+                        }).finally(() => {
+                            alert('Payment cancelled/failed (Test Mode)');
+                            window.location.href = '/';
+                        });
+                    }
+
+                    document.getElementById('completePayment').addEventListener('click', completePayment);
+                    document.getElementById('failPayment').addEventListener('click', failPayment);
+                </script>
+            </body>
+            </html>
+        `);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PAYMENT RESULT PAGE (redirect target for every gateway)
+const PAYMENT_RESULT_VIEWS = {
+    success: {
+        title: 'Payment Successful',
+        icon: '✓',
+        color: '#28a745',
+        heading: 'Payment Successful!',
+        message: 'Thank you for your payment. Your Zudio franchise registration has been received.',
+        statusLabel: 'COMPLETED',
+        notes: [
+            'A confirmation email has been sent to your registered email address.',
+            'Our team will contact you within 24 hours.'
+        ]
+    },
+    pending: {
+        title: 'Payment Processing',
+        icon: '⏳',
+        color: '#f0ad4e',
+        heading: 'Confirming Your Payment...',
+        message: 'We haven\'t received confirmation from the payment gateway yet. This page will refresh automatically.',
+        statusLabel: 'PENDING',
+        notes: [
+            'If money was debited from your account, it will be confirmed shortly - please don\'t pay again.'
+        ]
+    },
+    failed: {
+        title: 'Payment Failed',
+        icon: '✗',
+        color: '#dc3545',
+        heading: 'Payment Not Completed',
+        message: 'Your payment could not be completed. No registration has been recorded.',
+        statusLabel: 'FAILED',
+        notes: [
+            'If money was debited from your account, it will be refunded by your bank.',
+            'You can try again from the registration form.'
+        ]
+    },
+    notFound: {
+        title: 'Payment Not Found',
+        icon: '?',
+        color: '#6c757d',
+        heading: 'Payment Not Found',
+        message: 'We couldn\'t find a registration for this payment link.',
+        statusLabel: 'UNKNOWN',
+        notes: [
+            'Please contact franchise@zudio.com with your payment details.'
+        ]
+    }
+};
+
+// paymentId and paymentRequestId come from the query string, so they are escaped
+function renderPaymentResultPage(viewName, { order, paymentId, paymentRequestId }) {
+    const view = PAYMENT_RESULT_VIEWS[viewName];
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>${view.title} - Zudio Franchise</title>
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            ${viewName === 'pending' ? '<meta http-equiv="refresh" content="5">' : ''}
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); }
+                .container { background: white; padding: 40px; border-radius: 15px; text-align: center; max-width: 500px; width: 90%; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
+                .status-icon { font-size: 80px; color: ${view.color}; animation: bounce 1s ease; }
+                @keyframes bounce { 0%, 100% { transform: translateY(0); } 50% { transform: translateY(-20px); } }
+                h1 { color: #333; margin: 20px 0; font-size: 28px; }
+                .details { background: #f8f9fa; padding: 20px; border-radius: 10px; margin: 20px 0; text-align: left; }
+                .details p { margin: 10px 0; color: #666; }
+                .details strong { color: #333; }
+                .button { display: inline-block; padding: 15px 40px; background: #000; color: white; text-decoration: none; border-radius: 8px; margin-top: 20px; font-weight: bold; transition: transform 0.3s; }
+                .button:hover { transform: translateY(-3px); box-shadow: 0 10px 20px rgba(0,0,0,0.2); }
+                .note { color: #666; font-size: 14px; margin-top: 20px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="status-icon">${view.icon}</div>
+                <h1>${view.heading}</h1>
+                <p>${view.message}</p>
+                <div class="details">
+                    ${order ? `<p><strong>Order ID:</strong> ${escapeHtml(order.orderId)}</p>` : ''}
+                    ${order ? `<p><strong>Amount:</strong> ₹${escapeHtml(order.amount)}</p>` : ''}
+                    <p><strong>Payment ID:</strong> ${escapeHtml(paymentId || 'N/A')}</p>
+                    <p><strong>Request ID:</strong> ${escapeHtml(paymentRequestId || 'N/A')}</p>
+                    <p><strong>Status:</strong> <span style="color: ${view.color}; font-weight: bold;">${view.statusLabel}</span></p>
+                </div>
+                ${view.notes.map(note => `<p class="note">${note}</p>`).join('\n                ')}
+                <a href="/" class="button">Back to Home</a>
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+// Never trusts the query string: the order's stored status is checked first and,
+// if the webhook hasn't arrived yet, the payment is confirmed with the order's gateway.
+async function resolvePaymentResult(order, paymentId) {
+    if ([PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED].includes(order.status)) {
+        return 'success';
+    }
+    if (!paymentId) {
+        return order.status === PAYMENT_STATUS.PENDING ? 'pending' : 'failed';
+    }
+
+    const gateway = gateways.forOrder(order);
+    const verification = gateway ? await gateway.verifyPayment(order, paymentId) : { success: false };
+    if (!verification.success) {
+        return 'pending';
+    }
+
+    try {
+        if (verification.status === PAYMENT_STATUS.COMPLETED) {
+            if (Number(verification.amount) !== Number(order.amount)) {
+                logger.error('Verified amount does not match order - needs manual review', {
+                    orderId: order.orderId,
+                    expected: order.amount,
+                    paid: verification.amount
+                });
+                return 'pending';
+            }
+            await completePayment(order.orderId, verification.paymentId || paymentId, 'redirect-verification');
+            return 'success';
+        }
+        if (verification.status === PAYMENT_STATUS.FAILED) {
+            if (canTransition(order.status, PAYMENT_STATUS.FAILED)) {
+                await failPayment(order.orderId, paymentId, 'redirect-verification');
+            }
+            return 'failed';
+        }
+    } catch (error) {
+        if (!(error instanceof PaymentStateError)) {
+            throw error;
+        }
+        // The webhook got there first - show whatever it recorded
+        const latest = await paymentStore.get(order.orderId);
+        return latest.status === PAYMENT_STATUS.COMPLETED ? 'success' : 'failed';
+    }
+
+    return order.status === PAYMENT_STATUS.PENDING ? 'pending' : 'failed';
+}
+
+app.get('/payment-success', async (req, res, next) => {
+    try {
+        // Each gateway names its redirect parameters differently
+        const { paymentId, paymentRequestId } = gateways.list()
+            .map(gateway => gateway.parseRedirect(req.query))
+            .find(Boolean) || {};
+
+        const order = paymentRequestId
+            ? await paymentStore.findOneBy('paymentRequestId', paymentRequestId)
+            : null;
+
+        if (!order) {
+            logger.warn('Payment redirect for unknown payment request', { paymentRequestId });
+            return res.status(404).send(renderPaymentResultPage('notFound', { paymentId, paymentRequestId }));
+        }
+
+        const result = await resolvePaymentResult(order, paymentId);
+        logger.info('Payment redirect', { orderId: order.orderId, result, orderRequestId: order.requestId || null });
+
+        res.send(renderPaymentResultPage(result, { order, paymentId, paymentRequestId }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GST INVOICE DOWNLOAD
+// Opened from the link in the payment-success email (?token=) or by a finance admin.
+// Orders paid before invoicing existed get their invoice on first download.
+function requireInvoiceAccess(req, res, next) {
+    if (verifyInvoiceToken(req.params.orderId, req.query.token, ADMIN_CONFIG.tokenSecret)) {
+        return next();
+    }
+    return adminAuth.requireRole('finance')(req, res, next);
+}
+
+app.get('/api/orders/:orderId/invoice', requireInvoiceAccess, async (req, res, next) => {
+    try {
+        const order = await paymentStore.get(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({ success: false, message: `No invoice - payment is ${order.status}` });
+        }
+
+        const { invoice, pdf } = await invoiceWithPdf(order);
+        if (req.query.format === 'json') {
+            return res.json({ success: true, data: invoice });
+        }
+        res.attachment(invoiceFilename(invoice));
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// CHECK PAYMENT STATUS
+app.get('/api/payment-status/:orderId', async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const payment = await paymentStore.get(orderId);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                orderId: payment.orderId,
+                status: payment.status,
+                amount: payment.amount,
+                createdAt: payment.createdAt,
+                completedAt: payment.completedAt || null,
+                failedAt: payment.failedAt || null,
+                expiredAt: payment.expiredAt || null,
+                cancelledAt: payment.cancelledAt || null,
+                refundedAt: payment.refundedAt || null,
+                refundedAmount: payment.refundedAmount || 0,
+                paymentId: payment.paymentId || null,
+                statusHistory: publicStatusHistory(payment)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching payment status'
+        });
+    }
+});
+
+// SEND ENQUIRY
+app.post('/api/send-notification', rateLimits.enquiry, spamGuard('enquiry'), async (req, res) => {
+    try {
+        const { type } = req.body || {};
+
+        if (type !== 'enquiry') {
+            return sendValidationError(res, { type: 'Notification type must be "enquiry"' }, 'Unsupported notification type');
+        }
+
+        const { errors, values: data } = validate(ENQUIRY_SCHEMA, req.body.data);
+        checkEmailDomain(errors, data.email, 'enquiry');
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid enquiry');
+        }
+
+        if (SPAM_CONFIG.enabled && await findDuplicateEnquiry(data)) {
+            return sendDuplicateSubmission(res, 'enquiry',
+                'We already received an enquiry from this email or phone number. Our franchise team will contact you soon.');
+        }
+
+        const enquiryId = generateOrderId();
+        const applicant = await applicants.linkApplicant(data, { enquiryId });
+
+        await enquiryStore.set(enquiryId, createLead({
+            ...data,
+            enquiryId: enquiryId,
+            applicantId: applicant.applicantId,
+            receivedAt: new Date().toISOString()
+        }));
+
+        logger.info('Enquiry stored', { enquiryId });
+
+        // Send confirmation email
+        await sendTemplatedEmail(data.email, 'enquiryReceived', {
+            name: data.name,
+            enquiryId: enquiryId
+        });
+
+        // Admin notification
+        if (EMAIL_CONFIG.adminAddress) {
+            await sendTemplatedEmail(EMAIL_CONFIG.adminAddress, 'adminNewEnquiry', {
+                ...data,
+                enquiryId: enquiryId
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Enquiry received successfully',
+            enquiryId: enquiryId
+        });
+    } catch (error) {
+        logger.error('Notification error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send notification'
+        });
+    }
+});
+
+// ADMIN AUTH
+app.post('/api/admin/login', rateLimits.login, async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (!username || !password) {
+            const errors = {};
+            if (!username) errors.username = 'Username is required';
+            if (!password) errors.password = 'Password is required';
+            return sendValidationError(res, errors, 'Username and password are required');
+        }
+
+        const session = await adminAuth.login(username, password);
+        if (!session) {
+            logger.warn('Failed admin login', { username });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        logger.info('Admin logged in', { admin: session.admin.username });
+        res.json({ success: true, data: session });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/admin/me', adminAuth.requireRole('viewer'), (req, res) => {
+    res.json({ success: true, data: req.admin });
+});
+
+// DASHBOARD KPIs
+// ?days= sets the chart window (1-90, default 30), ?mode=test|live limits the payments
+// counted. Revenue figures are only included for finance and above.
+app.get('/api/admin/stats', adminAuth.requireRole('viewer'), async (req, res, next) => {
+    try {
+        const errors = {};
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 90) {
+            errors.days = 'Days must be a whole number between 1 and 90';
+        }
+        if (req.query.mode && req.query.mode !== 'test' && req.query.mode !== 'live') {
+            errors.mode = 'Mode must be test or live';
+        }
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid stats request');
+        }
+
+        const payments = (await paymentStore.list())
+            .filter(order => !req.query.mode || isTestOrder(order) === (req.query.mode === 'test'));
+        const stats = buildDashboardStats(
+            { payments, enquiries: await enquiryStore.list() },
+            { days, includeRevenue: roleRank(req.admin.role) >= roleRank('finance') }
+        );
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN USER MANAGEMENT (superadmin only)
+app.get('/api/admin/users', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const admins = (await adminStore.list()).map(publicAdmin);
+        res.json({ success: true, count: admins.length, data: admins });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/admin/users', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const { username, password, role } = req.body || {};
+
+        if (!username || !password || !isValidRole(role)) {
+            const errors = {};
+            if (!username) errors.username = 'Username is required';
+            if (!password) errors.password = 'Password is required';
+            if (!isValidRole(role)) errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+            return sendValidationError(res, errors, `Username, password and role (${ROLES.join(', ')}) are required`);
+        }
+
+        if (await adminAuth.findAdmin(username)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Admin user already exists'
+            });
+        }
+
+        const admin = await adminAuth.createAdmin({ username, password, role });
+        logger.info('Admin created', { username: admin.username, role: admin.role, admin: req.admin.username });
+        res.status(201).json({ success: true, data: admin });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.patch('/api/admin/users/:username', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const admin = await adminAuth.findAdmin(req.params.username);
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin user not found'
+            });
+        }
+
+        const { role, password } = req.body || {};
+        const changes = {};
+
+        if (role !== undefined) {
+            if (!isValidRole(role)) {
+                return sendValidationError(res, { role: `Role must be one of: ${ROLES.join(', ')}` }, `Invalid role (expected: ${ROLES.join(', ')})`);
+            }
+            if (admin.username === req.admin.username && role !== 'superadmin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot remove your own superadmin role'
+                });
+            }
+            changes.role = role;
+        }
+
+        if (password !== undefined) {
+            if (!password) {
+                return sendValidationError(res, { password: 'Password cannot be empty' }, 'Password cannot be empty');
+            }
+            changes.passwordHash = await hashPassword(password);
+        }
+
+        const updated = await adminStore.update(admin.username, {
+            ...changes,
+            updatedAt: new Date().toISOString()
+        });
+        res.json({ success: true, data: publicAdmin(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api/admin/users/:username', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const admin = await adminAuth.findAdmin(req.params.username);
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin user not found'
+            });
+        }
+
+        if (admin.username === req.admin.username) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        await adminStore.delete(admin.username);
+        logger.info('Admin deleted', { username: admin.username, admin: req.admin.username });
+        res.json({ success: true, message: 'Admin user deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN ROUTES
+const PAYMENT_SORT_FIELDS = ['createdAt', 'completedAt', 'amount', 'status', 'name', 'city'];
+const PAYMENT_SORT_GETTERS = {
+    name: order => order.customerData && order.customerData.name,
+    city: order => order.customerData && order.customerData.city
+};
+
+// Filters: status (comma-separated), from/to (createdAt), minAmount/maxAmount,
+// city, packageId, mode (test|live), q (name, email, phone, order/payment id).
+// Returns { errors, values, items } with items filtered and sorted.
+async function queryPayments(query) {
+    const { errors, values } = parseListQuery(query, { sortFields: PAYMENT_SORT_FIELDS, defaultSort: 'createdAt' });
+    const statuses = query.status ? String(query.status).split(',') : null;
+    if (statuses && !statuses.every(status => Object.values(PAYMENT_STATUS).includes(status))) {
+        errors.status = `Status must be one of: ${Object.values(PAYMENT_STATUS).join(', ')}`;
+    }
+    if (query.mode && query.mode !== 'test' && query.mode !== 'live') {
+        errors.mode = 'Mode must be test or live';
+    }
+    if (query.gateway && ![...GATEWAY_NAMES, 'mock'].includes(query.gateway)) {
+        errors.gateway = `Gateway must be one of: ${[...GATEWAY_NAMES, 'mock'].join(', ')}`;
+    }
+    if (hasErrors(errors)) {
+        return { errors, values, items: [] };
+    }
+
+    const city = query.city ? String(query.city).trim().toLowerCase() : null;
+    const payments = (await paymentStore.list()).filter(order => {
+        const customer = order.customerData || {};
+        if (statuses && !statuses.includes(order.status)) return false;
+        if (!inDateRange(order.createdAt, values)) return false;
+        if (values.minAmount !== undefined && order.amount < values.minAmount) return false;
+        if (values.maxAmount !== undefined && order.amount > values.maxAmount) return false;
+        if (city && String(customer.city || '').toLowerCase() !== city) return false;
+        if (query.packageId && order.packageId !== query.packageId) return false;
+        if (query.mode && isTestOrder(order) !== (query.mode === 'test')) return false;
+        if (query.gateway && orderGateway(order) !== query.gateway) return false;
+        return matchesSearch([order.orderId, order.paymentId, order.paymentRequestId, customer.name, customer.email, customer.phone], values.q);
+    });
+
+    return { errors, values, items: sortItems(payments, values, PAYMENT_SORT_GETTERS) };
+}
+
+app.get('/api/admin/payments', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const { errors, values, items } = await queryPayments(req.query);
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid payment filters');
+        }
+        res.json(paginate(items, values));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Same filters as the list, every matching row (no paging)
+app.get('/api/admin/payments/export', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const { errors, items } = await queryPayments(req.query);
+        const format = req.query.format || 'csv';
+        const { columns, error: columnsError } = selectColumns(PAYMENT_COLUMNS, req.query.columns);
+        if (!EXPORT_FORMATS.includes(format)) errors.format = `Format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+        if (columnsError) errors.columns = columnsError;
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid export request');
+        }
+
+        logger.info('Payments exported', { format, rows: items.length, admin: req.admin.username });
+        await sendExport(res, { format, name: 'payments', columns, records: items });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/admin/payments/:orderId', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const order = await paymentStore.get(req.params.orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+        res.json({
+            success: true,
+            data: { ...order, statusHistory: order.statusHistory || [], refunds: order.refunds || [] },
+            refundable: refundableAmount(order),
+            refundReasons: REFUND_REASONS
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Full refund unless amount is given. reason is an Instamojo refund code (see REFUND_REASONS)
+app.post('/api/admin/payments/:orderId/refunds', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        if (!(await paymentStore.has(req.params.orderId))) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        let result;
+        try {
+            result = await requestRefund(req.params.orderId, req.body, req.admin);
+        } catch (error) {
+            return res.status(502).json({ success: false, message: `Refund failed: ${error.message}` });
+        }
+        if (result.errors) {
+            return sendValidationError(res, result.errors, 'Invalid refund request');
+        }
+
+        res.status(201).json({
+            success: true,
+            message: result.refund.status === REFUND_STATUS.PROCESSED ? 'Refund processed' : 'Refund requested',
+            data: {
+                refund: result.refund,
+                orderStatus: result.order.status,
+                refundedAmount: result.order.refundedAmount || 0,
+                refundable: refundableAmount(result.order)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/admin/payments/:orderId/cancel', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const { order, cancelled } = await cancelPayment(req.params.orderId, req.admin, req.body && req.body.reason);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot cancel a ${order.status} payment`
+            });
+        }
+
+        res.json({ success: true, data: order });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN WEBHOOK EVENT LOG
+app.get('/api/admin/webhooks', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const { errors, values } = parseListQuery(req.query, { sortFields: ['receivedAt'], defaultSort: 'receivedAt' });
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid webhook filters');
+        }
+
+        const { outcome, orderId } = req.query;
+        const events = (await webhookEventStore.list())
+            .filter(event => !outcome || event.outcome === outcome)
+            .filter(event => !orderId || event.orderId === orderId)
+            .filter(event => inDateRange(event.receivedAt, values));
+        // Payloads are only returned by the single-event view
+        const page = paginate(sortItems(events, values), values);
+        res.json({ ...page, data: page.data.map(({ payload, ...event }) => event) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/admin/webhooks/:eventId', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const event = await webhookEventStore.get(req.params.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+        res.json({ success: true, data: event });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Re-run a logged webhook, e.g. one that arrived before its order was stored.
+// The payment state machine still prevents double completion.
+app.post('/api/admin/webhooks/:eventId/replay', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const event = await webhookEventStore.get(req.params.eventId);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+
+        if (event.macVerified === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Webhooks that failed MAC verification cannot be replayed'
+            });
+        }
+
+        const gateway = event.gateway ? gateways.get(event.gateway) : legacyWebhookGateway();
+        if (!gateway) {
+            return res.status(409).json({
+                success: false,
+                message: `Payment gateway ${event.gateway || 'instamojo'} is not configured`
+            });
+        }
+
+        logger.info('Replaying webhook', { eventId: event.eventId, admin: req.admin.username });
+        const result = await applyWebhookEvent(gateway.parseWebhook(event.payload), gateway, `replay:${req.admin.username}`);
+        const replay = { ...result, at: new Date().toISOString(), by: req.admin.username };
+
+        const updated = await webhookEventStore.update(event.eventId, {
+            orderId: result.orderId || event.orderId || null,
+            replays: [...(event.replays || []), replay]
+        });
+
+        res.json({ success: true, data: { replay, event: updated } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN PACKAGE CATALOGUE
+app.get('/api/admin/packages', adminAuth.requireRole('viewer'), async (req, res, next) => {
+    try {
+        const packages = sortPackages(await packageStore.list());
+        res.json({ success: true, count: packages.length, data: packages });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/admin/packages', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        const { errors, values } = validatePackageInput(req.body);
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid package');
+        }
+
+        if (await packageStore.has(values.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A package with this id already exists'
+            });
+        }
+
+        const pkg = await packageStore.set(values.id, {
+            ...values,
+            createdAt: new Date().toISOString()
+        });
+        logger.info('Package created', { packageId: pkg.id, admin: req.admin.username });
+        res.status(201).json({ success: true, data: pkg });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Packages are never deleted because orders reference them - set active: false instead
+app.patch('/api/admin/packages/:packageId', adminAuth.requireRole('superadmin'), async (req, res, next) => {
+    try {
+        if (!(await packageStore.has(req.params.packageId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Package not found'
+            });
+        }
+
+        const { errors, values } = validatePackageInput(req.body, { partial: true });
+        if (values.id !== undefined && values.id !== req.params.packageId) {
+            errors.id = 'Package id cannot be changed';
+        }
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid package');
+        }
+
+        const pkg = await packageStore.update(req.params.packageId, {
+            ...values,
+            updatedAt: new Date().toISOString()
+        });
+        logger.info('Package updated', { packageId: pkg.id, admin: req.admin.username });
+        res.json({ success: true, data: pkg });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN ENQUIRY LEADS
+// Returns { errors, values, items } with items filtered and sorted (see filterLeads)
+async function queryEnquiries(query) {
+    const { errors, values } = parseListQuery(query, { sortFields: ['receivedAt', 'updatedAt', 'followUpAt', 'status', 'name', 'city'], defaultSort: 'receivedAt' });
+    const statuses = query.status ? String(query.status).split(',') : [];
+    const investments = query.investment ? String(query.investment).split(',') : [];
+    if (!statuses.every(isLeadStatus)) {
+        errors.status = `Status must be one of: ${Object.keys(LEAD_TRANSITIONS).join(', ')}`;
+    }
+    if (!investments.every(value => INVESTMENT_RANGES.includes(value))) {
+        errors.investment = `Investment must be one of: ${INVESTMENT_RANGES.join(', ')}`;
+    }
+    if (hasErrors(errors)) {
+        return { errors, values, items: [] };
+    }
+
+    const enquiries = filterLeads(await enquiryStore.list(), query)
+        .filter(lead => inDateRange(lead.receivedAt, values));
+    return { errors, values, items: sortItems(enquiries, values) };
+}
+
+app.get('/api/admin/enquiries', adminAuth.requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { errors, values, items } = await queryEnquiries(req.query);
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid enquiry filters');
+        }
+        res.json(paginate(items, values));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Registered before /:enquiryId so "export" isn't taken as an id
+app.get('/api/admin/enquiries/export', adminAuth.requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { errors, items } = await queryEnquiries(req.query);
+        const format = req.query.format || 'csv';
+        const { columns, error: columnsError } = selectColumns(ENQUIRY_COLUMNS, req.query.columns);
+        if (!EXPORT_FORMATS.includes(format)) errors.format = `Format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+        if (columnsError) errors.columns = columnsError;
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid export request');
+        }
+
+        logger.info('Enquiries exported', { format, rows: items.length, admin: req.admin.username });
+        await sendExport(res, { format, name: 'enquiries', columns, records: items });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/admin/enquiries/:enquiryId', adminAuth.requireRole('viewer'), async (req, res, next) => {
+    try {
+        const enquiry = await enquiryStore.get(req.params.enquiryId);
+        if (!enquiry) {
+            return res.status(404).json({ success: false, message: 'Enquiry not found' });
+        }
+        res.json({ success: true, data: enquiry, nextStatuses: LEAD_TRANSITIONS[enquiry.status] || [] });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Moves the lead through the pipeline and/or changes assignee and follow-up date.
+// A note is recorded with the status change, or on its own.
+app.patch('/api/admin/enquiries/:enquiryId', adminAuth.requireRole('sales'), async (req, res, next) => {
+    try {
+        const { errors, values } = validateLeadUpdate(req.body);
+        if (!hasErrors(errors) && Object.keys(values).length === 0) {
+            errors.body = 'Nothing to update (status, assignee, followUpAt or note)';
+        }
+        if (values.assignee && !(await adminAuth.findAdmin(values.assignee))) {
+            errors.assignee = 'No admin with this username';
+        }
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid lead update');
+        }
+
+        let lead = await enquiryStore.get(req.params.enquiryId);
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Enquiry not found' });
+        }
+
+        const by = req.admin.username;
+        const status = values.status !== undefined && values.status !== lead.status ? values.status : null;
+        if (status && !canTransitionLead(lead.status, status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot move a ${lead.status} lead to ${status}`
+            });
+        }
+
+        const now = new Date().toISOString();
+        const activity = [];
+        if (values.assignee !== undefined && values.assignee !== lead.assignee) {
+            activity.push(activityEntry('assigned', by, { from: lead.assignee, to: values.assignee }, now));
+            lead.assignee = values.assignee;
+        }
+        if (values.followUpAt !== undefined && values.followUpAt !== lead.followUpAt) {
+            activity.push(activityEntry('follow-up', by, { followUpAt: values.followUpAt }, now));
+            lead.followUpAt = values.followUpAt;
+        }
+        lead.activity = [...lead.activity, ...activity];
+
+        if (status) {
+            lead = transitionLead(lead, status, { by, note: values.note, at: now });
+        } else if (values.note) {
+            lead.activity.push(activityEntry('note', by, { note: values.note }, now));
+        }
+
+        if (status || activity.length > 0 || values.note) {
+            lead.updatedAt = now;
+            await enquiryStore.set(lead.enquiryId, lead);
+            logger.info('Lead updated', { enquiryId: lead.enquiryId, status: status || null, admin: by });
+        }
+        res.json({ success: true, data: lead });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/admin/enquiries/:enquiryId/notes', adminAuth.requireRole('sales'), async (req, res, next) => {
+    try {
+        const { errors, values } = validateLeadUpdate({ note: (req.body || {}).note === undefined ? '' : req.body.note });
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid note');
+        }
+
+        const lead = await enquiryStore.get(req.params.enquiryId);
+        if (!lead) {
+            return res.status(404).json({ success: false, message: 'Enquiry not found' });
+        }
+
+        const now = new Date().toISOString();
+        lead.activity.push(activityEntry('note', req.admin.username, { note: values.note }, now));
+        lead.updatedAt = now;
+        await enquiryStore.set(lead.enquiryId, lead);
+        res.status(201).json({ success: true, data: lead });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ADMIN APPLICANTS
+app.get('/api/admin/applicants', adminAuth.requireRole('sales'), async (req, res, next) => {
+    try {
+        const { errors, values } = parseListQuery(req.query, { sortFields: ['updatedAt', 'createdAt', 'name', 'city'], defaultSort: 'updatedAt' });
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid applicant filters');
+        }
+
+        let list;
+        if (req.query.email || req.query.phone) {
+            const applicant = await applicants.findByContact({ email: req.query.email, phone: req.query.phone });
+            list = applicant ? [applicant] : [];
+        } else {
+            list = await applicantStore.list();
+        }
+
+        list = list.filter(applicant => matchesSearch([applicant.applicantId, applicant.name, applicant.email, applicant.phone, applicant.city], values.q));
+        res.json(paginate(sortItems(list, values), values));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The applicant with every enquiry, order and status change in one response
+app.get('/api/admin/applicants/:applicantId', adminAuth.requireRole('sales'), async (req, res, next) => {
+    try {
+        const applicant = await applicantStore.get(req.params.applicantId);
+        if (!applicant) {
+            return res.status(404).json({ success: false, message: 'Applicant not found' });
+        }
+
+        const enquiries = (await Promise.all(applicant.enquiryIds.map(id => enquiryStore.get(id)))).filter(Boolean);
+        const orders = (await Promise.all(applicant.orderIds.map(id => paymentStore.get(id)))).filter(Boolean);
+
+        res.json({
+            success: true,
+            data: {
+                applicant,
+                enquiries,
+                orders: orders.map(orderSummary),
+                timeline: buildApplicantTimeline(enquiries, orders)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// EMAIL TEMPLATE PREVIEW (rendered with built-in sample data, nothing is sent)
+app.get('/api/admin/email-templates', adminAuth.requireRole('viewer'), (req, res) => {
+    res.json({ success: true, data: listTemplates() });
+});
+
+app.get('/api/admin/email-templates/:name/preview', adminAuth.requireRole('viewer'), (req, res) => {
+    const data = sampleData(req.params.name);
+    if (!data) {
+        return res.status(404).json({ success: false, message: 'Email template not found' });
+    }
+
+    const format = req.query.format || 'html';
+    const email = renderEmail(req.params.name, data, emailContext());
+
+    if (format === 'html') {
+        return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+        return res.type('text').send(email.text);
+    }
+    if (format === 'json') {
+        return res.json({ success: true, data: email });
+    }
+    sendValidationError(res, { format: 'Format must be html, text or json' }, 'format must be html, text or json');
+});
+
+// EMAIL OUTBOX
+app.get('/api/admin/emails', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const { errors, values } = parseListQuery(req.query, { sortFields: ['createdAt', 'sentAt'], defaultSort: 'createdAt' });
+        // from/to are the createdAt range (see parseListQuery), so the address filter is ?recipient=
+        const { status, recipient } = req.query;
+        if (status && !Object.values(EMAIL_STATUS).includes(status)) {
+            errors.status = `Status must be one of: ${Object.values(EMAIL_STATUS).join(', ')}`;
+        }
+        if (hasErrors(errors)) {
+            return sendValidationError(res, errors, 'Invalid email filters');
+        }
+
+        let emails = status ? await emailOutboxStore.findBy('status', status) : await emailOutboxStore.list();
+        emails = emails
+            .filter(email => !recipient || email.to === recipient)
+            .filter(email => inDateRange(email.createdAt, values))
+            .filter(email => matchesSearch([email.id, email.to, email.subject, email.template], values.q));
+        const page = paginate(sortItems(emails, values), values);
+        res.json({ ...page, data: page.data.map(summarizeEmail) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api/admin/emails/:emailId', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        const email = await emailOutboxStore.get(req.params.emailId);
+        if (!email) {
+            return res.status(404).json({ success: false, message: 'Email not found' });
+        }
+        res.json({ success: true, data: { ...email, attachments: describeAttachments(email.attachments) } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api/admin/emails/:emailId/resend', adminAuth.requireRole('finance'), async (req, res, next) => {
+    try {
+        if (!emailOutbox) {
+            return res.status(503).json({ success: false, message: 'Email is not configured' });
+        }
+        const email = await emailOutboxStore.get(req.params.emailId);
+        if (!email) {
+            return res.status(404).json({ success: false, message: 'Email not found' });
+        }
+        if (email.status === EMAIL_STATUS.QUEUED || email.status === EMAIL_STATUS.SENDING) {
+            return res.status(409).json({ success: false, message: `Email is already ${email.status}` });
+        }
+        if (email.contentPrunedAt) {
+            return res.status(409).json({ success: false, message: 'Email content was removed after the retention period' });
+        }
+
+        const updated = await emailOutbox.resend(email.id, req.admin.username);
+        logger.info('Email re-queued', { emailId: email.id, admin: req.admin.username });
+        res.json({ success: true, data: summarizeEmail(updated) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+    // Malformed or oversized bodies rejected by body-parser
+    if (err.type === 'entity.parse.failed') {
+        return sendValidationError(res, { body: 'Request body must be valid JSON' }, 'Malformed request body');
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ success: false, message: 'Request body too large' });
+    }
+
+    logger.error('Server error', { method: req.method, path: req.path, error: err });
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+    });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        message: 'Endpoint not found',
+        path: req.path
+    });
+});
+
+// Everything the app needs before it can serve requests: storage, the first
+// admin account, the email worker and the sweep that expires payments and
+// prunes the webhook log. server.js calls this before listening; tests call it
+// once per file.
+let initialized = null;
+
+function initApp() {
+    if (!initialized) {
+        initialized = (async () => {
+            await storage.init();
+            await ensureBootstrapAdmin();
+
+            if (emailOutbox) {
+                await emailOutbox.start();
+            }
+
+            await expireStalePayments();
+            await pruneWebhookEvents();
+            setInterval(() => {
+                expireStalePayments().catch(error => logger.error('Expiry sweep error', { error }));
+                pruneWebhookEvents().catch(error => logger.error('Webhook event prune error', { error }));
+            }, EXPIRY_SWEEP_INTERVAL_MS).unref();
+            logger.info('Storage ready', { driver: STORAGE_CONFIG.driver, ...(STORAGE_CONFIG.driver === 'file' ? { file: STORAGE_CONFIG.file } : {}) });
+        })();
+    }
+    return initialized;
+}
+
+module.exports = {
+    app,
+    initApp,
+    logger,
+    PAYMENT_CONFIG,
+    gateways,
+    emailTransport
+};
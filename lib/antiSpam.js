@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { DISPOSABLE_EMAIL_DOMAINS } = require('./disposableEmailDomains');
+
+// ============ SPAM PROTECTION ============
+// Self-hosted checks for the public forms, so no CAPTCHA service is needed:
+// - a honeypot field people never see, which form-filling bots complete
+// - a signed form token rendered into the page. A submission must come at
+//   least minFillMs after the page was served (people take a few seconds to
+//   fill a form in) and before the token expires, and each token is accepted
+//   once - app.js hands a fresh one back with every answer.
+// - a blocklist of disposable email domains
+// Duplicate submissions are matched against stored orders and enquiries in app.js.
+
+const HONEYPOT_FIELD = 'website';
+
+const SPAM_REASONS = {
+    HONEYPOT: 'honeypot',
+    MISSING_TOKEN: 'missing-token',
+    INVALID_TOKEN: 'invalid-token',
+    EXPIRED_TOKEN: 'expired-token',
+    REUSED_TOKEN: 'reused-token',
+    TOO_FAST: 'too-fast',
+    DISPOSABLE_EMAIL: 'disposable-email',
+    DUPLICATE: 'duplicate'
+};
+
+const SPAM_MESSAGES = {
+    [SPAM_REASONS.HONEYPOT]: 'Your submission could not be accepted',
+    [SPAM_REASONS.MISSING_TOKEN]: 'This form has expired. Please reload the page and try again.',
+    [SPAM_REASONS.INVALID_TOKEN]: 'This form has expired. Please reload the page and try again.',
+    [SPAM_REASONS.EXPIRED_TOKEN]: 'This form has expired. Please reload the page and try again.',
+    [SPAM_REASONS.REUSED_TOKEN]: 'This form was already sent. Please reload the page to send it again.',
+    [SPAM_REASONS.TOO_FAST]: 'Please take a moment to check your details, then submit again',
+    [SPAM_REASONS.DISPOSABLE_EMAIL]: 'Please use a permanent email address - disposable inboxes are not accepted'
+};
+
+// Tokens look like <issuedAt>.<nonce>.<signature>; the signature covers both
+// and is keyed by purpose so a form token can't be used as any other token
+function signFormToken(body, secret) {
+    return crypto.createHmac('sha256', secret).update(`form:${body}`).digest('base64url');
+}
+
+// options: { secret, minFillMs (default 3s), ttlMs (default 30 minutes) }
+function createFormTokens({ secret, minFillMs = 3000, ttlMs = 30 * 60 * 1000 }) {
+    // Nonce -> expiry of every redeemed token. A token is only replayable until it
+    // expires, so entries are dropped then. Kept in memory, like the rate limits.
+    const redeemed = new Map();
+
+    function issue(now = Date.now()) {
+        const body = `${now}.${crypto.randomBytes(9).toString('base64url')}`;
+        return `${body}.${signFormToken(body, secret)}`;
+    }
+
+    // Resolves to null for a usable token, else the SPAM_REASONS value
+    function check(token, now = Date.now()) {
+        if (typeof token !== 'string' || !token) {
+            return SPAM_REASONS.MISSING_TOKEN;
+        }
+        const parts = token.split('.');
+        if (parts.length !== 3 || !/^\d+$/.test(parts[0])) {
+            return SPAM_REASONS.INVALID_TOKEN;
+        }
+        const body = `${parts[0]}.${parts[1]}`;
+        const expected = Buffer.from(signFormToken(body, secret));
+        const given = Buffer.from(parts[2]);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return SPAM_REASONS.INVALID_TOKEN;
+        }
+        const age = now - Number(parts[0]);
+        if (age < minFillMs) {
+            return SPAM_REASONS.TOO_FAST;
+        }
+        if (age > ttlMs) {
+            return SPAM_REASONS.EXPIRED_TOKEN;
+        }
+        return null;
+    }
+
+    // check(), then marks the token used; a second redemption is REUSED_TOKEN
+    function redeem(token, now = Date.now()) {
+        const reason = check(token, now);
+        if (reason) {
+            return reason;
+        }
+        for (const [nonce, expiresAt] of redeemed) {
+            if (expiresAt < now) {
+                redeemed.delete(nonce);
+            }
+        }
+        const [issuedAt, nonce] = token.split('.');
+        if (redeemed.has(nonce)) {
+            return SPAM_REASONS.REUSED_TOKEN;
+        }
+        redeemed.set(nonce, Number(issuedAt) + ttlMs);
+        return null;
+    }
+
+    return { issue, check, redeem };
+}
+
+function honeypotFilled(body) {
+    const value = body && body[HONEYPOT_FIELD];
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Checks the honeypot, then redeems the form token when requireToken is set.
+// Returns null when the submission may go on, else { reason, message }.
+function checkSubmission(body, { formTokens, requireToken = true, now = Date.now() }) {
+    let reason = null;
+    if (honeypotFilled(body)) {
+        reason = SPAM_REASONS.HONEYPOT;
+    } else if (requireToken) {
+        reason = formTokens.redeem(body && body.formToken, now);
+    }
+    return reason ? { reason, message: SPAM_MESSAGES[reason] } : null;
+}
+
+// Normalizes "Mailinator.com, @yopmail.com" into a list of domains
+function parseDomainList(value) {
+    return String(value || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean);
+}
+
+// True when the email's domain, or any domain it is a subdomain of, is listed
+function isDisposableEmail(email, extraDomains = []) {
+    const at = String(email || '').lastIndexOf('@');
+    if (at === -1) {
+        return false;
+    }
+    const blocked = new Set([...DISPOSABLE_EMAIL_DOMAINS, ...extraDomains]);
+    const labels = String(email).slice(at + 1).trim().toLowerCase().split('.');
+    for (let i = 0; i < labels.length - 1; i += 1) {
+        if (blocked.has(labels.slice(i).join('.'))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    SPAM_REASONS,
+    SPAM_MESSAGES,
+    createFormTokens,
+    checkSubmission,
+    parseDomainList,
+    isDisposableEmail
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { normalizeMobile } = require('./validation');
+const { createLogger } = require('./logger');
+
+// ============ APPLICANTS ============
+// One applicant record per person, matched on email first and then on mobile
+// number, so an enquiry and a later payment from the same person end up on the
+// same record. Enquiries and orders keep their own ids and carry applicantId.
+
+function generateApplicantId() {
+    return 'APL_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function contactKeys(contact) {
+    return {
+        email: contact.email ? String(contact.email).trim().toLowerCase() : null,
+        phone: contact.phone ? normalizeMobile(contact.phone) : null
+    };
+}
+
+function newApplicant(contact, at) {
+    const { email, phone } = contactKeys(contact);
+    return {
+        applicantId: generateApplicantId(),
+        name: contact.name || null,
+        email,
+        phone,
+        city: contact.city || null,
+        enquiryIds: [],
+        orderIds: [],
+        createdAt: at,
+        updatedAt: at
+    };
+}
+
+// Adds the enquiry/order to the applicant and refreshes contact details with the
+// latest submission (keeping old values when the new one is missing)
+function attachToApplicant(applicant, contact, { enquiryId, orderId }, at) {
+    const { email, phone } = contactKeys(contact);
+    const updated = {
+        ...applicant,
+        name: contact.name || applicant.name,
+        email: applicant.email || email,
+        phone: applicant.phone || phone,
+        city: contact.city || applicant.city,
+        updatedAt: at
+    };
+    if (enquiryId && !updated.enquiryIds.includes(enquiryId)) {
+        updated.enquiryIds = [...updated.enquiryIds, enquiryId];
+    }
+    if (orderId && !updated.orderIds.includes(orderId)) {
+        updated.orderIds = [...updated.orderIds, orderId];
+    }
+    return updated;
+}
+
+function createApplicantRegistry({ store, logger = createLogger() }) {
+    // Links run one at a time so two simultaneous submissions from the same
+    // person can't both create a new applicant
+    let queue = Promise.resolve();
+
+    async function findByContact(contact) {
+        const { email, phone } = contactKeys(contact);
+        return (email && await store.findOneBy('email', email))
+            || (phone && await store.findOneBy('phone', phone))
+            || null;
+    }
+
+    // Every applicant sharing the contact's email or its mobile number (at most
+    // two: the email can belong to one record and the number to another)
+    async function findAllByContact(contact) {
+        const { email, phone } = contactKeys(contact);
+        const matches = [
+            email && await store.findOneBy('email', email),
+            phone && await store.findOneBy('phone', phone)
+        ].filter(Boolean);
+        return matches.filter((applicant, index) => matches.findIndex(other => other.applicantId === applicant.applicantId) === index);
+    }
+
+    async function link(contact, ids) {
+        const at = new Date().toISOString();
+        const existing = await findByContact(contact);
+        const applicant = attachToApplicant(existing || newApplicant(contact, at), contact, ids, at);
+        await store.set(applicant.applicantId, applicant);
+        if (!existing) {
+            logger.info('New applicant', { applicantId: applicant.applicantId });
+        }
+        return applicant;
+    }
+
+    // ids: { enquiryId } or { orderId }. Returns the applicant.
+    function linkApplicant(contact, ids) {
+        const run = queue.then(() => link(contact, ids));
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return { findByContact, findAllByContact, linkApplicant };
+}
+
+function orderSummary(order) {
+    return {
+        orderId: order.orderId,
+        status: order.status,
+        packageId: order.packageId || null,
+        packageName: order.packageName || (order.customerData && order.customerData.packageType) || null,
+        amount: order.amount,
+        paymentId: order.paymentId || null,
+        createdAt: order.createdAt,
+        completedAt: order.completedAt || null
+    };
+}
+
+// Everything that happened to an applicant, oldest first
+function buildApplicantTimeline(enquiries, orders) {
+    const events = [];
+    for (const enquiry of enquiries) {
+        for (const entry of enquiry.activity || [{ at: enquiry.receivedAt, type: 'created' }]) {
+            events.push({ at: entry.at, kind: 'enquiry', enquiryId: enquiry.enquiryId, ...entry });
+        }
+    }
+    for (const order of orders) {
+        for (const entry of order.statusHistory || []) {
+            events.push({ at: entry.at, kind: 'order', orderId: order.orderId, type: 'status', ...entry });
+        }
+    }
+    return events.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+module.exports = {
+    createApplicantRegistry,
+    orderSummary,
+    buildApplicantTimeline
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// ============ ADMIN ROLES ============
+// Ordered from least to most privileged - a role can do everything the roles
+// before it can. sales works enquiry leads, finance handles payments.
+const ROLES = ['viewer', 'sales', 'finance', 'superadmin'];
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function isValidRole(role) {
+    return roleRank(role) !== -1;
+}
+
+// ============ PASSWORD HASHING ============
+// Stored as "scrypt$<salt>$<hash>" so the scheme can be changed later.
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+            if (error) return reject(error);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+// ============ SIGNED TOKENS ============
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(payload, secret) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+function verify(token, secret) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('base64url'));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============ ADMIN AUTH ============
+function createAdminAuth({ store, secret, tokenTtlHours = 12, linkTtlHours = 72 }) {
+    async function findAdmin(username) {
+        return store.get(String(username || '').trim().toLowerCase());
+    }
+
+    async function createAdmin({ username, password, role }) {
+        const id = String(username || '').trim().toLowerCase();
+        if (!id || !password) {
+            throw new Error('Username and password are required');
+        }
+        if (!isValidRole(role)) {
+            throw new Error(`Invalid role (expected: ${ROLES.join(', ')})`);
+        }
+        if (await store.has(id)) {
+            throw new Error('Admin user already exists');
+        }
+
+        const admin = {
+            username: id,
+            role,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        await store.set(id, admin);
+        return publicAdmin(admin);
+    }
+
+    async function login(username, password) {
+        const admin = await findAdmin(username);
+        // Hash anyway when the user is unknown so response times don't reveal valid usernames
+        const valid = await verifyPassword(password || '', admin ? admin.passwordHash : 'scrypt$00$00');
+        if (!admin || !valid) {
+            return null;
+        }
+
+        const expiresAt = Date.now() + tokenTtlHours * 60 * 60 * 1000;
+        await store.update(admin.username, { lastLoginAt: new Date().toISOString() });
+        return {
+            token: sign({ sub: admin.username, exp: expiresAt }, secret),
+            expiresAt: new Date(expiresAt).toISOString(),
+            admin: publicAdmin(admin)
+        };
+    }
+
+    // Read-only token for a single admin GET path, used for links in notification emails
+    function createLinkToken(pathname, role) {
+        return sign({
+            sub: 'email-link',
+            role,
+            scope: pathname,
+            exp: Date.now() + linkTtlHours * 60 * 60 * 1000
+        }, secret);
+    }
+
+    function requireRole(minimumRole) {
+        return async (req, res, next) => {
+            try {
+                const header = req.get('Authorization') || '';
+                const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+                const payload = verify(bearer || req.query.token, secret);
+
+                if (!payload) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Admin authentication required'
+                    });
+                }
+
+                let admin;
+                if (payload.scope) {
+                    // Link tokens only open the exact path they were issued for
+                    if (payload.scope !== req.path || req.method !== 'GET') {
+                        return res.status(403).json({
+                            success: false,
+                            message: 'Link token not valid for this resource'
+                        });
+                    }
+                    admin = { username: payload.sub, role: payload.role };
+                } else {
+                    // Always use the stored role so removed or demoted admins lose access immediately
+                    const stored = await findAdmin(payload.sub);
+                    if (!stored) {
+                        return res.status(401).json({
+                            success: false,
+                            message: 'Admin account no longer exists'
+                        });
+                    }
+                    admin = publicAdmin(stored);
+                }
+
+                if (roleRank(admin.role) < roleRank(minimumRole)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: `Requires ${minimumRole} role`
+                    });
+                }
+
+                req.admin = admin;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    return { findAdmin, createAdmin, login, createLinkToken, requireRole };
+}
+
+function publicAdmin(admin) {
+    const { passwordHash, ...rest } = admin;
+    return rest;
+}
+
+module.exports = {
+    ROLES,
+    roleRank,
+    isValidRole,
+    hashPassword,
+    verifyPassword,
+    createAdminAuth,
+    publicAdmin
+};
@@ -0,0 +1,79 @@
+// ============ DISPOSABLE EMAIL DOMAINS ============
+// Throwaway-inbox services that spam bots sign up with. Subdomains match too
+// (x.mailinator.com). Add more with BLOCKED_EMAIL_DOMAINS instead of editing
+// this list.
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+    '10minutemail.com',
+    '10minutemail.net',
+    '20minutemail.com',
+    '33mail.com',
+    'anonbox.net',
+    'burnermail.io',
+    'byom.de',
+    'discard.email',
+    'discardmail.com',
+    'dispostable.com',
+    'dropmail.me',
+    'emailondeck.com',
+    'emltmp.com',
+    'fakeinbox.com',
+    'fakemail.net',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'inboxbear.com',
+    'incognitomail.org',
+    'jetable.org',
+    'mail-temp.com',
+    'mail.tm',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailinator2.com',
+    'mailnesia.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'sharklasers.com',
+    'spam4.me',
+    'spambox.us',
+    'spamgourmet.com',
+    'tempail.com',
+    'tempinbox.com',
+    'tempmail.com',
+    'tempmail.dev',
+    'tempmail.net',
+    'tempmailo.com',
+    'tempr.email',
+    'temp-mail.io',
+    'temp-mail.org',
+    'throwawaymail.com',
+    'tmail.ws',
+    'tmpmail.net',
+    'tmpmail.org',
+    'trash-mail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.net',
+    'wegwerfmail.de',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net',
+    'zetmail.com'
+];
+
+module.exports = { DISPOSABLE_EMAIL_DOMAINS };
@@ -0,0 +1,53 @@
+// ============ HTML ESCAPING ============
+// `html` is a tagged template: every interpolated value is escaped unless it is
+// itself the result of html`...` (or raw()), so templates are safe by default.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+// Only for markup that is already trusted (never for user data)
+function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+module.exports = { html, raw, escapeHtml, SafeHtml };
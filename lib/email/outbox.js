@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { createLogger, currentRequestId, runWithRequestId } = require('../logger');
+const { createMetrics } = require('../metrics');
+
+// ============ EMAIL OUTBOX ============
+// Emails are written to the outbox collection first and delivered by a
+// background worker, so a transient SMTP error only delays a message instead
+// of losing it. Failed attempts are retried with exponential backoff until
+// maxAttempts, after which the message stays `failed` until an admin resends it.
+// Attachments are stored with the message as base64 ({ filename, contentType,
+// content, source }) until it is delivered. Then only their name and size are
+// kept; on a resend loadAttachment(attachment) rebuilds the content from its
+// source (e.g. the order an invoice PDF belongs to). retentionMs after a
+// message was sent its html and text bodies are dropped too; the record and its
+// delivery log are kept as the audit trail.
+// Each message keeps the id of the request that queued it; delivery is logged
+// under that id and the mail carries it as an X-Request-Id header.
+
+const EMAIL_STATUS = {
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+function generateEmailId() {
+    return 'MAIL_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Delay before the attempt after `attempts` failures: base, 2x base, 4x base ... capped at maxDelayMs
+function retryDelay(attempts, baseDelayMs, maxDelayMs) {
+    return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+}
+
+// What is kept of an attachment once its message is delivered
+function withoutContent({ content, ...attachment }) {
+    return content === undefined ? attachment : { ...attachment, size: Buffer.byteLength(content, 'base64') };
+}
+
+function createEmailOutbox({ store, transport, from, maxAttempts = 6, baseDelayMs = 30 * 1000, maxDelayMs = 60 * 60 * 1000, pollIntervalMs = 5000, retentionMs = 30 * 24 * 60 * 60 * 1000, pruneIntervalMs = 60 * 60 * 1000, loadAttachment = null, logger = createLogger(), metrics = createMetrics() }) {
+    let timer = null;
+    let pruneTimer = null;
+    let running = null;
+    let rerun = false;
+
+    function logEntry(event, details) {
+        return { at: new Date().toISOString(), event, ...details };
+    }
+
+    async function enqueue({ to, subject, html, text, template, attachments }) {
+        const now = new Date().toISOString();
+        const message = {
+            id: generateEmailId(),
+            to,
+            subject,
+            html,
+            text,
+            attachments: attachments || [],
+            template: template || null,
+            requestId: currentRequestId(),
+            status: EMAIL_STATUS.QUEUED,
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now,
+            sentAt: null,
+            lastError: null,
+            log: [logEntry('queued')]
+        };
+        await store.set(message.id, message);
+        logger.info('Email queued', { emailId: message.id, template: template || subject, to });
+        kick();
+        return message;
+    }
+
+    async function attachmentContent(attachment) {
+        if (attachment.content !== undefined) {
+            return attachment.content;
+        }
+        const content = loadAttachment && attachment.source ? await loadAttachment(attachment) : null;
+        if (!content) {
+            throw new Error(`Attachment ${attachment.filename} is no longer available`);
+        }
+        return content;
+    }
+
+    function deliver(message) {
+        return runWithRequestId(message.requestId || null, () => attempt(message));
+    }
+
+    async function attempt(message) {
+        message = await store.update(message.id, {
+            status: EMAIL_STATUS.SENDING,
+            attempts: message.attempts + 1
+        });
+
+        try {
+            const attachments = [];
+            for (const attachment of message.attachments || []) {
+                const { filename, contentType } = attachment;
+                attachments.push({ filename, contentType, content: await attachmentContent(attachment), encoding: 'base64' });
+            }
+            const info = await transport.send({
+                from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                attachments,
+                headers: message.requestId ? { 'X-Request-Id': message.requestId } : {}
+            }, message.id);
+            await store.update(message.id, {
+                status: EMAIL_STATUS.SENT,
+                sentAt: new Date().toISOString(),
+                nextAttemptAt: null,
+                lastError: null,
+                attachments: (message.attachments || []).map(withoutContent),
+                log: [...message.log, logEntry('sent', { attempt: message.attempts, transport: transport.name, messageId: info && info.messageId })]
+            });
+            metrics.recordEmail(message.template, 'sent');
+            logger.info('Email sent', { emailId: message.id, to: message.to, attempt: message.attempts });
+        } catch (error) {
+            const exhausted = message.attempts >= maxAttempts;
+            const nextAttemptAt = exhausted ? null : new Date(Date.now() + retryDelay(message.attempts, baseDelayMs, maxDelayMs)).toISOString();
+            await store.update(message.id, {
+                status: exhausted ? EMAIL_STATUS.FAILED : EMAIL_STATUS.QUEUED,
+                nextAttemptAt,
+                lastError: error.message,
+                log: [...message.log, logEntry(exhausted ? 'failed' : 'attempt-failed', { attempt: message.attempts, transport: transport.name, error: error.message, nextAttemptAt })]
+            });
+            metrics.recordEmail(message.template, 'failed');
+            logger.error('Email delivery failed', { emailId: message.id, attempt: message.attempts, maxAttempts, retryAt: nextAttemptAt, error });
+        }
+    }
+
+    async function runDue() {
+        const now = Date.now();
+        const queued = await store.findBy('status', EMAIL_STATUS.QUEUED);
+        const due = queued.filter(message => new Date(message.nextAttemptAt).getTime() <= now);
+        due.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+        for (const message of due) {
+            await deliver(message);
+        }
+        return due.length;
+    }
+
+    // Sends every message that is due. Calls made during a run share it, and
+    // trigger one more pass so messages queued meanwhile aren't left waiting.
+    function processDue() {
+        if (running) {
+            rerun = true;
+            return running;
+        }
+        running = (async () => {
+            let sent = 0;
+            do {
+                rerun = false;
+                sent += await runDue();
+            } while (rerun);
+            return sent;
+        })().finally(() => {
+            running = null;
+        });
+        return running;
+    }
+
+    function kick() {
+        setImmediate(() => {
+            processDue().catch(error => logger.error('Email outbox error', { error }));
+        });
+    }
+
+    async function resend(id, admin) {
+        const message = await store.get(id);
+        if (!message) {
+            return null;
+        }
+        if (message.status === EMAIL_STATUS.QUEUED || message.status === EMAIL_STATUS.SENDING) {
+            return message;
+        }
+        const updated = await store.update(id, {
+            status: EMAIL_STATUS.QUEUED,
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            log: [...message.log, logEntry('resend-requested', { by: admin || null })]
+        });
+        kick();
+        return updated;
+    }
+
+    // Drops the bodies of delivered messages sent more than retentionMs ago
+    async function prune(now = Date.now()) {
+        const cutoff = new Date(now - retentionMs).toISOString();
+        const expired = (await store.findBy('status', EMAIL_STATUS.SENT))
+            .filter(message => message.sentAt < cutoff && !message.contentPrunedAt);
+        for (const message of expired) {
+            await store.update(message.id, {
+                html: null,
+                text: null,
+                attachments: (message.attachments || []).map(withoutContent),
+                contentPrunedAt: new Date(now).toISOString(),
+                log: [...message.log, logEntry('content-pruned')]
+            });
+        }
+        if (expired.length > 0) {
+            logger.info('Delivered email bodies pruned', { count: expired.length, sentBefore: cutoff });
+        }
+        return expired.length;
+    }
+
+    // Messages left in `sending` by a crash are retried; the worker then polls for due retries
+    async function start() {
+        const interrupted = await store.findBy('status', EMAIL_STATUS.SENDING);
+        for (const message of interrupted) {
+            await store.update(message.id, {
+                status: EMAIL_STATUS.QUEUED,
+                nextAttemptAt: new Date().toISOString(),
+                log: [...message.log, logEntry('interrupted')]
+            });
+        }
+
+        timer = setInterval(() => {
+            processDue().catch(error => logger.error('Email outbox error', { error }));
+        }, pollIntervalMs);
+        timer.unref();
+        kick();
+
+        await prune();
+        pruneTimer = setInterval(() => {
+            prune().catch(error => logger.error('Email outbox prune error', { error }));
+        }, pruneIntervalMs);
+        pruneTimer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        clearInterval(pruneTimer);
+        timer = null;
+        pruneTimer = null;
+    }
+
+    return { enqueue, processDue, resend, prune, start, stop };
+}
+
+// List view of an outbox message (bodies are only returned by the detail endpoint)
+function summarizeEmail(message) {
+    const { html, text, log, attachments, ...summary } = message;
+    return { ...summary, attachments: describeAttachments(attachments) };
+}
+
+// Attachment names and sizes without the content
+function describeAttachments(attachments) {
+    return (attachments || []).map(({ filename, contentType, content, size }) => ({
+        filename,
+        contentType,
+        size: content === undefined ? size || 0 : Buffer.byteLength(content, 'base64')
+    }));
+}
+
+module.exports = { EMAIL_STATUS, retryDelay, createEmailOutbox, summarizeEmail, describeAttachments };
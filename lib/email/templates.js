@@ -0,0 +1,574 @@
+const { html } = require('./html');
+
+// ============ EMAIL TEMPLATES ============
+// Each template renders { subject, html, text } from its data plus a shared
+// context ({ baseUrl, testMode }). `sample` is used by the admin preview route.
+
+const CONTACT = {
+    email: 'franchise@zudio.com',
+    phone: '+91 22 6619 7000'
+};
+
+function formatDate(value) {
+    return new Date(value || Date.now()).toLocaleDateString('en-IN');
+}
+
+function formatDateTime(value) {
+    return new Date(value || Date.now()).toLocaleString('en-IN');
+}
+
+function testPrefix(context) {
+    return context.testMode ? '[TEST] ' : '';
+}
+
+function copyright() {
+    return `© ${new Date().getFullYear()} Zudio (Trent Ltd.). Part of the Tata Group.`;
+}
+
+function statusUrl(data, context) {
+    return `${context.baseUrl}/api/payment-status/${encodeURIComponent(data.orderId)}`;
+}
+
+function textLines(lines) {
+    return lines.filter(line => line !== null && line !== undefined && line !== false).join('\n');
+}
+
+// ============ CUSTOMER TEMPLATES ============
+const paymentLink = {
+    description: 'Sent to the applicant with their payment link after /api/create-payment',
+    sample: {
+        name: 'Priya Sharma',
+        orderId: 'ZUDIO_1700000000000_ABCD1234',
+        amount: 10000,
+        purpose: 'Zudio Franchise Registration - Premium Registration',
+        createdAt: '2025-01-15T10:30:00.000Z',
+        paymentUrl: 'https://www.instamojo.com/@zudio/example'
+    },
+    subject: (data, context) => `${testPrefix(context)}Complete Your Zudio Franchise Payment`,
+    html: (data, context) => html`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #000; color: white; padding: 30px; text-align: center; }
+                .header h1 { margin: 0; font-size: 32px; }
+                .content { padding: 30px; background: #f9f9f9; }
+                .button { display: inline-block; padding: 15px 40px; background: #000; color: white !important; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+                .details { background: white; padding: 20px; border-left: 4px solid #000; margin: 20px 0; }
+                .footer { text-align: center; padding: 20px; color: #666; }
+                .payment-link { background: #fff3cd; border: 2px solid #ffc107; padding: 15px; border-radius: 8px; margin: 20px 0; word-break: break-all; }
+                .test-mode-badge { background: #ff6b6b; color: white; padding: 8px 15px; border-radius: 20px; font-size: 12px; font-weight: bold; display: inline-block; margin: 10px 0; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>ZUDIO FRANCHISE</h1>
+                </div>
+                <div class="content">
+                    ${context.testMode && html`<div style="text-align: center;"><span class="test-mode-badge">🧪 TEST MODE - DEMO PAYMENT</span></div>`}
+                    <h2>Complete Your Payment</h2>
+                    <p>Hi ${data.name},</p>
+                    <p>Your Zudio franchise registration payment request has been created successfully.</p>
+
+                    <div class="details">
+                        <strong>Order Details:</strong><br>
+                        <strong>Order ID:</strong> ${data.orderId}<br>
+                        <strong>Amount:</strong> ₹${data.amount}<br>
+                        <strong>Purpose:</strong> ${data.purpose}<br>
+                        <strong>Date:</strong> ${formatDate(data.createdAt)}
+                    </div>
+
+                    <p><strong>Complete your payment by clicking the button below:</strong></p>
+                    <p style="text-align: center;">
+                        <a href="${data.paymentUrl}" class="button" style="color: white !important;">PAY NOW - ₹${data.amount}</a>
+                    </p>
+
+                    <div class="payment-link">
+                        <strong>📎 Payment Link:</strong><br>
+                        <a href="${data.paymentUrl}" style="color: #0066cc; text-decoration: none;">${data.paymentUrl}</a>
+                    </div>
+
+                    ${context.testMode
+                        ? html`<p style="background: #fff3cd; padding: 15px; border-radius: 8px; font-size: 14px;"><strong>⚠️ Note:</strong> This is a test/demo payment link. In production mode, this will redirect to the actual Instamojo payment gateway.</p>`
+                        : html`<p><strong>⏰ Important:</strong> This payment link is valid for 24 hours.</p>`}
+
+                    <p>After successful payment, our team will contact you within 24 hours to proceed with your franchise application.</p>
+
+                    <div class="footer">
+                        <p><strong>Contact Information:</strong></p>
+                        <p>Email: ${CONTACT.email}<br>
+                        Phone: ${CONTACT.phone}</p>
+                        <p style="margin-top: 20px; font-size: 12px;">
+                            ${copyright()}<br>
+                            All rights reserved.
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `,
+    text: (data, context) => textLines([
+        context.testMode && '*** TEST MODE - DEMO PAYMENT ***\n',
+        `Hi ${data.name},`,
+        '',
+        'Your Zudio franchise registration payment request has been created successfully.',
+        '',
+        `Order ID: ${data.orderId}`,
+        `Amount: ₹${data.amount}`,
+        `Purpose: ${data.purpose}`,
+        `Date: ${formatDate(data.createdAt)}`,
+        '',
+        'Complete your payment here:',
+        data.paymentUrl,
+        '',
+        context.testMode
+            ? 'Note: This is a test/demo payment link. No real payment will be taken.'
+            : 'This payment link is valid for 24 hours.',
+        '',
+        'After successful payment, our team will contact you within 24 hours to proceed with your franchise application.',
+        '',
+        `Email: ${CONTACT.email}`,
+        `Phone: ${CONTACT.phone}`
+    ])
+};
+
+const paymentSuccess = {
+    description: 'Sent to the applicant when their payment is completed',
+    sample: {
+        name: 'Priya Sharma',
+        orderId: 'ZUDIO_1700000000000_ABCD1234',
+        paymentId: 'MOJO5a06005J21512197',
+        amount: 10000,
+        completedAt: '2025-01-15T10:35:00.000Z',
+        invoiceNumber: 'ZF/2024-25/00042',
+        invoiceUrl: 'http://localhost:3000/api/orders/ZUDIO_1700000000000_ABCD1234/invoice?token=sample'
+    },
+    subject: () => '✓ Payment Successful - Zudio Franchise',
+    html: (data) => html`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #28a745; color: white; padding: 30px; text-align: center; }
+                .header h1 { margin: 0; font-size: 32px; }
+                .content { padding: 30px; background: #f9f9f9; }
+                .success { background: #d4edda; border-left: 4px solid #28a745; padding: 20px; margin: 20px 0; }
+                .details { background: white; padding: 20px; margin: 20px 0; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>✓ PAYMENT SUCCESSFUL</h1>
+                </div>
+                <div class="content">
+                    <h2>Thank You for Your Payment!</h2>
+                    <p>Hi ${data.name},</p>
+
+                    <div class="success">
+                        <strong>✓ Your payment has been received successfully!</strong>
+                    </div>
+
+                    <div class="details">
+                        <p><strong>Payment Details:</strong></p>
+                        <ul>
+                            <li><strong>Order ID:</strong> ${data.orderId}</li>
+                            <li><strong>Payment ID:</strong> ${data.paymentId}</li>
+                            <li><strong>Amount:</strong> ₹${data.amount}</li>
+                            <li><strong>Status:</strong> <span style="color: green; font-weight: bold;">COMPLETED</span></li>
+                            <li><strong>Date:</strong> ${formatDate(data.completedAt)}</li>
+                            ${data.invoiceNumber ? html`<li><strong>Invoice No.:</strong> ${data.invoiceNumber}</li>` : ''}
+                        </ul>
+                        ${data.invoiceUrl ? html`<p>Your GST tax invoice is attached as a PDF. You can also <a href="${data.invoiceUrl}">download it here</a>.</p>` : ''}
+                    </div>
+
+                    <h3>Next Steps:</h3>
+                    <ol>
+                        <li>Our franchise team will review your application</li>
+                        <li>We'll contact you within 24 hours</li>
+                        <li>Site selection assistance will be provided</li>
+                        <li>Franchise agreement preparation</li>
+                        <li>Training and onboarding</li>
+                    </ol>
+
+                    <p style="margin-top: 30px;"><strong>Contact Information:</strong><br>
+                    Email: ${CONTACT.email}<br>
+                    Phone: ${CONTACT.phone}</p>
+
+                    <p style="margin-top: 30px; text-align: center; color: #666; font-size: 12px;">
+                        ${copyright()} All rights reserved.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `,
+    text: (data) => textLines([
+        `Hi ${data.name},`,
+        '',
+        'Thank you - your payment has been received successfully!',
+        '',
+        `Order ID: ${data.orderId}`,
+        `Payment ID: ${data.paymentId}`,
+        `Amount: ₹${data.amount}`,
+        'Status: COMPLETED',
+        `Date: ${formatDate(data.completedAt)}`,
+        data.invoiceNumber && `Invoice No.: ${data.invoiceNumber}`,
+        data.invoiceUrl && `Your GST tax invoice is attached. Download it again: ${data.invoiceUrl}`,
+        '',
+        'Next steps:',
+        '1. Our franchise team will review your application',
+        '2. We\'ll contact you within 24 hours',
+        '3. Site selection assistance will be provided',
+        '4. Franchise agreement preparation',
+        '5. Training and onboarding',
+        '',
+        `Email: ${CONTACT.email}`,
+        `Phone: ${CONTACT.phone}`
+    ])
+};
+
+const enquiryReceived = {
+    description: 'Sent to the applicant after they submit the contact form',
+    sample: {
+        name: 'Rahul Verma',
+        enquiryId: 'ZUDIO_1700000000000_EF567890'
+    },
+    subject: () => 'Your Zudio Franchise Enquiry Received',
+    html: (data) => html`
+        <h2>Enquiry Received - Zudio Franchise</h2>
+        <p>Hi ${data.name},</p>
+        <p>Thank you for your interest in Zudio franchise opportunity!</p>
+        <p><strong>Enquiry ID:</strong> ${data.enquiryId}</p>
+        <p>Our team will contact you within 24-48 hours.</p>
+        <p>Best regards,<br>Zudio Franchise Team</p>
+    `,
+    text: (data) => textLines([
+        `Hi ${data.name},`,
+        '',
+        'Thank you for your interest in Zudio franchise opportunity!',
+        `Enquiry ID: ${data.enquiryId}`,
+        'Our team will contact you within 24-48 hours.',
+        '',
+        'Best regards,',
+        'Zudio Franchise Team'
+    ])
+};
+
+const refundProcessed = {
+    description: 'Sent to the applicant when a refund of their payment has been processed',
+    sample: {
+        name: 'Priya Sharma',
+        orderId: 'ZUDIO_1700000000000_ABCD1234',
+        paymentId: 'MOJO5a06005J21512197',
+        refundId: 'RFD_1700000000000_1A2B3C4D',
+        amount: 5000,
+        totalRefunded: 5000,
+        orderAmount: 10000,
+        reason: 'Registration cancelled or changed',
+        processedAt: '2025-01-20T09:00:00.000Z'
+    },
+    subject: (data, context) => `${testPrefix(context)}Refund Processed - Zudio Franchise`,
+    html: (data) => html`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #000; color: white; padding: 30px; text-align: center; }
+                .header h1 { margin: 0; font-size: 28px; }
+                .content { padding: 30px; background: #f9f9f9; }
+                .details { background: white; padding: 20px; margin: 20px 0; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>REFUND PROCESSED</h1>
+                </div>
+                <div class="content">
+                    <p>Hi ${data.name},</p>
+                    <p>We have processed a refund of <strong>₹${data.amount}</strong> for your Zudio franchise registration payment.</p>
+
+                    <div class="details">
+                        <p><strong>Refund Details:</strong></p>
+                        <ul>
+                            <li><strong>Refund ID:</strong> ${data.refundId}</li>
+                            <li><strong>Order ID:</strong> ${data.orderId}</li>
+                            <li><strong>Payment ID:</strong> ${data.paymentId}</li>
+                            <li><strong>Refund Amount:</strong> ₹${data.amount}</li>
+                            <li><strong>Total Refunded:</strong> ₹${data.totalRefunded} of ₹${data.orderAmount}</li>
+                            <li><strong>Reason:</strong> ${data.reason}</li>
+                            <li><strong>Date:</strong> ${formatDate(data.processedAt)}</li>
+                        </ul>
+                    </div>
+
+                    <p>The money goes back to the account or card you paid with. Depending on your bank it can take 5-7 working days to appear on your statement.</p>
+
+                    <p style="margin-top: 30px;"><strong>Questions?</strong><br>
+                    Email: ${CONTACT.email}<br>
+                    Phone: ${CONTACT.phone}</p>
+
+                    <p style="margin-top: 30px; text-align: center; color: #666; font-size: 12px;">
+                        ${copyright()} All rights reserved.
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `,
+    text: (data) => textLines([
+        `Hi ${data.name},`,
+        '',
+        `We have processed a refund of ₹${data.amount} for your Zudio franchise registration payment.`,
+        '',
+        `Refund ID: ${data.refundId}`,
+        `Order ID: ${data.orderId}`,
+        `Payment ID: ${data.paymentId}`,
+        `Refund Amount: ₹${data.amount}`,
+        `Total Refunded: ₹${data.totalRefunded} of ₹${data.orderAmount}`,
+        `Reason: ${data.reason}`,
+        `Date: ${formatDate(data.processedAt)}`,
+        '',
+        'The money goes back to the account or card you paid with. Depending on your bank it can take 5-7 working days to appear on your statement.',
+        '',
+        `Email: ${CONTACT.email}`,
+        `Phone: ${CONTACT.phone}`
+    ])
+};
+
+// ============ ADMIN TEMPLATES ============
+const adminPaymentCreated = {
+    description: 'Admin alert for a new payment request',
+    sample: {
+        customer: { name: 'Priya Sharma', email: 'priya@example.com', phone: '9876543210', city: 'Pune', packageType: 'Premium Registration' },
+        amount: 10000,
+        orderId: 'ZUDIO_1700000000000_ABCD1234',
+        paymentRequestId: 'd66cb29dd059482e8072999f995c4eef',
+        createdAt: '2025-01-15T10:30:00.000Z',
+        longurl: 'https://www.instamojo.com/@zudio/d66cb29dd059482e8072999f995c4eef',
+        shorturl: 'https://imjo.in/Nasdf',
+        paymentsUrl: 'http://localhost:3000/api/admin/payments?token=example'
+    },
+    subject: (data, context) => `${testPrefix(context)}🔔 New Payment Request - Zudio (₹${data.amount})`,
+    html: (data, context) => html`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 700px; margin: 0 auto; padding: 20px; }
+                .header { background: #000; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+                .content { background: #f9f9f9; padding: 25px; border-radius: 0 0 8px 8px; }
+                .info-box { background: white; padding: 20px; border-radius: 8px; margin: 15px 0; border-left: 4px solid #000; }
+                .payment-link-box { background: #fff3cd; border: 2px solid #ffc107; padding: 15px; border-radius: 8px; margin: 20px 0; word-break: break-all; }
+                .test-badge { background: #ff6b6b; color: white; padding: 5px 12px; border-radius: 15px; font-size: 11px; font-weight: bold; display: inline-block; }
+                table { width: 100%; border-collapse: collapse; }
+                td { padding: 8px 0; }
+                td:first-child { font-weight: bold; width: 40%; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h2 style="margin: 0;">🔔 New Payment Request - Zudio Franchise</h2>
+                    ${context.testMode && html`<p style="margin: 10px 0 0 0;"><span class="test-badge">TEST MODE</span></p>`}
+                </div>
+                <div class="content">
+                    <div class="info-box">
+                        <h3 style="margin-top: 0; color: #000;">👤 Customer Details</h3>
+                        <table>
+                            <tr><td>Name:</td><td>${data.customer.name}</td></tr>
+                            <tr><td>Email:</td><td>${data.customer.email}</td></tr>
+                            <tr><td>Phone:</td><td>${data.customer.phone}</td></tr>
+                            <tr><td>City:</td><td>${data.customer.city}</td></tr>
+                            <tr><td>Package:</td><td>${data.customer.packageType}</td></tr>
+                        </table>
+                    </div>
+
+                    <div class="info-box">
+                        <h3 style="margin-top: 0; color: #000;">💰 Payment Details</h3>
+                        <table>
+                            <tr><td>Amount:</td><td><strong style="color: #28a745; font-size: 18px;">₹${data.amount}</strong></td></tr>
+                            <tr><td>Order ID:</td><td>${data.orderId}</td></tr>
+                            <tr><td>Payment Request ID:</td><td>${data.paymentRequestId}</td></tr>
+                            <tr><td>Status:</td><td><span style="background: #ffc107; color: #000; padding: 3px 10px; border-radius: 12px; font-size: 12px; font-weight: bold;">PENDING</span></td></tr>
+                            <tr><td>Created At:</td><td>${formatDateTime(data.createdAt)}</td></tr>
+                        </table>
+                    </div>
+
+                    <div class="payment-link-box">
+                        <h3 style="margin-top: 0; color: #000;">🔗 Customer Payment Link</h3>
+                        <p style="margin: 10px 0;"><strong>Long URL:</strong></p>
+                        <p style="margin: 5px 0;"><a href="${data.longurl}" style="color: #0066cc; word-break: break-all;">${data.longurl}</a></p>
+
+                        ${data.shorturl && html`
+                        <p style="margin: 15px 0 5px 0;"><strong>Short URL:</strong></p>
+                        <p style="margin: 5px 0;"><a href="${data.shorturl}" style="color: #0066cc;">${data.shorturl}</a></p>
+                        `}
+                    </div>
+
+                    ${context.testMode ? html`
+                    <div style="background: #e3f2fd; border-left: 4px solid #2196f3; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                        <p style="margin: 0; color: #1976d2;"><strong>ℹ️ Test Mode Active:</strong> This is a demo payment link. No real transaction will occur.</p>
+                    </div>
+                    ` : html`
+                    <div style="background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; border-radius: 8px; margin: 20px 0;">
+                        <p style="margin: 0; color: #856404;"><strong>⏰ Action Required:</strong> Monitor this payment and follow up with customer after completion.</p>
+                    </div>
+                    `}
+
+                    <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin-top: 20px; text-align: center;">
+                        <p style="margin: 5px 0; font-size: 14px; color: #666;">
+                            <strong>Quick Links:</strong><br>
+                            <a href="${data.paymentsUrl}" style="color: #0066cc; margin: 0 10px;">View All Payments</a> |
+                            <a href="${statusUrl(data, context)}" style="color: #0066cc; margin: 0 10px;">Check Status</a>
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `,
+    text: (data, context) => textLines([
+        `New payment request${context.testMode ? ' (TEST MODE)' : ''}`,
+        '',
+        `Name: ${data.customer.name}`,
+        `Email: ${data.customer.email}`,
+        `Phone: ${data.customer.phone}`,
+        `City: ${data.customer.city}`,
+        `Package: ${data.customer.packageType}`,
+        '',
+        `Amount: ₹${data.amount}`,
+        `Order ID: ${data.orderId}`,
+        `Payment Request ID: ${data.paymentRequestId}`,
+        'Status: PENDING',
+        `Created At: ${formatDateTime(data.createdAt)}`,
+        '',
+        `Payment link: ${data.longurl}`,
+        data.shorturl && `Short link: ${data.shorturl}`,
+        '',
+        `View all payments: ${data.paymentsUrl}`,
+        `Check status: ${statusUrl(data, context)}`
+    ])
+};
+
+const adminPaymentCompleted = {
+    description: 'Admin alert when a payment is completed',
+    sample: {
+        customer: { name: 'Priya Sharma', email: 'priya@example.com', phone: '9876543210' },
+        orderId: 'ZUDIO_1700000000000_ABCD1234',
+        paymentId: 'MOJO5a06005J21512197',
+        amount: 10000,
+        completedAt: '2025-01-15T10:35:00.000Z'
+    },
+    subject: () => '✓ Payment Completed - Zudio',
+    html: (data) => html`
+        <h2 style="color: green;">✓ Payment Completed - Zudio Franchise</h2>
+        <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p><strong>✓ PAYMENT SUCCESSFULLY COMPLETED</strong></p>
+        </div>
+        <div style="background: #f9f9f9; padding: 20px; border-radius: 8px;">
+            <p><strong>Customer:</strong> ${data.customer.name}</p>
+            <p><strong>Email:</strong> ${data.customer.email}</p>
+            <p><strong>Phone:</strong> ${data.customer.phone}</p>
+            <p><strong>Order ID:</strong> ${data.orderId}</p>
+            <p><strong>Payment ID:</strong> ${data.paymentId}</p>
+            <p><strong>Amount:</strong> ₹${data.amount}</p>
+            <p><strong>Status:</strong> <span style="color: green; font-weight: bold;">COMPLETED</span></p>
+            <p><strong>Completed At:</strong> ${formatDateTime(data.completedAt)}</p>
+        </div>
+        <hr style="margin: 30px 0;">
+        <p><strong>⚠️  Action Required:</strong> Follow up with customer within 24 hours.</p>
+    `,
+    text: (data) => textLines([
+        'PAYMENT SUCCESSFULLY COMPLETED',
+        '',
+        `Customer: ${data.customer.name}`,
+        `Email: ${data.customer.email}`,
+        `Phone: ${data.customer.phone}`,
+        `Order ID: ${data.orderId}`,
+        `Payment ID: ${data.paymentId}`,
+        `Amount: ₹${data.amount}`,
+        `Completed At: ${formatDateTime(data.completedAt)}`,
+        '',
+        'Action required: follow up with customer within 24 hours.'
+    ])
+};
+
+const adminNewEnquiry = {
+    description: 'Admin alert for a new contact-form enquiry',
+    sample: {
+        name: 'Rahul Verma',
+        email: 'rahul@example.com',
+        phone: '9123456780',
+        city: 'Indore',
+        investment: '30-50',
+        message: 'Interested in a store near the city centre.',
+        enquiryId: 'ZUDIO_1700000000000_EF567890'
+    },
+    subject: () => 'New Enquiry - Zudio',
+    html: (data) => html`
+        <h2>New Enquiry - Zudio Franchise</h2>
+        <p><strong>Name:</strong> ${data.name}</p>
+        <p><strong>Email:</strong> ${data.email}</p>
+        <p><strong>Phone:</strong> ${data.phone}</p>
+        <p><strong>City:</strong> ${data.city}</p>
+        <p><strong>Investment:</strong> ${data.investment || 'N/A'}</p>
+        <p><strong>Message:</strong> ${data.message || 'N/A'}</p>
+        <p><strong>Enquiry ID:</strong> ${data.enquiryId}</p>
+    `,
+    text: (data) => textLines([
+        'New enquiry - Zudio Franchise',
+        '',
+        `Name: ${data.name}`,
+        `Email: ${data.email}`,
+        `Phone: ${data.phone}`,
+        `City: ${data.city}`,
+        `Investment: ${data.investment || 'N/A'}`,
+        `Message: ${data.message || 'N/A'}`,
+        `Enquiry ID: ${data.enquiryId}`
+    ])
+};
+
+const templates = {
+    paymentLink,
+    paymentSuccess,
+    enquiryReceived,
+    refundProcessed,
+    adminPaymentCreated,
+    adminPaymentCompleted,
+    adminNewEnquiry
+};
+
+function renderEmail(name, data, context) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return {
+        subject: template.subject(data, context),
+        html: template.html(data, context).toString().trim(),
+        text: template.text(data, context)
+    };
+}
+
+function listTemplates() {
+    return Object.entries(templates).map(([name, template]) => ({
+        name,
+        description: template.description
+    }));
+}
+
+function sampleData(name) {
+    return templates[name] ? structuredClone(templates[name].sample) : null;
+}
+
+module.exports = { renderEmail, listTemplates, sampleData };
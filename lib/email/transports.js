@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// ============ EMAIL TRANSPORTS ============
+// A transport delivers one message ({ from, to, subject, html, text, attachments, headers }) and
+// throws when delivery fails. The outbox decides whether to retry.
+
+function createNodemailerTransport(name, options) {
+    const transporter = nodemailer.createTransport(options);
+    return {
+        name,
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+        verify() {
+            return transporter.verify();
+        }
+    };
+}
+
+// Writes each message to <dir>/<id>.json instead of sending it - for offline testing.
+// Attachments are written next to it as <id>-<filename>.
+function createFileTransport(dir) {
+    return {
+        name: 'file',
+        async send(message, id) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const attachments = [];
+            for (const attachment of message.attachments || []) {
+                const name = `${id}-${path.basename(attachment.filename)}`;
+                await fs.promises.writeFile(path.join(dir, name), Buffer.from(attachment.content, attachment.encoding || 'utf8'));
+                attachments.push({ filename: attachment.filename, contentType: attachment.contentType, file: name });
+            }
+            const file = path.join(dir, `${id}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...message, attachments, deliveredAt: new Date().toISOString() }, null, 2));
+            return { messageId: file };
+        },
+        async verify() {
+            await fs.promises.mkdir(dir, { recursive: true });
+            return true;
+        }
+    };
+}
+
+// config.transport is one of: gmail, smtp, file, none
+function createEmailTransport(config) {
+    switch (config.transport) {
+        case 'gmail':
+            if (!config.user || !config.password) {
+                throw new Error('Gmail transport needs EMAIL_USER and EMAIL_APP_PASSWORD');
+            }
+            return createNodemailerTransport('gmail', {
+                service: 'gmail',
+                auth: { user: config.user, pass: config.password }
+            });
+        case 'smtp':
+            if (!config.smtp.host) {
+                throw new Error('SMTP transport needs SMTP_HOST');
+            }
+            return createNodemailerTransport('smtp', {
+                host: config.smtp.host,
+                port: config.smtp.port,
+                secure: config.smtp.secure,
+                auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+            });
+        case 'file':
+            return createFileTransport(config.fileDir);
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown email transport "${config.transport}" (use gmail, smtp, file or none)`);
+    }
+}
+
+module.exports = { createEmailTransport };
@@ -0,0 +1,182 @@
+const ExcelJS = require('exceljs');
+const { isTestOrder } = require('./paymentState');
+const { orderGateway } = require('./gateways');
+const { TIME_ZONE, istWallClock } = require('./istTime');
+
+// ============ CSV / XLSX EXPORT ============
+// Column sets for exporting payments and enquiries. Each column has a header,
+// a value getter and a type (text, date, currency, number) that decides how
+// it is formatted: Indian formats in CSV, native dates/numbers in XLSX.
+
+const PAYMENT_COLUMNS = {
+    orderId: { header: 'Order ID', value: order => order.orderId },
+    createdAt: { header: 'Created', type: 'date', value: order => order.createdAt },
+    status: { header: 'Status', value: order => order.status },
+    name: { header: 'Name', value: order => order.customerData && order.customerData.name },
+    email: { header: 'Email', value: order => order.customerData && order.customerData.email },
+    phone: { header: 'Phone', value: order => order.customerData && order.customerData.phone },
+    city: { header: 'City', value: order => order.customerData && order.customerData.city },
+    packageName: { header: 'Package', value: order => order.packageName || (order.customerData && order.customerData.packageType) },
+    amount: { header: 'Amount', type: 'currency', value: order => order.amount },
+    taxableValue: { header: 'Taxable Value', type: 'currency', value: order => order.taxableValue },
+    gstAmount: { header: 'GST', type: 'currency', value: order => order.gstAmount },
+    gstRate: { header: 'GST Rate (%)', type: 'number', value: order => order.gstRate },
+    refundedAmount: { header: 'Refunded', type: 'currency', value: order => order.refundedAmount || 0 },
+    gateway: { header: 'Gateway', value: order => orderGateway(order) },
+    paymentId: { header: 'Payment ID', value: order => order.paymentId },
+    paymentRequestId: { header: 'Payment Request ID', value: order => order.paymentRequestId },
+    completedAt: { header: 'Completed', type: 'date', value: order => order.completedAt },
+    mode: { header: 'Mode', value: order => (isTestOrder(order) ? 'test' : 'live') },
+    applicantId: { header: 'Applicant ID', value: order => order.applicantId }
+};
+
+const ENQUIRY_COLUMNS = {
+    enquiryId: { header: 'Enquiry ID', value: lead => lead.enquiryId },
+    receivedAt: { header: 'Received', type: 'date', value: lead => lead.receivedAt },
+    status: { header: 'Status', value: lead => lead.status },
+    name: { header: 'Name', value: lead => lead.name },
+    email: { header: 'Email', value: lead => lead.email },
+    phone: { header: 'Phone', value: lead => lead.phone },
+    city: { header: 'City', value: lead => lead.city },
+    investment: { header: 'Investment (Lakhs)', value: lead => lead.investment },
+    assignee: { header: 'Assignee', value: lead => lead.assignee },
+    followUpAt: { header: 'Follow-up', type: 'date', value: lead => lead.followUpAt },
+    updatedAt: { header: 'Last Updated', type: 'date', value: lead => lead.updatedAt },
+    message: { header: 'Message', value: lead => lead.message },
+    applicantId: { header: 'Applicant ID', value: lead => lead.applicantId }
+};
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Picks columns from ?columns=a,b,c (default: all, in definition order)
+function selectColumns(definitions, requested) {
+    const keys = requested ? String(requested).split(',').map(key => key.trim()).filter(Boolean) : Object.keys(definitions);
+    const unknown = keys.filter(key => !definitions[key]);
+    if (unknown.length > 0 || keys.length === 0) {
+        return { error: `Columns must be from: ${Object.keys(definitions).join(', ')}` };
+    }
+    return { columns: keys.map(key => ({ key, ...definitions[key] })) };
+}
+
+const dateFormatter = new Intl.DateTimeFormat('en-IN', {
+    timeZone: TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+});
+
+const currencyFormatter = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' });
+
+function formatIndianDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : dateFormatter.format(date);
+}
+
+function formatIndianCurrency(value) {
+    return typeof value === 'number' ? currencyFormatter.format(value) : '';
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas
+// (CSV injection), so such values are prefixed with a quote to keep them text
+function escapeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+    const text = escapeFormula(String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvValue(column, record) {
+    const value = column.value(record);
+    if (value === undefined || value === null) return '';
+    if (column.type === 'date') return formatIndianDate(value);
+    if (column.type === 'currency') return formatIndianCurrency(value);
+    return value;
+}
+
+// Writes the CSV to the response in chunks of rows. Starts with a BOM so Excel
+// opens it as UTF-8 (₹ and non-Latin names).
+async function writeCsv(res, columns, records) {
+    const CHUNK_ROWS = 500;
+    res.write('\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+    for (let start = 0; start < records.length; start += CHUNK_ROWS) {
+        const chunk = records.slice(start, start + CHUNK_ROWS)
+            .map(record => columns.map(column => csvCell(csvValue(column, record))).join(',') + '\r\n')
+            .join('');
+        if (!res.write(chunk)) {
+            await new Promise(resolve => res.once('drain', resolve));
+        }
+    }
+    res.end();
+}
+
+// Indian digit grouping (12,34,567.00) for Excel
+const XLSX_CURRENCY_FORMAT = '[>=10000000]"₹"##\\,##\\,##\\,##0.00;[>=100000]"₹"##\\,##\\,##0.00;"₹"#,##0.00';
+const XLSX_DATE_FORMAT = 'dd/mm/yyyy hh:mm';
+
+function xlsxValue(column, record) {
+    const value = column.value(record);
+    if (value === undefined || value === null) return null;
+    if (column.type === 'date') {
+        // Excel dates have no time zone, so store the IST wall-clock time
+        return istWallClock(value);
+    }
+    if (column.type === 'currency' || column.type === 'number') return value;
+    return escapeFormula(String(value));
+}
+
+async function writeXlsx(res, columns, records, sheetName) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.type === 'date' ? 18 : Math.max(12, column.header.length + 2),
+        style: column.type === 'date' ? { numFmt: XLSX_DATE_FORMAT }
+            : column.type === 'currency' ? { numFmt: XLSX_CURRENCY_FORMAT } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const record of records) {
+        const row = {};
+        for (const column of columns) {
+            row[column.key] = xlsxValue(column, record);
+        }
+        sheet.addRow(row).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+function exportFilename(name, format, now = new Date()) {
+    const stamp = istWallClock(now).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `${name}-${stamp}.${format}`;
+}
+
+// Sends records as a CSV or XLSX download
+async function sendExport(res, { format, name, columns, records }) {
+    const filename = exportFilename(name, format);
+    res.attachment(filename);
+    if (format === 'xlsx') {
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await writeXlsx(res, columns, records, name);
+    } else {
+        res.type('text/csv; charset=utf-8');
+        await writeCsv(res, columns, records);
+    }
+}
+
+module.exports = {
+    PAYMENT_COLUMNS,
+    ENQUIRY_COLUMNS,
+    EXPORT_FORMATS,
+    selectColumns,
+    formatIndianDate,
+    formatIndianCurrency,
+    escapeFormula,
+    sendExport
+};
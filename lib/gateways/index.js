@@ -0,0 +1,108 @@
+const { isTestOrder } = require('../paymentState');
+const { createInstamojoGateway } = require('./instamojo');
+const { createRazorpayGateway } = require('./razorpay');
+const { createMockGateway } = require('./mock');
+const { createLogger } = require('../logger');
+const { createMetrics } = require('../metrics');
+
+// ============ PAYMENT GATEWAYS ============
+// Every provider implements the same interface, so the routes never need to
+// know which processor an order went through:
+//
+//   name, label, testMode
+//   createPaymentRequest({ orderId, amount, purpose, customer, redirectUrl, webhookUrl })
+//       -> { paymentRequestId, longurl, shorturl }
+//   parseRedirect(query)             -> { paymentId, paymentRequestId } or null
+//   verifyPayment(order, paymentId)  -> { success, status, amount, paymentId }
+//   verifyWebhook({ body, rawBody, headers }) -> { valid, reason }
+//   parseWebhook(payload)            -> { type: 'payment' | 'refund', dedupeKey, ... }
+//   createRefund(order, { amount, reason, note }) -> { gatewayRefundId, status }
+//
+// Payment statuses come back as PAYMENT_STATUS values and refund statuses as
+// REFUND_STATUS values. In test mode only the mock gateway exists; in live
+// mode every provider with credentials is available and packages can pick one.
+
+// Gateways a package can be pinned to
+const GATEWAY_NAMES = ['instamojo', 'razorpay'];
+
+const GATEWAY_LABELS = {
+    instamojo: 'Instamojo',
+    razorpay: 'Razorpay',
+    mock: 'Test gateway'
+};
+
+function hasGatewayCredentials(name, config) {
+    if (name === 'instamojo') return !!(config.instamojo.apiKey && config.instamojo.authToken);
+    if (name === 'razorpay') return !!(config.razorpay.keyId && config.razorpay.keySecret);
+    return false;
+}
+
+// Orders from before gateways were recorded all went through Instamojo (or its test stand-in)
+function orderGateway(order) {
+    return order.gateway || (isTestOrder(order) ? 'mock' : 'instamojo');
+}
+
+function gatewayLabel(name) {
+    return GATEWAY_LABELS[name] || name;
+}
+
+// config: { gateway (default name), testMode, instamojo, razorpay, mock, logger, metrics }.
+// Each gateway logs through a child logger tagged with its name; the live ones
+// time their API calls into metrics.
+function createPaymentGateways(config) {
+    const logger = config.logger || createLogger();
+    const metrics = config.metrics || createMetrics();
+
+    if (!GATEWAY_NAMES.includes(config.gateway)) {
+        throw new Error(`Unknown payment gateway "${config.gateway}" (use ${GATEWAY_NAMES.join(' or ')})`);
+    }
+
+    const gateways = new Map();
+    if (config.testMode) {
+        gateways.set('mock', createMockGateway(config.mock, logger.child({ gateway: 'mock' })));
+    } else {
+        if (hasGatewayCredentials('instamojo', config)) {
+            gateways.set('instamojo', createInstamojoGateway(config.instamojo, logger.child({ gateway: 'instamojo' }), metrics));
+        }
+        if (hasGatewayCredentials('razorpay', config)) {
+            gateways.set('razorpay', createRazorpayGateway(config.razorpay, logger.child({ gateway: 'razorpay' }), metrics));
+        }
+    }
+    const defaultGateway = gateways.get(config.testMode ? 'mock' : config.gateway);
+
+    function get(name) {
+        return gateways.get(name) || null;
+    }
+
+    // Test mode sends every package through the mock gateway
+    function forPackage(pkg) {
+        if (config.testMode || !pkg.gateway) {
+            return defaultGateway;
+        }
+        const gateway = get(pkg.gateway);
+        if (!gateway) {
+            throw new Error(`Payment gateway "${pkg.gateway}" for package ${pkg.id} is not configured`);
+        }
+        return gateway;
+    }
+
+    function forOrder(order) {
+        return get(orderGateway(order));
+    }
+
+    return {
+        defaultGateway,
+        get,
+        list: () => [...gateways.values()],
+        forPackage,
+        forOrder
+    };
+}
+
+module.exports = {
+    GATEWAY_NAMES,
+    hasGatewayCredentials,
+    orderGateway,
+    gatewayLabel,
+    createPaymentGateways
+};
@@ -0,0 +1,235 @@
+const axios = require('axios');
+const { verifyWebhookPayload } = require('../webhookMac');
+const { PAYMENT_STATUS } = require('../paymentState');
+const { REFUND_STATUS, REFUND_REASONS } = require('../refunds');
+const { createLogger, currentRequestId } = require('../logger');
+const { createMetrics } = require('../metrics');
+
+// ============ INSTAMOJO GATEWAY ============
+// Instamojo's v2 API: payment requests, payment lookups and refunds, plus the
+// form-encoded webhooks signed with the account salt (see lib/webhookMac.js).
+
+// Instamojo payment status -> ours; anything else is still pending
+function paymentStatusFromGateway(status) {
+    if (status === 'Credit') return PAYMENT_STATUS.COMPLETED;
+    if (status === 'Failed') return PAYMENT_STATUS.FAILED;
+    return PAYMENT_STATUS.PENDING;
+}
+
+// Instamojo refund status -> ours ('Refunded', or 'Closed' when it was rejected)
+function refundStatusFromGateway(status) {
+    if (status === 'Refunded') return REFUND_STATUS.PROCESSED;
+    if (status === 'Closed' || status === 'Failed' || status === 'Rejected') return REFUND_STATUS.FAILED;
+    return REFUND_STATUS.PENDING;
+}
+
+// Normalizes a (verified) webhook payload. Payment webhooks are deduplicated on
+// payment id + status, refund webhooks on refund id + status.
+function parseWebhookPayload(payload) {
+    if (payload.refund_id) {
+        return {
+            type: 'refund',
+            paymentId: payload.payment_id || null,
+            gatewayRefundId: payload.refund_id,
+            status: refundStatusFromGateway(payload.status),
+            gatewayStatus: payload.status || null,
+            dedupeKey: `refund:${payload.refund_id}:${payload.status || ''}`
+        };
+    }
+
+    const status = paymentStatusFromGateway(payload.status);
+    return {
+        type: 'payment',
+        paymentRequestId: payload.payment_request_id || null,
+        paymentId: payload.payment_id || null,
+        status: status === PAYMENT_STATUS.PENDING ? null : status,
+        amount: payload.amount !== undefined ? Number(payload.amount) : null,
+        gatewayStatus: payload.status || null,
+        dedupeKey: `${payload.payment_id || ''}:${payload.status || ''}`
+    };
+}
+
+// Instamojo redirects back with ?payment_id=&payment_request_id=
+function parseRedirectQuery(query) {
+    return query.payment_request_id
+        ? { paymentId: query.payment_id || null, paymentRequestId: query.payment_request_id }
+        : null;
+}
+
+// Validation errors come back as { message: { field: [messages] } }
+function responseMessage(data) {
+    const message = data && data.message;
+    if (message && typeof message === 'object') {
+        return Object.entries(message)
+            .map(([field, messages]) => `${field}: ${[].concat(messages).join(' ')}`)
+            .join('; ');
+    }
+    return message || null;
+}
+
+// Logs an axios failure and turns it into a message that is safe to show an admin
+function describeApiError(error, action, logger) {
+    logger.error(`Instamojo ${action} failed`, {
+        code: error.code || null,
+        host: error.hostname || null,
+        status: error.response ? error.response.status : null,
+        response: error.response ? error.response.data : null,
+        message: error.message
+    });
+    if (error.code === 'ENOTFOUND') {
+        return new Error('Cannot connect to Instamojo API. Enable TEST_MODE in .env for testing.');
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+        return new Error('Connection to Instamojo timed out. Please try again.');
+    }
+    if (error.code === 'ECONNREFUSED') {
+        return new Error('Cannot connect to Instamojo. Check API URL.');
+    }
+    if (error.response) {
+        if (error.response.status === 401) {
+            return new Error('Invalid Instamojo credentials. Check your API Key and Auth Token.');
+        }
+        return new Error(responseMessage(error.response.data) || `Instamojo ${action} failed`);
+    }
+    return error;
+}
+
+// config: { apiKey, authToken, salt, apiUrl, webhookUrl }. webhookUrl overrides
+// the per-request webhook the server passes in (WEBHOOK_URL).
+function createInstamojoGateway(config, logger = createLogger(), metrics = createMetrics()) {
+    if (!config.apiKey || !config.authToken) {
+        throw new Error('Instamojo gateway needs INSTAMOJO_API_KEY and INSTAMOJO_AUTH_TOKEN');
+    }
+    if (!config.apiUrl) {
+        throw new Error('Instamojo API URL not configured.');
+    }
+
+    // The request id lets a call in Instamojo's logs be matched to ours
+    function headers() {
+        const requestId = currentRequestId();
+        return {
+            'X-Api-Key': config.apiKey,
+            'X-Auth-Token': config.authToken,
+            'Content-Type': 'application/json',
+            ...(requestId ? { 'X-Request-Id': requestId } : {})
+        };
+    }
+
+    return {
+        name: 'instamojo',
+        label: 'Instamojo',
+        testMode: false,
+
+        async createPaymentRequest({ amount, purpose, customer, redirectUrl, webhookUrl }) {
+            const payload = {
+                purpose: purpose || 'Zudio Franchise Registration',
+                amount: amount,
+                buyer_name: customer.name,
+                email: customer.email,
+                phone: customer.phone,
+                redirect_url: redirectUrl,
+                webhook: config.webhookUrl || webhookUrl,
+                send_email: true,
+                send_sms: false,
+                allow_repeated_payments: false
+            };
+
+            logger.debug('Creating Instamojo payment request', {
+                apiUrl: config.apiUrl,
+                redirectUrl: payload.redirect_url,
+                webhookUrl: payload.webhook
+            });
+
+            let response;
+            try {
+                response = await metrics.timeGatewayCall('instamojo', 'create-payment-request', () => axios.post(
+                    `${config.apiUrl}payment-requests/`, payload, { headers: headers(), timeout: 30000 }
+                ));
+            } catch (error) {
+                throw describeApiError(error, 'payment request', logger);
+            }
+
+            if (!response.data.success) {
+                logger.error('Instamojo returned an unsuccessful response', { response: response.data });
+                throw new Error('Failed to create payment request');
+            }
+
+            const paymentRequest = response.data.payment_request;
+            logger.info('Instamojo payment request created', { paymentRequestId: paymentRequest.id });
+            return {
+                paymentRequestId: paymentRequest.id,
+                longurl: paymentRequest.longurl,
+                shorturl: paymentRequest.shorturl || null
+            };
+        },
+
+        parseRedirect: parseRedirectQuery,
+
+        // Resolves to { success, status, amount, paymentId } with status one of
+        // completed, failed or pending (no payment yet)
+        async verifyPayment(order, paymentId) {
+            try {
+                const response = await metrics.timeGatewayCall('instamojo', 'verify-payment', () => axios.get(
+                    `${config.apiUrl}payment-requests/${order.paymentRequestId}/${paymentId}/`,
+                    { headers: headers(), timeout: 30000 }
+                ));
+                if (!response.data.success) {
+                    return { success: false };
+                }
+
+                const payment = response.data.payment_request && response.data.payment_request.payment;
+                logger.info('Payment verified with Instamojo', { paymentId, gatewayStatus: payment ? payment.status : 'Pending' });
+                return {
+                    success: true,
+                    status: paymentStatusFromGateway(payment && payment.status),
+                    amount: payment ? Number(payment.amount) : null,
+                    paymentId: payment ? payment.payment_id : paymentId
+                };
+            } catch (error) {
+                logger.error('Instamojo payment verification failed', { paymentId, status: error.response ? error.response.status : null, error });
+                return { success: false, error: error.message };
+            }
+        },
+
+        // req: { body, rawBody, headers }. Returns { valid, reason }.
+        verifyWebhook(req) {
+            return verifyWebhookPayload(req.body, config.salt);
+        },
+
+        parseWebhook: parseWebhookPayload,
+
+        // Resolves to { gatewayRefundId, status } with status mapped to REFUND_STATUS
+        async createRefund(order, { amount, reason, note }) {
+            let response;
+            try {
+                response = await metrics.timeGatewayCall('instamojo', 'create-refund', () => axios.post(`${config.apiUrl}refunds/`, {
+                    payment_id: order.paymentId,
+                    type: reason,
+                    body: note || REFUND_REASONS[reason],
+                    refund_amount: Number(amount).toFixed(2)
+                }, { headers: headers(), timeout: 30000 }));
+            } catch (error) {
+                throw describeApiError(error, 'refund', logger);
+            }
+
+            if (!response.data.success || !response.data.refund) {
+                logger.error('Instamojo returned an unsuccessful refund response', { response: response.data });
+                throw new Error('Instamojo did not accept the refund');
+            }
+
+            logger.info('Instamojo refund created', { gatewayRefundId: response.data.refund.id });
+            return {
+                gatewayRefundId: response.data.refund.id,
+                status: refundStatusFromGateway(response.data.refund.status)
+            };
+        }
+    };
+}
+
+module.exports = {
+    createInstamojoGateway,
+    paymentStatusFromGateway,
+    refundStatusFromGateway,
+    parseWebhookPayload,
+    parseRedirectQuery
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { signWebhookPayload, verifyWebhookPayload } = require('../webhookMac');
+const { REFUND_STATUS } = require('../refunds');
+const { createLogger } = require('../logger');
+const { paymentStatusFromGateway, parseWebhookPayload, parseRedirectQuery } = require('./instamojo');
+
+// ============ MOCK GATEWAY ============
+// Stands in for Instamojo in test mode. Payment links open the /test-payment
+// simulator, which posts Instamojo-format webhooks signed with the test salt,
+// so the whole webhook path runs without moving any money.
+
+// config: { baseUrl, webhookSalt, findOrder(paymentRequestId) }
+function createMockGateway(config, logger = createLogger()) {
+    if (!config.webhookSalt) {
+        throw new Error('Mock gateway needs a webhook salt');
+    }
+
+    return {
+        name: 'mock',
+        label: 'Test gateway',
+        testMode: true,
+
+        async createPaymentRequest({ orderId, amount, customer }) {
+            logger.warn('Test mode: returning a mock payment link', { orderId });
+            // Like Instamojo, the payment request and the payment get separate ids
+            const paymentRequestId = 'TEST_' + crypto.randomBytes(8).toString('hex');
+            const paymentId = 'TEST_PAY_' + crypto.randomBytes(8).toString('hex');
+            return {
+                paymentRequestId,
+                longurl: `${config.baseUrl}/test-payment?payment_id=${paymentId}&payment_request_id=${paymentRequestId}&order_id=${orderId}&amount=${amount}&buyer_name=${encodeURIComponent(customer.name)}`,
+                shorturl: `${config.baseUrl}/pay/${paymentRequestId}`
+            };
+        },
+
+        parseRedirect: parseRedirectQuery,
+
+        // The simulator's signed webhook is the source of truth for test payments
+        async verifyPayment(order, paymentId) {
+            const latest = await config.findOrder(order.paymentRequestId);
+            let status = 'Pending';
+            if (latest && latest.paymentId === paymentId) {
+                status = 'Credit';
+            } else if (latest && (latest.failedPaymentIds || []).includes(paymentId)) {
+                status = 'Failed';
+            }
+            return {
+                success: true,
+                status: paymentStatusFromGateway(status),
+                amount: latest ? latest.amount : null,
+                paymentId
+            };
+        },
+
+        verifyWebhook(req) {
+            return verifyWebhookPayload(req.body, config.webhookSalt);
+        },
+
+        parseWebhook: parseWebhookPayload,
+
+        // Test payments never moved real money, so the refund settles at once
+        async createRefund(order) {
+            logger.warn('Test mode: simulating refund', { orderId: order.orderId });
+            return {
+                gatewayRefundId: 'TEST_RFD_' + crypto.randomBytes(8).toString('hex'),
+                status: REFUND_STATUS.PROCESSED
+            };
+        },
+
+        // Builds the webhook Instamojo would send for this order ('Credit' or 'Failed')
+        buildWebhook(order, paymentId, status) {
+            return signWebhookPayload({
+                amount: Number(order.amount).toFixed(2),
+                buyer: order.customerData.email,
+                buyer_name: order.customerData.name,
+                buyer_phone: order.customerData.phone,
+                currency: 'INR',
+                fees: '0.00',
+                longurl: order.longurl,
+                payment_id: paymentId,
+                payment_request_id: order.paymentRequestId,
+                purpose: order.purpose || '',
+                shorturl: order.shorturl || '',
+                status: status
+            }, config.webhookSalt);
+        }
+    };
+}
+
+module.exports = { createMockGateway };
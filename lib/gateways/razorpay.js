@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { PAYMENT_STATUS } = require('../paymentState');
+const { REFUND_STATUS, REFUND_REASONS } = require('../refunds');
+const { createLogger, currentRequestId } = require('../logger');
+const { createMetrics } = require('../metrics');
+
+// ============ RAZORPAY GATEWAY ============
+// Uses Razorpay Payment Links, which work like Instamojo payment requests: we
+// create a link, the applicant pays on Razorpay's page and is sent back to
+// /payment-success. The link id is stored as the order's paymentRequestId.
+// Razorpay counts money in paise; everything we return is in rupees.
+// Webhooks (payment_link.paid, payment_link.cancelled, refund.processed,
+// refund.failed) are JSON, signed with HMAC-SHA256 of the raw body in the
+// X-Razorpay-Signature header.
+
+function toPaise(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+function toRupees(paise) {
+    return paise === undefined || paise === null ? null : Number(paise) / 100;
+}
+
+// Payment link status -> ours. Expired links are left to our own expiry sweep.
+function linkStatusFromGateway(status) {
+    if (status === 'paid') return PAYMENT_STATUS.COMPLETED;
+    if (status === 'cancelled') return PAYMENT_STATUS.FAILED;
+    return PAYMENT_STATUS.PENDING;
+}
+
+function refundStatusFromGateway(status) {
+    if (status === 'processed') return REFUND_STATUS.PROCESSED;
+    if (status === 'failed') return REFUND_STATUS.FAILED;
+    return REFUND_STATUS.PENDING;
+}
+
+function entity(payload, name) {
+    return payload.payload && payload.payload[name] ? payload.payload[name].entity : null;
+}
+
+function parseWebhookPayload(payload) {
+    const event = String(payload.event || '');
+
+    if (event.startsWith('refund.')) {
+        const refund = entity(payload, 'refund') || {};
+        return {
+            type: 'refund',
+            paymentId: refund.payment_id || null,
+            gatewayRefundId: refund.id || null,
+            status: refundStatusFromGateway(refund.status),
+            gatewayStatus: event,
+            dedupeKey: `refund:${refund.id || ''}:${event}`
+        };
+    }
+
+    const link = entity(payload, 'payment_link') || {};
+    const payment = entity(payload, 'payment');
+    const status = event.startsWith('payment_link.') ? linkStatusFromGateway(link.status) : PAYMENT_STATUS.PENDING;
+    return {
+        type: 'payment',
+        paymentRequestId: link.id || null,
+        paymentId: payment ? payment.id : null,
+        status: status === PAYMENT_STATUS.PENDING ? null : status,
+        amount: payment ? toRupees(payment.amount) : toRupees(link.amount_paid),
+        gatewayStatus: event,
+        dedupeKey: `${link.id || (payment && payment.id) || ''}:${event}`
+    };
+}
+
+// Razorpay redirects back with ?razorpay_payment_id=&razorpay_payment_link_id=...
+function parseRedirectQuery(query) {
+    return query.razorpay_payment_link_id
+        ? { paymentId: query.razorpay_payment_id || null, paymentRequestId: query.razorpay_payment_link_id }
+        : null;
+}
+
+// Logs an axios failure and turns it into a message that is safe to show an admin
+function describeApiError(error, action, logger) {
+    logger.error(`Razorpay ${action} failed`, {
+        code: error.code || null,
+        status: error.response ? error.response.status : null,
+        response: error.response ? error.response.data : null,
+        message: error.message
+    });
+    if (error.response) {
+        if (error.response.status === 401) {
+            return new Error('Invalid Razorpay credentials. Check your key id and secret.');
+        }
+        const detail = error.response.data && error.response.data.error;
+        return new Error((detail && detail.description) || `Razorpay ${action} failed`);
+    }
+    return new Error(`Cannot connect to Razorpay (${error.code || error.message})`);
+}
+
+// config: { keyId, keySecret, webhookSecret, apiUrl }
+function createRazorpayGateway(config, logger = createLogger(), metrics = createMetrics()) {
+    if (!config.keyId || !config.keySecret) {
+        throw new Error('Razorpay gateway needs RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET');
+    }
+
+    const client = axios.create({
+        baseURL: config.apiUrl || 'https://api.razorpay.com/v1/',
+        auth: { username: config.keyId, password: config.keySecret },
+        timeout: 30000
+    });
+    // The request id lets a call in Razorpay's logs be matched to ours
+    client.interceptors.request.use(request => {
+        const requestId = currentRequestId();
+        if (requestId) {
+            request.headers['X-Request-Id'] = requestId;
+        }
+        return request;
+    });
+
+    return {
+        name: 'razorpay',
+        label: 'Razorpay',
+        testMode: false,
+
+        async createPaymentRequest({ orderId, amount, purpose, customer, redirectUrl }) {
+            logger.debug('Creating Razorpay payment link', { orderId, redirectUrl });
+            let response;
+            try {
+                response = await metrics.timeGatewayCall('razorpay', 'create-payment-request', () => client.post('payment_links', {
+                    amount: toPaise(amount),
+                    currency: 'INR',
+                    description: purpose,
+                    reference_id: orderId,
+                    customer: { name: customer.name, email: customer.email, contact: `+91${customer.phone}` },
+                    notify: { sms: false, email: true },
+                    callback_url: redirectUrl,
+                    callback_method: 'get',
+                    notes: { orderId }
+                }));
+            } catch (error) {
+                throw describeApiError(error, 'payment link', logger);
+            }
+
+            logger.info('Razorpay payment link created', { paymentRequestId: response.data.id });
+            return {
+                paymentRequestId: response.data.id,
+                longurl: response.data.short_url,
+                shorturl: response.data.short_url
+            };
+        },
+
+        parseRedirect: parseRedirectQuery,
+
+        // The redirect's own signature isn't enough to trust the amount, so the
+        // link is always looked up
+        async verifyPayment(order, paymentId) {
+            try {
+                const { data: link } = await metrics.timeGatewayCall('razorpay', 'verify-payment', () => client.get(`payment_links/${order.paymentRequestId}`));
+                const payments = link.payments || [];
+                const payment = payments.find(entry => entry.payment_id === paymentId && entry.status === 'captured')
+                    || payments.find(entry => entry.status === 'captured');
+                logger.info('Payment link verified with Razorpay', { paymentRequestId: link.id, gatewayStatus: link.status });
+                return {
+                    success: true,
+                    status: linkStatusFromGateway(link.status),
+                    amount: toRupees(link.amount_paid),
+                    paymentId: payment ? payment.payment_id : paymentId
+                };
+            } catch (error) {
+                logger.error('Razorpay payment verification failed', { paymentId, status: error.response ? error.response.status : null, error });
+                return { success: false, error: error.message };
+            }
+        },
+
+        verifyWebhook(req) {
+            if (!config.webhookSecret) {
+                return { valid: false, reason: 'secret-not-configured' };
+            }
+            const signature = req.headers['x-razorpay-signature'];
+            if (typeof signature !== 'string' || !signature || !req.rawBody) {
+                return { valid: false, reason: 'missing-signature' };
+            }
+
+            const expected = Buffer.from(crypto.createHmac('sha256', config.webhookSecret).update(req.rawBody).digest('hex'), 'utf8');
+            const received = Buffer.from(signature.toLowerCase(), 'utf8');
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                return { valid: false, reason: 'invalid-signature' };
+            }
+            return { valid: true, reason: null };
+        },
+
+        parseWebhook: parseWebhookPayload,
+
+        // Razorpay has no refund reason codes, so ours go in the refund notes
+        async createRefund(order, { amount, reason, note }) {
+            let response;
+            try {
+                response = await metrics.timeGatewayCall('razorpay', 'create-refund', () => client.post(`payments/${order.paymentId}/refund`, {
+                    amount: toPaise(amount),
+                    speed: 'normal',
+                    notes: { orderId: order.orderId, reason: REFUND_REASONS[reason], note: note || '' }
+                }));
+            } catch (error) {
+                throw describeApiError(error, 'refund', logger);
+            }
+
+            logger.info('Razorpay refund created', { gatewayRefundId: response.data.id });
+            return {
+                gatewayRefundId: response.data.id,
+                status: refundStatusFromGateway(response.data.status)
+            };
+        }
+    };
+}
+
+module.exports = { createRazorpayGateway, parseWebhookPayload, parseRedirectQuery };
@@ -0,0 +1,84 @@
+const { roundToPaise } = require('./money');
+
+// ============ GST ============
+// State codes as used in GSTINs, and the intra/inter-state split. A sale within
+// the seller's state is taxed as CGST + SGST (half the rate each); a sale to
+// another state as IGST at the full rate.
+
+const INDIAN_STATES = {
+    'Jammu and Kashmir': '01',
+    'Himachal Pradesh': '02',
+    'Punjab': '03',
+    'Chandigarh': '04',
+    'Uttarakhand': '05',
+    'Haryana': '06',
+    'Delhi': '07',
+    'Rajasthan': '08',
+    'Uttar Pradesh': '09',
+    'Bihar': '10',
+    'Sikkim': '11',
+    'Arunachal Pradesh': '12',
+    'Nagaland': '13',
+    'Manipur': '14',
+    'Mizoram': '15',
+    'Tripura': '16',
+    'Meghalaya': '17',
+    'Assam': '18',
+    'West Bengal': '19',
+    'Jharkhand': '20',
+    'Odisha': '21',
+    'Chhattisgarh': '22',
+    'Madhya Pradesh': '23',
+    'Gujarat': '24',
+    'Dadra and Nagar Haveli and Daman and Diu': '26',
+    'Maharashtra': '27',
+    'Karnataka': '29',
+    'Goa': '30',
+    'Lakshadweep': '31',
+    'Kerala': '32',
+    'Tamil Nadu': '33',
+    'Puducherry': '34',
+    'Andaman and Nicobar Islands': '35',
+    'Telangana': '36',
+    'Andhra Pradesh': '37',
+    'Ladakh': '38'
+};
+
+const STATE_NAMES = Object.keys(INDIAN_STATES);
+
+function stateCode(state) {
+    return INDIAN_STATES[state] || null;
+}
+
+// Splits the GST on { taxableValue, gstAmount, gstRate } by place of supply.
+// Without a buyer state (older orders, enquiries) the supply is treated as
+// intra-state, which is the rule for services to unregistered buyers whose
+// address isn't on record.
+function gstBreakdown({ taxableValue, gstAmount, gstRate }, sellerState, buyerState) {
+    const interState = !!buyerState && buyerState !== sellerState;
+    if (interState) {
+        return {
+            supplyType: 'inter-state',
+            taxableValue,
+            igst: { rate: gstRate, amount: gstAmount },
+            totalTax: gstAmount
+        };
+    }
+
+    // CGST gets the rounded half so the two always add up to the GST charged
+    const cgst = roundToPaise(gstAmount / 2);
+    return {
+        supplyType: 'intra-state',
+        taxableValue,
+        cgst: { rate: gstRate / 2, amount: cgst },
+        sgst: { rate: gstRate / 2, amount: roundToPaise(gstAmount - cgst) },
+        totalTax: gstAmount
+    };
+}
+
+module.exports = {
+    INDIAN_STATES,
+    STATE_NAMES,
+    stateCode,
+    gstBreakdown
+};
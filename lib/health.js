@@ -0,0 +1,70 @@
+// ============ HEALTH CHECKS ============
+// Readiness probes for the services the app depends on. Each check is
+// { probe: async () => details, critical, cacheMs }: a probe passes unless it
+// throws or times out. A failing critical check makes the app not ready (503);
+// a failing non-critical one only marks it degraded. cacheMs reuses a recent
+// result, for probes that are slow or open connections (like SMTP).
+
+const CHECK_STATUS = {
+    UP: 'up',
+    DOWN: 'down',
+    SKIPPED: 'skipped'
+};
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// checks: { <name>: { probe, critical, cacheMs } | null } (null = not configured).
+// onResult(name, up) is called after every probe that actually ran.
+function createHealthChecks({ checks, timeoutMs = 5000, onResult = () => {} }) {
+    const cache = new Map();
+
+    async function probe(name, check) {
+        const started = Date.now();
+        try {
+            const details = await withTimeout(Promise.resolve().then(check.probe), timeoutMs);
+            return { status: CHECK_STATUS.UP, critical: Boolean(check.critical), latencyMs: Date.now() - started, ...(details || {}) };
+        } catch (error) {
+            return { status: CHECK_STATUS.DOWN, critical: Boolean(check.critical), latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+
+    async function runCheck(name, check) {
+        if (!check) {
+            return { status: CHECK_STATUS.SKIPPED, critical: false };
+        }
+        const cached = cache.get(name);
+        if (cached && Date.now() - cached.at < (check.cacheMs || 0)) {
+            return { ...cached.result, cached: true };
+        }
+        const result = await probe(name, check);
+        cache.set(name, { at: Date.now(), result });
+        onResult(name, result.status === CHECK_STATUS.UP);
+        return result;
+    }
+
+    // Resolves to { status: ready | degraded | not-ready, checks: { <name>: result } }
+    async function run() {
+        const names = Object.keys(checks);
+        const results = await Promise.all(names.map(name => runCheck(name, checks[name])));
+        const byName = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+        const down = results.filter(result => result.status === CHECK_STATUS.DOWN);
+        let status = 'ready';
+        if (down.some(result => result.critical)) {
+            status = 'not-ready';
+        } else if (down.length > 0) {
+            status = 'degraded';
+        }
+        return { status, checks: byName };
+    }
+
+    return { run };
+}
+
+module.exports = { CHECK_STATUS, createHealthChecks };
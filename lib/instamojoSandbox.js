@@ -0,0 +1,518 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { signWebhookPayload } = require('./webhookMac');
+const { createLogger } = require('./logger');
+const { html } = require('./email/html');
+
+// ============ INSTAMOJO SANDBOX ============
+// A local stand-in for Instamojo's v2 API, so the live gateway code (HTTP
+// calls, error handling, response parsing, webhook MACs) can be exercised
+// without the real network. Point the server at it with INSTAMOJO_API_URL.
+//
+//   POST /v2/payment-requests/               create a payment request
+//   GET  /v2/payment-requests/:id/           payment request with its payments
+//   GET  /v2/payment-requests/:id/:paymentId/  one payment of a request
+//   GET  /v2/payments/:paymentId/            payment details
+//   POST /v2/refunds/                        refund a payment (full or partial)
+//   GET  /checkout/:id                       the page the applicant pays on
+//
+// Webhooks are signed with the salt and posted form-encoded to the request's
+// webhook URL, like Instamojo does, and retried when they don't get a 200.
+// Tests drive and inspect the sandbox through /__sandbox/* (no auth):
+//
+//   POST /__sandbox/payment-requests/:id/pay  { status: Credit | Failed } - pay without the page
+//   POST /__sandbox/refunds/:id/settle        { status: Refunded | Closed }
+//   POST /__sandbox/failures                  { endpoint, status, message, delayMs } - fail the next call
+//   PATCH /__sandbox/config                   change any of the options below
+//   GET  /__sandbox/webhooks                  every webhook sent, with its attempts
+//   POST /__sandbox/reset                     forget everything
+
+const REFUND_TYPES = ['RFD', 'TNR', 'QFL', 'QNR', 'EWN', 'TAN', 'PTH'];
+
+// Endpoints a failure can be injected into; 'any' matches all of them
+const ENDPOINTS = ['create', 'get', 'payment', 'refund'];
+
+const DEFAULT_OPTIONS = {
+    apiKey: 'sandbox-key',
+    authToken: 'sandbox-token',
+    salt: 'sandbox-salt',
+    // Public URL of the sandbox, used in the checkout links it hands out
+    baseUrl: 'http://localhost:4010',
+    // Wait before each webhook is sent, and how often a failed one is retried
+    webhookDelayMs: 0,
+    webhookRetries: 2,
+    webhookRetryDelayMs: 1000,
+    // Skip webhooks (to test redirect verification), send each one twice (to
+    // test dedupe) or send them with a wrong MAC (to test rejection)
+    dropWebhooks: false,
+    duplicateWebhooks: false,
+    corruptMac: false,
+    // Status of a new refund. Pending refunds are settled after refundDelayMs
+    // with refundOutcome, unless refundDelayMs is null (settle them by hand).
+    refundStatus: 'Pending',
+    refundDelayMs: 0,
+    refundOutcome: 'Refunded'
+};
+
+function randomId(prefix, bytes) {
+    return prefix + crypto.randomBytes(bytes).toString('hex');
+}
+
+function money(value) {
+    return Number(value).toFixed(2);
+}
+
+function isUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Instamojo reports validation errors as { field: [messages] }
+function validatePaymentRequest(body) {
+    const errors = {};
+    const amount = Number(body.amount);
+    if (!body.purpose) errors.purpose = ['This field is required.'];
+    if (!Number.isFinite(amount)) {
+        errors.amount = ['This field is required.'];
+    } else if (amount < 9) {
+        errors.amount = ['Ensure this value is greater than or equal to 9.'];
+    }
+    if (body.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) errors.email = ['Enter a valid email address.'];
+    if (body.phone && !/^(\+91)?[6-9]\d{9}$/.test(String(body.phone))) errors.phone = ['Enter a valid phone number.'];
+    if (body.redirect_url && !isUrl(body.redirect_url)) errors.redirect_url = ['Enter a valid URL.'];
+    if (body.webhook && !isUrl(body.webhook)) errors.webhook = ['Enter a valid URL.'];
+    return errors;
+}
+
+// Options left undefined keep their defaults, so callers can pass env values straight through.
+// options.logger is used for the sandbox's own log lines.
+function createInstamojoSandbox(options = {}) {
+    const { logger = createLogger(), ...settings } = options;
+    const config = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(settings)) {
+        if (value !== undefined) config[key] = value;
+    }
+    config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+    let state;
+    function reset() {
+        state = {
+            paymentRequests: new Map(),
+            payments: new Map(),
+            refunds: new Map(),
+            webhooks: [],
+            failures: []
+        };
+    }
+    reset();
+
+    function later(ms, task) {
+        setTimeout(task, ms).unref();
+    }
+
+    // ---------- Webhooks ----------
+    async function sendWebhook(delivery) {
+        const attempt = { at: new Date().toISOString() };
+        try {
+            const response = await axios.post(delivery.url, new URLSearchParams(delivery.payload).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 10000,
+                validateStatus: () => true
+            });
+            attempt.status = response.status;
+        } catch (error) {
+            attempt.error = error.message;
+        }
+        delivery.attempts.push(attempt);
+
+        if (attempt.status === 200) {
+            delivery.delivered = true;
+        } else if (delivery.attempts.length <= config.webhookRetries) {
+            later(config.webhookRetryDelayMs, () => sendWebhook(delivery));
+        }
+    }
+
+    function queueWebhook(type, url, fields) {
+        if (!url || config.dropWebhooks) {
+            return;
+        }
+        let payload = signWebhookPayload(fields, config.salt);
+        if (config.corruptMac) {
+            payload = { ...payload, mac: '0'.repeat(40) };
+        }
+
+        const copies = config.duplicateWebhooks ? 2 : 1;
+        for (let i = 0; i < copies; i++) {
+            const delivery = { id: randomId('WH', 6), type, url, payload, attempts: [], delivered: false };
+            state.webhooks.push(delivery);
+            later(config.webhookDelayMs, () => sendWebhook(delivery));
+        }
+    }
+
+    function paymentWebhook(request, payment) {
+        queueWebhook('payment', request.webhook, {
+            amount: payment.amount,
+            buyer: payment.buyer_email,
+            buyer_name: payment.buyer_name,
+            buyer_phone: payment.buyer_phone,
+            currency: payment.currency,
+            fees: payment.fees,
+            longurl: request.longurl,
+            payment_id: payment.payment_id,
+            payment_request_id: request.id,
+            purpose: request.purpose,
+            shorturl: request.shorturl || '',
+            status: payment.status
+        });
+    }
+
+    function refundWebhook(refund) {
+        const payment = state.payments.get(refund.payment_id);
+        const request = state.paymentRequests.get(payment.payment_request);
+        queueWebhook('refund', request.webhook, {
+            refund_id: refund.id,
+            payment_id: refund.payment_id,
+            refund_amount: refund.refund_amount,
+            total_amount: refund.total_amount,
+            type: refund.type,
+            status: refund.status
+        });
+    }
+
+    // ---------- Actions ----------
+    // Records a payment attempt; a Credit completes the request
+    function pay(requestId, status = 'Credit') {
+        const request = state.paymentRequests.get(requestId);
+        if (!request) {
+            throw new Error(`Unknown payment request ${requestId}`);
+        }
+        if (request.status === 'Completed') {
+            throw new Error(`Payment request ${requestId} is already paid`);
+        }
+
+        const payment = {
+            payment_id: 'MOJO' + crypto.randomBytes(8).toString('hex').toUpperCase(),
+            payment_request: request.id,
+            status: status === 'Credit' ? 'Credit' : 'Failed',
+            amount: request.amount,
+            currency: 'INR',
+            fees: status === 'Credit' ? money(Number(request.amount) * 0.02) : '0.00',
+            buyer_name: request.buyer_name,
+            buyer_email: request.email,
+            buyer_phone: request.phone,
+            instrument_type: 'UPI',
+            created_at: new Date().toISOString()
+        };
+        state.payments.set(payment.payment_id, payment);
+        request.payments.push(payment.payment_id);
+        if (payment.status === 'Credit') {
+            request.status = 'Completed';
+        }
+        request.modified_at = payment.created_at;
+
+        paymentWebhook(request, payment);
+        return { request, payment };
+    }
+
+    function settleRefund(refundId, status = 'Refunded') {
+        const refund = state.refunds.get(refundId);
+        if (!refund) {
+            throw new Error(`Unknown refund ${refundId}`);
+        }
+        if (refund.status !== 'Pending') {
+            throw new Error(`Refund ${refundId} is already ${refund.status}`);
+        }
+        refund.status = status === 'Closed' ? 'Closed' : 'Refunded';
+        refundWebhook(refund);
+        return refund;
+    }
+
+    function refundedSoFar(paymentId) {
+        return [...state.refunds.values()]
+            .filter(refund => refund.payment_id === paymentId && refund.status !== 'Closed')
+            .reduce((sum, refund) => sum + Number(refund.refund_amount), 0);
+    }
+
+    function publicRequest(request) {
+        return {
+            ...request,
+            payments: request.payments.map(id => state.payments.get(id))
+        };
+    }
+
+    // ---------- App ----------
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    function requireAuth(req, res, next) {
+        if (req.get('X-Api-Key') !== config.apiKey || req.get('X-Auth-Token') !== config.authToken) {
+            return res.status(401).json({ success: false, message: 'Invalid API key or auth token.' });
+        }
+        next();
+    }
+
+    // Applies the first queued failure for this endpoint: a delay, an HTTP
+    // error status, or 'reset' to drop the connection
+    function injectFailures(endpoint) {
+        return (req, res, next) => {
+            const index = state.failures.findIndex(failure => failure.endpoint === endpoint || failure.endpoint === 'any');
+            if (index === -1) {
+                return next();
+            }
+            const [failure] = state.failures.splice(index, 1);
+            later(failure.delayMs || 0, () => {
+                if (failure.status === 'reset') {
+                    return req.socket.destroy();
+                }
+                if (!failure.status) {
+                    return next();
+                }
+                res.status(failure.status).json({ success: false, message: failure.message || 'Sandbox failure' });
+            });
+        };
+    }
+
+    const api = express.Router();
+    api.use(requireAuth);
+
+    api.post('/payment-requests/', injectFailures('create'), (req, res) => {
+        const body = req.body || {};
+        const errors = validatePaymentRequest(body);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ success: false, message: errors });
+        }
+
+        const id = randomId('', 16);
+        const now = new Date().toISOString();
+        const request = {
+            id,
+            purpose: String(body.purpose),
+            amount: money(body.amount),
+            buyer_name: body.buyer_name || null,
+            email: body.email || null,
+            phone: body.phone || null,
+            status: 'Pending',
+            send_email: body.send_email === true || body.send_email === 'true',
+            send_sms: body.send_sms === true || body.send_sms === 'true',
+            allow_repeated_payments: body.allow_repeated_payments === true || body.allow_repeated_payments === 'true',
+            redirect_url: body.redirect_url || null,
+            webhook: body.webhook || null,
+            longurl: `${config.baseUrl}/checkout/${id}`,
+            shorturl: null,
+            payments: [],
+            created_at: now,
+            modified_at: now
+        };
+        state.paymentRequests.set(id, request);
+        logger.info('Sandbox payment request created', { paymentRequestId: id, amount: request.amount, callerRequestId: req.get('X-Request-Id') || null });
+        res.status(201).json({ success: true, payment_request: publicRequest(request) });
+    });
+
+    api.get('/payment-requests/:id/', injectFailures('get'), (req, res) => {
+        const request = state.paymentRequests.get(req.params.id);
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Not found.' });
+        }
+        res.json({ success: true, payment_request: publicRequest(request) });
+    });
+
+    api.get('/payment-requests/:id/:paymentId/', injectFailures('payment'), (req, res) => {
+        const request = state.paymentRequests.get(req.params.id);
+        const payment = state.payments.get(req.params.paymentId);
+        if (!request || !payment || payment.payment_request !== request.id) {
+            return res.status(404).json({ success: false, message: 'Not found.' });
+        }
+        const { payments, ...rest } = request;
+        res.json({ success: true, payment_request: { ...rest, payment } });
+    });
+
+    api.get('/payments/:paymentId/', injectFailures('payment'), (req, res) => {
+        const payment = state.payments.get(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Not found.' });
+        }
+        res.json({ success: true, payment });
+    });
+
+    api.post('/refunds/', injectFailures('refund'), (req, res) => {
+        const body = req.body || {};
+        const payment = state.payments.get(body.payment_id);
+        const errors = {};
+        if (!payment || payment.status !== 'Credit') errors.payment_id = ['No successful payment with this id.'];
+        if (!REFUND_TYPES.includes(body.type)) errors.type = [`Must be one of ${REFUND_TYPES.join(', ')}.`];
+        if (!body.body) errors.body = ['This field is required.'];
+
+        const amount = body.refund_amount === undefined ? (payment ? Number(payment.amount) : NaN) : Number(body.refund_amount);
+        if (payment && !errors.payment_id) {
+            const available = Number(payment.amount) - refundedSoFar(payment.payment_id);
+            if (!Number.isFinite(amount) || amount <= 0) {
+                errors.refund_amount = ['Enter a valid amount.'];
+            } else if (amount > available + 0.001) {
+                errors.refund_amount = [`Refund amount cannot exceed ${money(available)}.`];
+            }
+        }
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ success: false, message: errors });
+        }
+
+        const refund = {
+            id: 'C' + crypto.randomBytes(5).toString('hex'),
+            payment_id: payment.payment_id,
+            status: config.refundStatus === 'Refunded' ? 'Refunded' : 'Pending',
+            type: body.type,
+            body: body.body,
+            refund_amount: money(amount),
+            total_amount: payment.amount,
+            created_at: new Date().toISOString()
+        };
+        state.refunds.set(refund.id, refund);
+        logger.info('Sandbox refund created', { refundId: refund.id, amount: refund.refund_amount, status: refund.status, callerRequestId: req.get('X-Request-Id') || null });
+
+        if (refund.status === 'Pending' && config.refundDelayMs !== null) {
+            later(config.refundDelayMs, () => {
+                if (refund.status === 'Pending') settleRefund(refund.id, config.refundOutcome);
+            });
+        }
+        res.status(201).json({ success: true, refund });
+    });
+
+    // The gateway speaks the X-Api-Key / { success, payment_request } dialect,
+    // which Instamojo serves under both paths
+    app.use(['/v2', '/api/1.1'], api);
+
+    // Checkout page - what the applicant sees instead of Instamojo's
+    app.get('/checkout/:id', (req, res) => {
+        const request = state.paymentRequests.get(req.params.id);
+        if (!request) {
+            return res.status(404).send('<h1>Unknown payment request</h1>');
+        }
+        res.send(String(html`<!DOCTYPE html>
+<html>
+<head>
+    <title>Instamojo Sandbox</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; background: #f5f5f5; padding: 20px; }
+        .box { max-width: 480px; margin: 0 auto; background: white; border-radius: 12px; padding: 30px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
+        .amount { font-size: 40px; font-weight: bold; text-align: center; margin: 20px 0; }
+        button { display: block; width: 100%; padding: 15px; margin: 10px 0; border: none; border-radius: 8px; font-size: 16px; color: white; cursor: pointer; }
+        .pay { background: #28a745; } .fail { background: #dc3545; }
+        .muted { color: #777; font-size: 13px; }
+    </style>
+</head>
+<body>
+    <div class="box">
+        <h2>🏖️ Instamojo Sandbox</h2>
+        <p class="muted">Local test server - no real money moves.</p>
+        <div class="amount">₹${request.amount}</div>
+        <p><strong>${request.purpose}</strong></p>
+        <p>${request.buyer_name} · ${request.email}</p>
+        ${request.status === 'Completed'
+        ? html`<p><strong>This payment request has already been paid.</strong></p>`
+        : html`<form method="post"><input type="hidden" name="status" value="Credit"><button class="pay">Pay ₹${request.amount}</button></form>
+        <form method="post"><input type="hidden" name="status" value="Failed"><button class="fail">Decline payment</button></form>`}
+    </div>
+</body>
+</html>`));
+    });
+
+    // Like Instamojo, the applicant is sent back to redirect_url with the payment ids
+    app.post('/checkout/:id', (req, res) => {
+        let result;
+        try {
+            result = pay(req.params.id, req.body.status);
+        } catch (error) {
+            return res.status(409).send(String(html`<h1>${error.message}</h1>`));
+        }
+        const { request, payment } = result;
+        if (!request.redirect_url) {
+            return res.send(String(html`<h1>Payment ${payment.status}</h1><p>${payment.payment_id}</p>`));
+        }
+        const redirect = new URL(request.redirect_url);
+        redirect.searchParams.set('payment_id', payment.payment_id);
+        redirect.searchParams.set('payment_status', payment.status);
+        redirect.searchParams.set('payment_request_id', request.id);
+        res.redirect(redirect.toString());
+    });
+
+    // ---------- Control API ----------
+    const control = express.Router();
+
+    control.post('/payment-requests/:id/pay', (req, res) => {
+        try {
+            const { payment } = pay(req.params.id, (req.body || {}).status);
+            res.status(201).json({ success: true, payment });
+        } catch (error) {
+            res.status(409).json({ success: false, message: error.message });
+        }
+    });
+
+    control.post('/refunds/:id/settle', (req, res) => {
+        try {
+            res.json({ success: true, refund: settleRefund(req.params.id, (req.body || {}).status) });
+        } catch (error) {
+            res.status(409).json({ success: false, message: error.message });
+        }
+    });
+
+    control.post('/failures', (req, res) => {
+        const failure = req.body || {};
+        if (![...ENDPOINTS, 'any'].includes(failure.endpoint)) {
+            return res.status(400).json({ success: false, message: `endpoint must be one of: ${[...ENDPOINTS, 'any'].join(', ')}` });
+        }
+        state.failures.push({
+            endpoint: failure.endpoint,
+            status: failure.status === 'reset' ? 'reset' : (Number(failure.status) || null),
+            message: failure.message,
+            delayMs: Number(failure.delayMs) || 0
+        });
+        res.status(201).json({ success: true, failures: state.failures });
+    });
+
+    control.patch('/config', (req, res) => {
+        for (const key of Object.keys(req.body || {})) {
+            if (Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, key) && !['apiKey', 'authToken', 'salt', 'baseUrl'].includes(key)) {
+                config[key] = req.body[key];
+            }
+        }
+        const { apiKey, authToken, salt, ...visible } = config;
+        res.json({ success: true, config: visible });
+    });
+
+    control.get('/webhooks', (req, res) => {
+        res.json({ success: true, data: state.webhooks });
+    });
+
+    control.get('/payment-requests/:id', (req, res) => {
+        const request = state.paymentRequests.get(req.params.id);
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+        res.json({ success: true, data: publicRequest(request) });
+    });
+
+    control.post('/reset', (req, res) => {
+        reset();
+        res.json({ success: true });
+    });
+
+    app.use('/__sandbox', control);
+
+    return {
+        app,
+        config,
+        pay,
+        settleRefund,
+        reset,
+        webhooks: () => state.webhooks,
+        paymentRequests: () => [...state.paymentRequests.values()].map(publicRequest),
+        refunds: () => [...state.refunds.values()]
+    };
+}
+
+module.exports = { DEFAULT_OPTIONS, createInstamojoSandbox };
@@ -0,0 +1,127 @@
+const PDFDocument = require('pdfkit');
+const { TIME_ZONE } = require('./istTime');
+
+// ============ INVOICE PDF ============
+// Renders a stored invoice as an A4 tax invoice with pdfkit's built-in
+// Helvetica, so nothing is fetched from outside. Helvetica has no ₹ glyph,
+// which is why amounts are written as "Rs.".
+
+const amountFormatter = new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function rupees(value) {
+    return `Rs. ${amountFormatter.format(value)}`;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-IN', { timeZone: TIME_ZONE, day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+}
+
+function taxRows(tax) {
+    if (tax.igst) {
+        return [[`IGST @ ${tax.igst.rate}%`, tax.igst.amount]];
+    }
+    return [[`CGST @ ${tax.cgst.rate}%`, tax.cgst.amount], [`SGST @ ${tax.sgst.rate}%`, tax.sgst.amount]];
+}
+
+function renderInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Tax Invoice ${invoice.invoiceNumber}`, Author: invoice.seller.name } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = 50;
+        const right = doc.page.width - 50;
+        const width = right - left;
+
+        if (invoice.testMode) {
+            doc.save().rotate(-30, { origin: [300, 420] }).fontSize(90).fillColor('#eeeeee')
+                .text('TEST', 140, 380, { width: 320, align: 'center' }).restore();
+        }
+
+        // Seller and title
+        doc.fillColor('#000').font('Helvetica-Bold').fontSize(20).text('TAX INVOICE', left, 50, { width, align: 'right' });
+        doc.fontSize(14).text(invoice.seller.name, left, 50);
+        doc.font('Helvetica').fontSize(9).fillColor('#444')
+            .text(invoice.seller.address || '', left, 70, { width: width / 2 })
+            .text(`State: ${invoice.seller.state} (Code ${invoice.seller.stateCode})`)
+            .text(invoice.seller.gstin ? `GSTIN: ${invoice.seller.gstin}` : 'GSTIN: -');
+
+        // Invoice details
+        doc.fillColor('#000').fontSize(10);
+        const details = [
+            ['Invoice No.', invoice.invoiceNumber],
+            ['Invoice Date', formatDate(invoice.issuedAt)],
+            ['Order ID', invoice.orderId],
+            ['Place of Supply', `${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`]
+        ];
+        let y = 80;
+        for (const [label, value] of details) {
+            doc.font('Helvetica-Bold').text(label, left + width / 2, y, { width: 100 });
+            doc.font('Helvetica').text(value, left + width / 2 + 100, y, { width: width / 2 - 100, align: 'right' });
+            y += 15;
+        }
+
+        // Buyer
+        y = Math.max(y, doc.y) + 20;
+        doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+        y += 10;
+        doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, y);
+        doc.font('Helvetica').fontSize(9).fillColor('#444')
+            .text(invoice.buyer.name || '')
+            .text([invoice.buyer.city, invoice.buyer.state].filter(Boolean).join(', ') + (invoice.buyer.stateCode ? ` (Code ${invoice.buyer.stateCode})` : ''))
+            .text(invoice.buyer.email || '')
+            .text(invoice.buyer.phone ? `+91 ${invoice.buyer.phone}` : '');
+
+        // Line items
+        y = doc.y + 20;
+        const columns = { description: left, sac: left + 270, quantity: left + 340, amount: left + 390 };
+        doc.rect(left, y, width, 20).fill('#000');
+        doc.fillColor('#fff').font('Helvetica-Bold').fontSize(9)
+            .text('Description', columns.description + 6, y + 6)
+            .text('SAC', columns.sac, y + 6)
+            .text('Qty', columns.quantity, y + 6)
+            .text('Taxable Value', columns.amount, y + 6, { width: right - columns.amount - 6, align: 'right' });
+        y += 26;
+        doc.fillColor('#000').font('Helvetica');
+        for (const item of invoice.items) {
+            doc.text(item.description, columns.description + 6, y, { width: 250 })
+                .text(item.sac || '-', columns.sac, y)
+                .text(String(item.quantity), columns.quantity, y)
+                .text(rupees(item.taxableValue), columns.amount, y, { width: right - columns.amount - 6, align: 'right' });
+            y += 20;
+        }
+
+        // Totals
+        doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+        y += 8;
+        const totals = [['Taxable Value', invoice.tax.taxableValue], ...taxRows(invoice.tax)];
+        for (const [label, value] of totals) {
+            doc.text(label, columns.sac, y).text(rupees(value), columns.amount, y, { width: right - columns.amount - 6, align: 'right' });
+            y += 16;
+        }
+        doc.font('Helvetica-Bold').fontSize(11)
+            .text('Total (GST inclusive)', columns.sac, y + 4)
+            .text(rupees(invoice.total), columns.amount, y + 4, { width: right - columns.amount - 6, align: 'right' });
+        y += 30;
+        doc.font('Helvetica-Oblique').fontSize(9).text(invoice.totalInWords, left, y, { width });
+
+        // Payment
+        y = doc.y + 20;
+        doc.font('Helvetica-Bold').fontSize(10).text('Payment Received', left, y);
+        doc.font('Helvetica').fontSize(9).fillColor('#444')
+            .text(`${rupees(invoice.total)} via ${invoice.payment.method} on ${formatDate(invoice.payment.paidAt)}`)
+            .text(`Payment ID: ${invoice.payment.paymentId || '-'}`)
+            .text(`Supply type: ${invoice.tax.supplyType}. Tax is not payable on reverse charge basis.`);
+
+        doc.fontSize(8).fillColor('#888').text(
+            'This is a computer-generated invoice and does not require a signature.',
+            left, doc.page.height - 80, { width, align: 'center' }
+        );
+
+        doc.end();
+    });
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { splitGst } = require('./packages');
+const { stateCode, gstBreakdown } = require('./gst');
+const { PAYMENT_STATUS, isTestOrder } = require('./paymentState');
+const { orderGateway, gatewayLabel } = require('./gateways');
+const { createLogger } = require('./logger');
+const { istWallClock } = require('./istTime');
+
+// ============ GST INVOICES ============
+// One tax invoice per paid order, issued when the payment completes. Numbers
+// run per financial year (April-March, IST) with no gaps: the next number is
+// worked out from the invoices already stored for that series, and issuing is
+// serialized so two completions can never take the same number. Test-mode
+// orders get their own TEST- series so they never use up real numbers.
+// An invoice is a snapshot - it is never changed once stored.
+
+const INVOICEABLE_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED];
+
+// 2026-10-19 -> '2026-27'; January-March belong to the previous year's FY
+function financialYear(value) {
+    const date = istWallClock(value);
+    const start = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function wordsBelowHundred(n) {
+    return n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ' ' + ONES[n % 10] : ''}`;
+}
+
+function wordsBelowThousand(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? wordsBelowHundred(rest) : ''].filter(Boolean).join(' ');
+}
+
+// Indian numbering: crore, lakh, thousand
+function integerToWords(n) {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    for (const [size, name] of [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']]) {
+        if (n >= size) {
+            parts.push(`${integerToWords(Math.floor(n / size))} ${name}`);
+            n %= size;
+        }
+    }
+    if (n > 0) parts.push(wordsBelowThousand(n));
+    return parts.join(' ');
+}
+
+// 10500.5 -> 'Rupees Ten Thousand Five Hundred and Fifty Paise Only'
+function amountInWords(amount) {
+    const paise = Math.round(amount * 100);
+    const rupees = Math.floor(paise / 100);
+    const rest = paise % 100;
+    return `Rupees ${integerToWords(rupees)}${rest ? ` and ${wordsBelowHundred(rest)} Paise` : ''} Only`;
+}
+
+// seller: { name, gstin, address, state }. Builds the invoice snapshot for an order.
+function buildInvoice(order, { invoiceNumber, series, issuedAt, seller, sac }) {
+    const customer = order.customerData || {};
+    const pricing = order.taxableValue !== undefined
+        ? { taxableValue: order.taxableValue, gstAmount: order.gstAmount, gstRate: order.gstRate }
+        : splitGst(order.amount, 18);
+    const placeOfSupply = customer.state || seller.state;
+
+    return {
+        invoiceNumber,
+        series,
+        orderId: order.orderId,
+        testMode: isTestOrder(order),
+        issuedAt,
+        seller: { ...seller, stateCode: stateCode(seller.state) },
+        buyer: {
+            name: customer.name,
+            email: customer.email,
+            phone: customer.phone,
+            city: customer.city,
+            state: customer.state || null,
+            stateCode: stateCode(customer.state)
+        },
+        placeOfSupply: { state: placeOfSupply, stateCode: stateCode(placeOfSupply) },
+        items: [{
+            description: order.packageName || customer.packageType || 'Franchise registration fee',
+            sac,
+            quantity: 1,
+            taxableValue: pricing.taxableValue
+        }],
+        tax: gstBreakdown(pricing, seller.state, customer.state),
+        total: order.amount,
+        totalInWords: amountInWords(order.amount),
+        payment: {
+            paymentId: order.paymentId || null,
+            paidAt: order.completedAt || null,
+            method: gatewayLabel(orderGateway(order))
+        }
+    };
+}
+
+// options: { store, seller, sac, prefix, logger }. store is the invoices collection,
+// indexed on orderId and series.
+function createInvoiceRegistry({ store, seller, sac, prefix = 'ZF', logger = createLogger() }) {
+    let queue = Promise.resolve();
+
+    function seriesFor(order, issuedAt) {
+        return `${isTestOrder(order) ? 'TEST-' : ''}${prefix}/${financialYear(issuedAt)}`;
+    }
+
+    async function issue(order) {
+        const existing = await store.findOneBy('orderId', order.orderId);
+        if (existing) {
+            return existing;
+        }
+
+        const issuedAt = new Date().toISOString();
+        const series = seriesFor(order, issuedAt);
+        const sequence = (await store.findBy('series', series)).length + 1;
+        const invoiceNumber = `${series}/${String(sequence).padStart(5, '0')}`;
+        const invoice = buildInvoice(order, { invoiceNumber, series, issuedAt, seller, sac });
+        await store.set(invoiceNumber, invoice);
+
+        logger.info('Invoice issued', { invoiceNumber, orderId: order.orderId });
+        return invoice;
+    }
+
+    // Returns the order's invoice, issuing it first if needed. Only paid orders
+    // (including ones refunded since) can have an invoice.
+    function issueInvoice(order) {
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            return Promise.reject(new Error(`Order ${order.orderId} is ${order.status} - only paid orders are invoiced`));
+        }
+        const run = queue.then(() => issue(order));
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function findInvoice(orderId) {
+        return store.findOneBy('orderId', orderId);
+    }
+
+    return { issueInvoice, findInvoice };
+}
+
+// Download links in emails carry an HMAC of the order id instead of an admin token
+function invoiceToken(orderId, secret) {
+    return crypto.createHmac('sha256', secret).update(`invoice:${orderId}`).digest('base64url');
+}
+
+function verifyInvoiceToken(orderId, token, secret) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(invoiceToken(orderId, secret));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+    INVOICEABLE_STATUSES,
+    financialYear,
+    amountInWords,
+    buildInvoice,
+    createInvoiceRegistry,
+    invoiceToken,
+    verifyInvoiceToken
+};
@@ -0,0 +1,30 @@
+// ============ INDIAN STANDARD TIME ============
+// The business runs on IST (UTC+5:30, no daylight saving), so dates in
+// exports, dashboard days and invoice financial years are all worked out here.
+
+const TIME_ZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A Date whose UTC fields read as the IST wall-clock time; null when invalid
+function istWallClock(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : new Date(time + IST_OFFSET_MS);
+}
+
+// '2026-10-19' for any time on that IST date
+function istDay(value) {
+    const date = istWallClock(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// The last `days` IST dates up to `now`, oldest first
+function istDayRange(days, now = Date.now()) {
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dates.push(istDay(now - i * DAY_MS));
+    }
+    return dates;
+}
+
+module.exports = { TIME_ZONE, IST_OFFSET_MS, istWallClock, istDay, istDayRange };
@@ -0,0 +1,174 @@
+const { stripHtml } = require('./validation');
+const { matchesSearch } = require('./listQuery');
+
+// ============ ENQUIRY LEAD PIPELINE ============
+// Enquiries are worked as leads. Like payments, stage changes go through
+// transitionLead() and everything that happens to a lead is appended to its
+// activity timeline.
+
+const LEAD_STATUS = {
+    NEW: 'new',
+    CONTACTED: 'contacted',
+    SITE_VISIT: 'site-visit',
+    QUALIFIED: 'qualified',
+    REJECTED: 'rejected',
+    CONVERTED: 'converted'
+};
+
+// Leads can skip stages, step back a stage, and rejected leads can be reopened.
+// Converted is final.
+const LEAD_TRANSITIONS = {
+    'new': ['contacted', 'site-visit', 'qualified', 'rejected'],
+    'contacted': ['site-visit', 'qualified', 'rejected'],
+    'site-visit': ['contacted', 'qualified', 'rejected'],
+    'qualified': ['site-visit', 'converted', 'rejected'],
+    'rejected': ['contacted'],
+    'converted': []
+};
+
+const CLOSED_LEAD_STATUSES = [LEAD_STATUS.REJECTED, LEAD_STATUS.CONVERTED];
+
+const NOTE_MAX_LENGTH = 2000;
+
+class LeadStateError extends Error {
+    constructor(from, to) {
+        super(`Cannot move lead from ${from} to ${to}`);
+        this.name = 'LeadStateError';
+        this.code = 'INVALID_TRANSITION';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function isLeadStatus(status) {
+    return Object.prototype.hasOwnProperty.call(LEAD_TRANSITIONS, status);
+}
+
+function canTransitionLead(from, to) {
+    return (LEAD_TRANSITIONS[from] || []).includes(to);
+}
+
+function activityEntry(type, by, details, at = new Date().toISOString()) {
+    return { at, type, by: by || null, ...details };
+}
+
+// Pipeline fields for a newly received enquiry
+function createLead(enquiry) {
+    return {
+        ...enquiry,
+        status: LEAD_STATUS.NEW,
+        assignee: null,
+        followUpAt: null,
+        updatedAt: enquiry.receivedAt,
+        activity: [activityEntry('created', null, { source: 'enquiry-form' }, enquiry.receivedAt)]
+    };
+}
+
+// Returns an updated copy of the lead; throws LeadStateError for disallowed moves.
+// Closing a lead clears its follow-up date.
+function transitionLead(lead, to, { by, note, at = new Date().toISOString() } = {}) {
+    const from = lead.status;
+    if (!canTransitionLead(from, to)) {
+        throw new LeadStateError(from, to);
+    }
+
+    const details = { from, to };
+    if (note) {
+        details.note = note;
+    }
+
+    return {
+        ...lead,
+        status: to,
+        followUpAt: CLOSED_LEAD_STATUSES.includes(to) ? null : lead.followUpAt,
+        updatedAt: at,
+        activity: [...(lead.activity || []), activityEntry('status', by, details, at)]
+    };
+}
+
+function cleanNote(value) {
+    return stripHtml(String(value)).replace(/\r\n?/g, '\n').trim();
+}
+
+// Validates a lead update: { status, assignee, followUpAt, note }. Only supplied
+// fields are returned in values; assignee/followUpAt accept null to clear them.
+function validateLeadUpdate(input) {
+    const errors = {};
+    const values = {};
+    const body = input || {};
+
+    if (body.status !== undefined) {
+        if (!isLeadStatus(body.status)) {
+            errors.status = `Status must be one of: ${Object.keys(LEAD_TRANSITIONS).join(', ')}`;
+        } else {
+            values.status = body.status;
+        }
+    }
+
+    if (body.assignee !== undefined) {
+        if (body.assignee !== null && (typeof body.assignee !== 'string' || !body.assignee.trim())) {
+            errors.assignee = 'Assignee must be an admin username or null';
+        } else {
+            values.assignee = body.assignee === null ? null : body.assignee.trim();
+        }
+    }
+
+    if (body.followUpAt !== undefined) {
+        const date = body.followUpAt === null ? null : new Date(body.followUpAt);
+        if (date !== null && (typeof body.followUpAt !== 'string' || Number.isNaN(date.getTime()))) {
+            errors.followUpAt = 'Follow-up must be a date (YYYY-MM-DD or ISO 8601) or null';
+        } else {
+            values.followUpAt = date && date.toISOString();
+        }
+    }
+
+    if (body.note !== undefined) {
+        const note = typeof body.note === 'string' ? cleanNote(body.note) : '';
+        if (!note || note.length > NOTE_MAX_LENGTH) {
+            errors.note = `Note must be 1-${NOTE_MAX_LENGTH} characters`;
+        } else {
+            values.note = note;
+        }
+    }
+
+    return { errors, values };
+}
+
+// Filters from the admin list query string: status and investment take
+// comma-separated lists, assignee=none finds unassigned leads, q searches
+// enquiry id, name, email, phone, city and message, followUpDue=true finds
+// open leads whose follow-up date has passed.
+function filterLeads(leads, query, now = Date.now()) {
+    const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+    const statuses = query.status ? list(query.status) : null;
+    const investments = query.investment ? list(query.investment) : null;
+    const city = query.city ? String(query.city).trim().toLowerCase() : null;
+    const search = query.q ? String(query.q).trim().toLowerCase() : null;
+
+    return leads.filter(lead => {
+        if (statuses && !statuses.includes(lead.status)) return false;
+        if (investments && !investments.includes(lead.investment)) return false;
+        if (city && String(lead.city || '').toLowerCase() !== city) return false;
+        if (query.assignee === 'none' && lead.assignee) return false;
+        if (query.assignee && query.assignee !== 'none' && lead.assignee !== query.assignee) return false;
+        if (query.followUpDue === 'true') {
+            if (!lead.followUpAt || CLOSED_LEAD_STATUSES.includes(lead.status)) return false;
+            if (new Date(lead.followUpAt).getTime() > now) return false;
+        }
+        return matchesSearch([lead.enquiryId, lead.name, lead.email, lead.phone, lead.city, lead.message], search);
+    });
+}
+
+module.exports = {
+    LEAD_STATUS,
+    LEAD_TRANSITIONS,
+    CLOSED_LEAD_STATUSES,
+    LeadStateError,
+    isLeadStatus,
+    canTransitionLead,
+    activityEntry,
+    createLead,
+    transitionLead,
+    validateLeadUpdate,
+    filterLeads
+};
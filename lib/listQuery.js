@@ -0,0 +1,133 @@
+// ============ ADMIN LIST QUERIES ============
+// Shared paging, sorting and range filters for the admin list endpoints.
+// parseListQuery() follows the validate() convention and returns
+// { errors, values }; paginate() builds the response body.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function parseInteger(value, min, max) {
+    if (!/^\d+$/.test(String(value))) return null;
+    const number = Number(value);
+    return number >= min && number <= max ? number : null;
+}
+
+// A YYYY-MM-DD `to` date includes the whole day
+function parseDate(value, endOfDay) {
+    const text = String(value);
+    const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseAmount(value) {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// options: { sortFields, defaultSort, defaultOrder }. from/to and minAmount/maxAmount are
+// parsed here; each endpoint decides which record field they apply to.
+function parseListQuery(query, { sortFields, defaultSort, defaultOrder = 'desc' }) {
+    const errors = {};
+    const values = {
+        page: 1,
+        pageSize: DEFAULT_PAGE_SIZE,
+        sort: defaultSort,
+        order: defaultOrder
+    };
+
+    if (query.page !== undefined) {
+        values.page = parseInteger(query.page, 1, Number.MAX_SAFE_INTEGER);
+        if (!values.page) errors.page = 'Page must be a whole number from 1';
+    }
+    if (query.pageSize !== undefined) {
+        values.pageSize = parseInteger(query.pageSize, 1, MAX_PAGE_SIZE);
+        if (!values.pageSize) errors.pageSize = `Page size must be between 1 and ${MAX_PAGE_SIZE}`;
+    }
+    if (query.sort !== undefined) {
+        if (!sortFields.includes(query.sort)) {
+            errors.sort = `Sort must be one of: ${sortFields.join(', ')}`;
+        } else {
+            values.sort = query.sort;
+        }
+    }
+    if (query.order !== undefined) {
+        if (query.order !== 'asc' && query.order !== 'desc') {
+            errors.order = 'Order must be asc or desc';
+        } else {
+            values.order = query.order;
+        }
+    }
+
+    for (const [field, endOfDay] of [['from', false], ['to', true]]) {
+        if (query[field] !== undefined) {
+            values[field] = parseDate(query[field], endOfDay);
+            if (!values[field]) errors[field] = `${field === 'from' ? 'From' : 'To'} must be a date (YYYY-MM-DD or ISO 8601)`;
+        }
+    }
+    for (const field of ['minAmount', 'maxAmount']) {
+        if (query[field] !== undefined) {
+            values[field] = parseAmount(query[field]);
+            if (values[field] === null) errors[field] = 'Amounts must be non-negative numbers';
+        }
+    }
+
+    values.q = query.q ? String(query.q).trim().toLowerCase() : null;
+    return { errors, values };
+}
+
+function inDateRange(value, { from, to }) {
+    if (!from && !to) return true;
+    if (!value) return false;
+    const time = new Date(value).getTime();
+    return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+}
+
+function matchesSearch(fields, q) {
+    return !q || fields.filter(value => value !== undefined && value !== null).join(' ').toLowerCase().includes(q);
+}
+
+// Field values are read with a getter so nested values (customerData.name) can be sorted on.
+// Missing values always sort last.
+function sortItems(items, { sort, order }, getters = {}) {
+    const get = getters[sort] || (item => item[sort]);
+    const direction = order === 'asc' ? 1 : -1;
+    return items.sort((a, b) => {
+        const left = get(a);
+        const right = get(b);
+        if (left === right) return 0;
+        if (left === undefined || left === null) return 1;
+        if (right === undefined || right === null) return -1;
+        if (typeof left === 'number' && typeof right === 'number') {
+            return (left - right) * direction;
+        }
+        return String(left).localeCompare(String(right)) * direction;
+    });
+}
+
+// Response body for a list page. count is the number of items on this page,
+// total the number matching the filters.
+function paginate(items, { page, pageSize, sort, order }) {
+    const total = items.length;
+    const start = (page - 1) * pageSize;
+    return {
+        success: true,
+        count: Math.max(0, Math.min(pageSize, total - start)),
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        sort,
+        order,
+        data: items.slice(start, start + pageSize)
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parseListQuery,
+    inDateRange,
+    matchesSearch,
+    sortItems,
+    paginate
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ============ LOGGER ============
+// Structured logs: one JSON object per line ({ time, level, msg, requestId, ...fields })
+// for shipping, or a readable single line per entry in development. Every entry
+// written while a request is being handled carries that request's id, including
+// entries from the email outbox and payment gateways, without passing it around.
+// Customer emails and phone numbers are masked and secrets (MACs, signatures,
+// tokens, passwords, API keys) removed before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+const PRETTY_ICONS = { debug: '🔍', info: 'ℹ️ ', warn: '⚠️ ', error: '❌' };
+
+// Matched case-insensitively against object keys at any depth
+const SECRET_KEYS = new Set([
+    'mac', 'authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-razorpay-signature',
+    'token', 'password', 'passwordhash', 'secret', 'salt', 'apikey', 'authtoken', 'keysecret', 'webhooksecret'
+]);
+const PHONE_KEYS = new Set(['phone', 'buyer_phone', 'contact', 'mobile']);
+
+// Email addresses are masked wherever they appear, in any field or message
+const EMAIL_IN_TEXT = /[^\s@<>"'(),;:]+@[^\s@<>"'(),;:]+\.[a-z]{2,}/gi;
+const TOKEN_IN_URL = /([?&](?:token|mac|signature)=)[^&\s"']+/gi;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function maskEmail(address) {
+    const [local, domain] = address.split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function maskPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length > 4 ? `******${digits.slice(-4)}` : '[REDACTED]';
+}
+
+function redactText(text) {
+    return text.replace(EMAIL_IN_TEXT, maskEmail).replace(TOKEN_IN_URL, '$1[REDACTED]');
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactText(String(error.message)),
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.stack ? { stack: redactText(error.stack) } : {})
+    };
+}
+
+// Deep copy with PII masked and secrets removed. Errors keep only name, message,
+// code and stack (an axios error also holds the request headers).
+function redact(value, key, depth = 0) {
+    const name = key ? String(key).toLowerCase() : '';
+    if (value === null || value === undefined) return value;
+    if (SECRET_KEYS.has(name)) return '[REDACTED]';
+    if (PHONE_KEYS.has(name) && (typeof value === 'string' || typeof value === 'number')) return maskPhone(value);
+    if (typeof value === 'string') return redactText(value);
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+    if (typeof value !== 'object') return value;
+    if (depth >= 6) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+
+    const copy = {};
+    for (const [field, item] of Object.entries(value)) {
+        copy[field] = redact(item, field, depth + 1);
+    }
+    return copy;
+}
+
+function currentRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+}
+
+// Runs fn with the given request id attached to every log entry it makes
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+        .map(([field, value]) => `${field}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time.slice(11, 23)} ${PRETTY_ICONS[level]} ${msg}${details ? '  ' + details : ''}`;
+}
+
+// options: { level, format (json | pretty), file, stream }. Output goes to
+// `stream` when given, else appended to `file`, else stdout.
+function createLogger(options = {}, bindings = {}) {
+    const level = options.level || 'info';
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    const format = options.format || 'json';
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}" (use ${LOG_FORMATS.join(' or ')})`);
+    }
+    const stream = options.stream
+        || (options.file ? fs.createWriteStream(options.file, { flags: 'a' }) : process.stdout);
+    const threshold = LEVELS[level];
+
+    function write(entryLevel, msg, fields) {
+        if (LEVELS[entryLevel] < threshold) {
+            return;
+        }
+        const requestId = currentRequestId();
+        const entry = redact({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...(requestId ? { requestId } : {}),
+            ...bindings,
+            ...fields
+        });
+        stream.write((format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)) + '\n');
+    }
+
+    return {
+        level,
+        format,
+        isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        // A logger that adds these fields to every entry (shares the output)
+        child: fields => createLogger({ ...options, stream }, { ...bindings, ...fields })
+    };
+}
+
+// Express middleware: takes the caller's X-Request-Id (e.g. from a load balancer)
+// or makes one, echoes it on the response and logs each request when it finishes.
+// Query strings are left out because they can carry link tokens. Successful
+// requests to quietPaths (probes, metrics scrapes) are only logged at debug.
+function requestLogger(logger, { quietPaths = [] } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const fields = {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+                ...(req.admin ? { admin: req.admin.username } : {})
+            };
+            runWithRequestId(requestId, () => {
+                if (res.statusCode >= 500) logger.error('Request failed', fields);
+                else if (res.statusCode >= 400) logger.warn('Request rejected', fields);
+                else if (quietPaths.includes(req.path)) logger.debug('Request completed', fields);
+                else logger.info('Request completed', fields);
+            });
+        });
+
+        runWithRequestId(requestId, next);
+    };
+}
+
+module.exports = {
+    LEVELS,
+    LOG_FORMATS,
+    createLogger,
+    requestLogger,
+    currentRequestId,
+    runWithRequestId,
+    redact
+};
@@ -0,0 +1,125 @@
+const client = require('prom-client');
+
+// ============ METRICS ============
+// Prometheus metrics, served by GET /metrics. Each createMetrics() call has its
+// own registry, so a module given no metrics object records into one nobody
+// reads instead of needing null checks. Labels are kept to small, fixed sets:
+// requests are labelled with the matched route pattern, never the raw URL.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// options: { prefix (default 'zudio_'), collectDefaults (process CPU, memory, event loop) }
+function createMetrics({ prefix = 'zudio_', collectDefaults = false } = {}) {
+    const register = new client.Registry();
+    if (collectDefaults) {
+        client.collectDefaultMetrics({ register, prefix });
+    }
+
+    const httpRequestDuration = new client.Histogram({
+        name: `${prefix}http_request_duration_seconds`,
+        help: 'HTTP request latency by method, route pattern and status code',
+        labelNames: ['method', 'route', 'status'],
+        buckets: LATENCY_BUCKETS,
+        registers: [register]
+    });
+    const payments = new client.Counter({
+        name: `${prefix}payments_total`,
+        help: 'Payment requests created, completed and failed, by package and gateway',
+        labelNames: ['event', 'package', 'gateway'],
+        registers: [register]
+    });
+    const webhooks = new client.Counter({
+        name: `${prefix}webhooks_total`,
+        help: 'Webhooks received, by gateway and outcome',
+        labelNames: ['gateway', 'outcome'],
+        registers: [register]
+    });
+    const emails = new client.Counter({
+        name: `${prefix}email_deliveries_total`,
+        help: 'Email delivery attempts, by template and result (sent or failed)',
+        labelNames: ['template', 'result'],
+        registers: [register]
+    });
+    const gatewayDuration = new client.Histogram({
+        name: `${prefix}gateway_request_duration_seconds`,
+        help: 'Payment gateway API latency, by gateway, operation and result',
+        labelNames: ['gateway', 'operation', 'result'],
+        buckets: LATENCY_BUCKETS,
+        registers: [register]
+    });
+    const blockedSubmissions = new client.Counter({
+        name: `${prefix}form_submissions_blocked_total`,
+        help: 'Enquiry and payment form submissions turned away as spam, by form and reason',
+        labelNames: ['form', 'reason'],
+        registers: [register]
+    });
+    const healthCheck = new client.Gauge({
+        name: `${prefix}health_check_up`,
+        help: 'Result of the last readiness probe of each dependency (1 up, 0 down)',
+        labelNames: ['check'],
+        registers: [register]
+    });
+
+    // Express middleware. Requests no route handled (static files, 404s) share
+    // one label, so scanners probing random URLs can't create new series.
+    function requestMetrics() {
+        return (req, res, next) => {
+            const stop = httpRequestDuration.startTimer({ method: req.method });
+            res.on('finish', () => {
+                const route = req.route ? req.baseUrl + req.route.path : 'other';
+                stop({ route, status: res.statusCode });
+            });
+            next();
+        };
+    }
+
+    // event: created, completed or failed
+    function recordPayment(event, order) {
+        payments.inc({ event, package: order.packageId || 'unknown', gateway: order.gateway || 'unknown' });
+    }
+
+    function recordWebhook(gateway, outcome) {
+        webhooks.inc({ gateway, outcome });
+    }
+
+    function recordEmail(template, result) {
+        emails.inc({ template: template || 'none', result });
+    }
+
+    // Times one gateway API call; the result label is ok or error
+    async function timeGatewayCall(gateway, operation, call) {
+        const stop = gatewayDuration.startTimer({ gateway, operation });
+        try {
+            const result = await call();
+            stop({ result: 'ok' });
+            return result;
+        } catch (error) {
+            stop({ result: 'error' });
+            throw error;
+        }
+    }
+
+    // form: enquiry or payment; reason: one of lib/antiSpam's SPAM_REASONS
+    function recordBlockedSubmission(form, reason) {
+        blockedSubmissions.inc({ form, reason });
+    }
+
+    function recordHealthCheck(check, up) {
+        healthCheck.set({ check }, up ? 1 : 0);
+    }
+
+    return {
+        register,
+        contentType: register.contentType,
+        render: () => register.metrics(),
+        requestMetrics,
+        recordPayment,
+        recordWebhook,
+        recordEmail,
+        timeGatewayCall,
+        recordBlockedSubmission,
+        recordHealthCheck
+    };
+}
+
+module.exports = { createMetrics };
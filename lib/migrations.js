@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// ============ STORAGE MIGRATIONS ============
+// Each migration upgrades the raw storage state by one schema version.
+// Migrations run in order on startup and must never be edited once released -
+// add a new entry instead.
+
+function ensureCollection(state, name) {
+    if (!state.collections[name]) {
+        state.collections[name] = {};
+    }
+}
+
+// ============ MIGRATION 8 HELPERS ============
+// Copies of how lib/applicants.js normalised and matched contacts when version 8
+// was released, so later changes there can't change what this migration does.
+// Mobile numbers: 10 digits starting 6-9, with an optional 91 country code.
+const V8_MOBILE_PATTERN = /^(?:91)?([6-9]\d{9})$/;
+
+function v8ContactKeys(contact) {
+    const mobile = contact.phone ? String(contact.phone).replace(/[\s+\-()]/g, '').match(V8_MOBILE_PATTERN) : null;
+    return {
+        email: contact.email ? String(contact.email).trim().toLowerCase() : null,
+        phone: mobile ? mobile[1] : null
+    };
+}
+
+function v8MatchApplicant(applicants, contact) {
+    const { email, phone } = v8ContactKeys(contact);
+    return (email && applicants.find(applicant => applicant.email === email))
+        || (phone && applicants.find(applicant => applicant.phone === phone))
+        || null;
+}
+
+function v8NewApplicant(contact, at) {
+    const { email, phone } = v8ContactKeys(contact);
+    return {
+        applicantId: 'APL_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase(),
+        name: contact.name || null,
+        email,
+        phone,
+        city: contact.city || null,
+        enquiryIds: [],
+        orderIds: [],
+        createdAt: at,
+        updatedAt: at
+    };
+}
+
+function v8AttachToApplicant(applicant, contact, { enquiryId, orderId }, at) {
+    const { email, phone } = v8ContactKeys(contact);
+    const updated = {
+        ...applicant,
+        name: contact.name || applicant.name,
+        email: applicant.email || email,
+        phone: applicant.phone || phone,
+        city: contact.city || applicant.city,
+        updatedAt: at
+    };
+    if (enquiryId && !updated.enquiryIds.includes(enquiryId)) {
+        updated.enquiryIds = [...updated.enquiryIds, enquiryId];
+    }
+    if (orderId && !updated.orderIds.includes(orderId)) {
+        updated.orderIds = [...updated.orderIds, orderId];
+    }
+    return updated;
+}
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Create payments and enquiries collections',
+        up(state) {
+            ensureCollection(state, 'payments');
+            ensureCollection(state, 'enquiries');
+        }
+    },
+    {
+        version: 2,
+        description: 'Create admins collection',
+        up(state) {
+            ensureCollection(state, 'admins');
+        }
+    },
+    {
+        version: 3,
+        description: 'Backfill payment status history',
+        up(state) {
+            for (const order of Object.values(state.collections.payments)) {
+                if (order.statusHistory) continue;
+                order.statusHistory = [{ from: null, to: 'pending', at: order.createdAt, source: 'migration' }];
+                if (order.status === 'completed') {
+                    order.statusHistory.push({ from: 'pending', to: 'completed', at: order.completedAt || order.createdAt, source: 'migration' });
+                }
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Create webhook event log',
+        up(state) {
+            ensureCollection(state, 'webhookEvents');
+        }
+    },
+    {
+        version: 5,
+        description: 'Create registration packages catalogue',
+        up(state) {
+            ensureCollection(state, 'packages');
+            const now = new Date().toISOString();
+            const seed = [
+                { id: 'basic', name: 'Basic Registration', price: 5000, description: 'Standard application review and franchise information kit', sortOrder: 1 },
+                { id: 'premium', name: 'Premium Registration', price: 10000, description: 'Priority review with a dedicated franchise consultant', sortOrder: 2 },
+                { id: 'express', name: 'Express Processing', price: 25000, description: 'Fast-tracked review, site evaluation and onboarding', sortOrder: 3 }
+            ];
+            for (const pkg of seed) {
+                if (!state.collections.packages[pkg.id]) {
+                    state.collections.packages[pkg.id] = { ...pkg, gstRate: 18, active: true, createdAt: now };
+                }
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Create email outbox',
+        up(state) {
+            ensureCollection(state, 'emailOutbox');
+        }
+    },
+    {
+        version: 7,
+        description: 'Add lead pipeline fields to enquiries',
+        up(state) {
+            for (const enquiry of Object.values(state.collections.enquiries)) {
+                if (enquiry.status) continue;
+                enquiry.status = 'new';
+                enquiry.assignee = null;
+                enquiry.followUpAt = null;
+                enquiry.updatedAt = enquiry.receivedAt;
+                enquiry.activity = [{ at: enquiry.receivedAt, type: 'created', by: null, source: 'migration' }];
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Create applicants and link existing enquiries and orders',
+        up(state) {
+            ensureCollection(state, 'applicants');
+            const applicants = Object.values(state.collections.applicants);
+
+            // Oldest first, so each applicant is created from its earliest record
+            const records = [
+                ...Object.values(state.collections.enquiries).map(enquiry => ({ record: enquiry, contact: enquiry, ids: { enquiryId: enquiry.enquiryId }, at: enquiry.receivedAt })),
+                ...Object.values(state.collections.payments).map(order => ({ record: order, contact: order.customerData || {}, ids: { orderId: order.orderId }, at: order.createdAt }))
+            ].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+            for (const { record, contact, ids, at } of records) {
+                if (record.applicantId || (!contact.email && !contact.phone)) continue;
+                const existing = v8MatchApplicant(applicants, contact);
+                const applicant = v8AttachToApplicant(existing || v8NewApplicant(contact, at), contact, ids, at);
+                if (existing) {
+                    applicants[applicants.indexOf(existing)] = applicant;
+                } else {
+                    applicants.push(applicant);
+                }
+                state.collections.applicants[applicant.applicantId] = applicant;
+                record.applicantId = applicant.applicantId;
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Create GST invoices collection',
+        up(state) {
+            ensureCollection(state, 'invoices');
+        }
+    }
+];
+
+module.exports = { migrations, ensureCollection };
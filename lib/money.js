@@ -0,0 +1,9 @@
+// ============ MONEY ============
+// Amounts are rupees as numbers with at most two decimals. Every package price,
+// tax split, refund and revenue total is rounded here, so they all agree.
+
+function roundToPaise(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { roundToPaise };
@@ -0,0 +1,125 @@
+const { GATEWAY_NAMES } = require('./gateways');
+const { roundToPaise } = require('./money');
+
+// ============ REGISTRATION PACKAGES ============
+// Prices are what the applicant pays, GST included. gstRate is only used to
+// split that amount into taxable value and tax. The initial catalogue is
+// seeded by storage migration 5.
+
+// Instamojo rejects payment requests below ₹9
+const MIN_PACKAGE_PRICE = 9;
+
+function splitGst(price, gstRate) {
+    const taxableValue = roundToPaise(price / (1 + gstRate / 100));
+    return {
+        amount: price,
+        taxableValue: taxableValue,
+        gstAmount: roundToPaise(price - taxableValue),
+        gstRate: gstRate
+    };
+}
+
+// Validates admin input for a new package (partial = false) or an update (partial = true).
+// Returns { errors, values } with only the fields that were supplied.
+function validatePackageInput(input, { partial = false } = {}) {
+    const errors = {};
+    const values = {};
+    const body = input || {};
+
+    if (!partial || body.id !== undefined) {
+        if (typeof body.id !== 'string' || !/^[a-z0-9-]{2,40}$/.test(body.id)) {
+            errors.id = 'Use 2-40 lowercase letters, digits or dashes';
+        } else {
+            values.id = body.id;
+        }
+    }
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 80) {
+            errors.name = 'Name is required (max 80 characters)';
+        } else {
+            values.name = body.name.trim();
+        }
+    }
+
+    if (!partial || body.price !== undefined) {
+        const price = Number(body.price);
+        if (!Number.isFinite(price) || price < MIN_PACKAGE_PRICE) {
+            errors.price = `Price must be at least ₹${MIN_PACKAGE_PRICE}`;
+        } else {
+            values.price = roundToPaise(price);
+        }
+    }
+
+    if (!partial || body.gstRate !== undefined) {
+        const gstRate = body.gstRate === undefined ? 18 : Number(body.gstRate);
+        if (!Number.isFinite(gstRate) || gstRate < 0 || gstRate > 28) {
+            errors.gstRate = 'GST rate must be between 0 and 28';
+        } else {
+            values.gstRate = gstRate;
+        }
+    }
+
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || body.description.length > 500) {
+            errors.description = 'Description must be text (max 500 characters)';
+        } else {
+            values.description = body.description.trim();
+        }
+    } else if (!partial) {
+        values.description = '';
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            errors.active = 'Active must be true or false';
+        } else {
+            values.active = body.active;
+        }
+    } else if (!partial) {
+        values.active = true;
+    }
+
+    // null (or empty) clears the override so the default gateway is used
+    if (body.gateway !== undefined) {
+        if (body.gateway === null || body.gateway === '') {
+            values.gateway = null;
+        } else if (!GATEWAY_NAMES.includes(body.gateway)) {
+            errors.gateway = `Gateway must be one of: ${GATEWAY_NAMES.join(', ')}`;
+        } else {
+            values.gateway = body.gateway;
+        }
+    }
+
+    if (body.sortOrder !== undefined) {
+        if (!Number.isInteger(body.sortOrder)) {
+            errors.sortOrder = 'Sort order must be a whole number';
+        } else {
+            values.sortOrder = body.sortOrder;
+        }
+    }
+
+    return { errors, values };
+}
+
+function sortPackages(packages) {
+    return packages.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.price - b.price);
+}
+
+function publicPackage(pkg) {
+    return {
+        id: pkg.id,
+        name: pkg.name,
+        price: pkg.price,
+        gstRate: pkg.gstRate,
+        description: pkg.description
+    };
+}
+
+module.exports = {
+    MIN_PACKAGE_PRICE,
+    splitGst,
+    validatePackageInput,
+    sortPackages,
+    publicPackage
+};
@@ -0,0 +1,96 @@
+// ============ PAYMENT STATE MACHINE ============
+// Every status change on an order goes through transitionPayment() so the
+// allowed transitions live in one place and each change is recorded in the
+// order's statusHistory.
+
+const PAYMENT_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled',
+    PARTIALLY_REFUNDED: 'partially-refunded',
+    REFUNDED: 'refunded'
+};
+
+// A late Credit always wins over failed/expired/cancelled: the money has moved,
+// so the order has to reflect it.
+const TRANSITIONS = {
+    'pending': ['completed', 'failed', 'expired', 'cancelled'],
+    'failed': ['completed', 'cancelled'],
+    'expired': ['completed'],
+    'cancelled': ['completed'],
+    'completed': ['partially-refunded', 'refunded'],
+    'partially-refunded': ['refunded'],
+    'refunded': []
+};
+
+class PaymentStateError extends Error {
+    constructor(from, to) {
+        super(`Cannot move payment from ${from} to ${to}`);
+        this.name = 'PaymentStateError';
+        this.code = 'INVALID_TRANSITION';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function createStatusHistory(createdAt, source) {
+    return [{ from: null, to: PAYMENT_STATUS.PENDING, at: createdAt, source }];
+}
+
+// completed -> completedAt, partially-refunded -> partiallyRefundedAt
+function timestampField(status) {
+    return status.replace(/-(\w)/g, (match, letter) => letter.toUpperCase()) + 'At';
+}
+
+// Returns an updated copy of the order; throws PaymentStateError for disallowed moves
+function transitionPayment(order, to, { source, reason, at = new Date().toISOString() } = {}) {
+    const from = order.status;
+    if (!canTransition(from, to)) {
+        throw new PaymentStateError(from, to);
+    }
+
+    const entry = { from, to, at, source };
+    if (reason) {
+        entry.reason = reason;
+    }
+
+    return {
+        ...order,
+        status: to,
+        [timestampField(to)]: at,
+        statusHistory: [...(order.statusHistory || []), entry]
+    };
+}
+
+// The history as applicants may see it: sources name admins and reasons are
+// internal notes, so both stay in the admin order view
+function publicStatusHistory(order) {
+    return (order.statusHistory || []).map(({ from, to, at }) => ({ from, to, at }));
+}
+
+// Orders created before testMode was recorded are recognised by their mock ids
+function isTestOrder(order) {
+    return order.testMode !== undefined ? order.testMode : String(order.paymentRequestId || '').startsWith('TEST_');
+}
+
+function isExpired(order, expiryMs, now = Date.now()) {
+    return order.status === PAYMENT_STATUS.PENDING && now - new Date(order.createdAt).getTime() > expiryMs;
+}
+
+module.exports = {
+    PAYMENT_STATUS,
+    TRANSITIONS,
+    PaymentStateError,
+    canTransition,
+    createStatusHistory,
+    transitionPayment,
+    publicStatusHistory,
+    isExpired,
+    isTestOrder
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { PAYMENT_STATUS, transitionPayment } = require('./paymentState');
+const { stripHtml } = require('./validation');
+const { roundToPaise } = require('./money');
+
+// ============ REFUNDS ============
+// Refunds are recorded on the order in `refunds` (oldest first). A refund starts
+// pending, or processed when the gateway settles it straight away, and is
+// settled later by a refund webhook. The order only moves to partially-refunded
+// or refunded once money has actually gone back.
+
+const REFUND_STATUS = {
+    PENDING: 'pending',
+    PROCESSED: 'processed',
+    FAILED: 'failed'
+};
+
+// Instamojo's refund type codes. Gateways without reason codes get the label.
+const REFUND_REASONS = {
+    RFD: 'Duplicate or delayed payment',
+    TNR: 'Service no longer available',
+    QFL: 'Applicant not satisfied with the service',
+    QNR: 'Service not received',
+    EWN: 'Technical problem with the service',
+    TAN: 'Registration cancelled or changed',
+    PTH: 'Other'
+};
+
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+const NOTE_MAX_LENGTH = 500;
+
+function generateRefundId() {
+    return 'RFD_' + Date.now() + '_' + crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+function sumRefunds(order, statuses) {
+    return roundToPaise((order.refunds || [])
+        .filter(refund => statuses.includes(refund.status))
+        .reduce((sum, refund) => sum + refund.amount, 0));
+}
+
+// Pending refunds count against the balance so two refunds can't both take it
+function refundableAmount(order) {
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        return 0;
+    }
+    return roundToPaise(order.amount - sumRefunds(order, [REFUND_STATUS.PENDING, REFUND_STATUS.PROCESSED]));
+}
+
+// Validates { amount, reason, note } against the order. amount defaults to the
+// whole refundable balance; note is required for reason PTH (other).
+function validateRefundRequest(input, order) {
+    const errors = {};
+    const values = {};
+    const body = input || {};
+    const available = refundableAmount(order);
+
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        errors.order = `Only completed payments can be refunded (this one is ${order.status})`;
+    } else if (available <= 0) {
+        errors.amount = 'This payment has already been refunded in full';
+    } else if (body.amount === undefined || body.amount === null || body.amount === '') {
+        values.amount = available;
+    } else {
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount <= 0 || roundToPaise(amount) !== amount) {
+            errors.amount = 'Amount must be a positive number of rupees (up to 2 decimal places)';
+        } else if (amount > available) {
+            errors.amount = `Amount can be at most ₹${available}`;
+        } else {
+            values.amount = amount;
+        }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(REFUND_REASONS, body.reason)) {
+        errors.reason = `Reason must be one of: ${Object.keys(REFUND_REASONS).join(', ')}`;
+    } else {
+        values.reason = body.reason;
+    }
+
+    const note = typeof body.note === 'string' ? stripHtml(body.note).replace(/\s+/g, ' ').trim() : '';
+    if (note.length > NOTE_MAX_LENGTH) {
+        errors.note = `Note must be at most ${NOTE_MAX_LENGTH} characters`;
+    } else if (!note && values.reason === 'PTH') {
+        errors.note = 'Describe the reason when using PTH (other)';
+    } else if (note) {
+        values.note = note;
+    }
+
+    return { errors, values };
+}
+
+// Returns an updated copy of the order with the new refund appended
+function addRefund(order, refund) {
+    return { ...order, refunds: [...(order.refunds || []), refund] };
+}
+
+// Settles a refund as processed or failed and, once money has gone back, moves
+// the order to partially-refunded or refunded. Returns { order, refund, changed };
+// changed is false when the refund had already been settled (a repeat webhook).
+function settleRefund(order, refundId, status, { source, at = new Date().toISOString(), failureReason } = {}) {
+    const index = (order.refunds || []).findIndex(refund => refund.refundId === refundId);
+    if (index === -1) {
+        throw new Error(`Refund ${refundId} not found on order ${order.orderId}`);
+    }
+
+    const current = order.refunds[index];
+    if (current.status !== REFUND_STATUS.PENDING) {
+        return { order, refund: current, changed: false };
+    }
+
+    const refund = { ...current, status, settledAt: at };
+    if (status === REFUND_STATUS.FAILED && failureReason) {
+        refund.failureReason = failureReason;
+    }
+
+    const refunds = order.refunds.slice();
+    refunds[index] = refund;
+    let updated = { ...order, refunds };
+    updated.refundedAmount = sumRefunds(updated, [REFUND_STATUS.PROCESSED]);
+
+    if (status === REFUND_STATUS.PROCESSED) {
+        const reason = `${updated.refundedAmount >= order.amount ? 'Full' : 'Partial'} refund of ₹${refund.amount} (${refund.reason})`;
+        if (updated.refundedAmount >= order.amount) {
+            updated = transitionPayment(updated, PAYMENT_STATUS.REFUNDED, { source, reason, at });
+        } else if (updated.status === PAYMENT_STATUS.COMPLETED) {
+            updated = transitionPayment(updated, PAYMENT_STATUS.PARTIALLY_REFUNDED, { source, reason, at });
+        }
+    }
+
+    return { order: updated, refund, changed: true };
+}
+
+module.exports = {
+    REFUND_STATUS,
+    REFUND_REASONS,
+    generateRefundId,
+    refundableAmount,
+    validateRefundRequest,
+    addRefund,
+    settleRefund
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const helmet = require('helmet');
+const { rateLimit } = require('express-rate-limit');
+
+// ============ SECURITY MIDDLEWARE ============
+// Response headers (helmet with a Content-Security-Policy), the CORS origin
+// allow-list and per-route rate limits. Pages may only run scripts served from
+// this origin, plus inline blocks rendered with the request's nonce.
+
+const RATE_LIMIT_MESSAGE = 'Too many requests, please try again later.';
+
+// Gives each request a random nonce for its inline <script nonce="..."> blocks
+function cspNonce() {
+    return (req, res, next) => {
+        res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+        next();
+    };
+}
+
+// options: { production } - production pages also upgrade http:// requests
+function securityHeaders({ production = false } = {}) {
+    return helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`],
+                scriptSrcAttr: ["'none'"],
+                // The landing pages style elements inline and from script
+                styleSrc: ["'self'", "'unsafe-inline'"],
+                imgSrc: ["'self'", 'data:', 'https://images.unsplash.com'],
+                fontSrc: ["'self'", 'data:'],
+                connectSrc: ["'self'"],
+                formAction: ["'self'"],
+                objectSrc: ["'none'"],
+                baseUri: ["'self'"],
+                frameAncestors: ["'none'"],
+                upgradeInsecureRequests: production ? [] : null
+            }
+        },
+        // Sites the browser is sent to (gateways, Unsplash) don't need our URLs
+        referrerPolicy: { policy: 'strict-origin-when-cross-origin' }
+    });
+}
+
+// Turns "https://a.example, https://b.example" into a list of origins; "*"
+// allows any origin. Throws on anything that isn't an origin, so a typo fails
+// at startup instead of silently blocking the site.
+function parseOrigins(value) {
+    return String(value || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean)
+        .map(origin => {
+            if (origin === '*') {
+                return origin;
+            }
+            let url;
+            try {
+                url = new URL(origin);
+            } catch (error) {
+                throw new Error(`Invalid CORS origin "${origin}"`);
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`Invalid CORS origin "${origin}"`);
+            }
+            return url.origin;
+        });
+}
+
+// Options for the cors package. Requests without an Origin header (same-origin
+// pages, curl, gateway webhooks) are always let through; a browser on another
+// origin only gets CORS headers when that origin is listed. The admin API uses
+// Bearer tokens, not cookies, so credentials are never allowed.
+function corsOptions(allowedOrigins) {
+    const allowAny = allowedOrigins.includes('*');
+    return {
+        origin: (origin, callback) => callback(null, allowAny || !origin || allowedOrigins.includes(origin)),
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id', 'X-Form-Token'],
+        credentials: false,
+        maxAge: 600
+    };
+}
+
+// A fixed-window limit per client IP, answered with the app's JSON error shape.
+// options: { windowMs, limit, skip, skipSuccessfulRequests, enabled }
+function createRateLimiter({ windowMs, limit, skip, skipSuccessfulRequests = false, enabled = true }) {
+    if (!enabled) {
+        return (req, res, next) => next();
+    }
+    return rateLimit({
+        windowMs,
+        limit,
+        skip,
+        skipSuccessfulRequests,
+        standardHeaders: 'draft-8',
+        legacyHeaders: false,
+        handler: (req, res, next, options) => {
+            res.status(options.statusCode).json({ success: false, message: RATE_LIMIT_MESSAGE });
+        }
+    });
+}
+
+// TRUST_PROXY: a hop count ("1"), true/false, or addresses/subnets as Express
+// accepts them. Behind a proxy it must be set, or every client shares the
+// proxy's IP and one rate limit.
+function parseTrustProxy(value) {
+    const setting = String(value || '').trim();
+    if (!setting || setting === 'false') {
+        return false;
+    }
+    if (setting === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(setting) ? Number(setting) : setting;
+}
+
+module.exports = {
+    RATE_LIMIT_MESSAGE,
+    cspNonce,
+    securityHeaders,
+    parseOrigins,
+    corsOptions,
+    createRateLimiter,
+    parseTrustProxy
+};
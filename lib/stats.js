@@ -0,0 +1,102 @@
+const { PAYMENT_STATUS } = require('./paymentState');
+const { LEAD_STATUS } = require('./leads');
+const { istDay, istDayRange } = require('./istTime');
+const { roundToPaise } = require('./money');
+
+// ============ DASHBOARD STATS ============
+// KPI figures for the admin dashboard, worked out from the stored payments and
+// enquiries. Days are counted in IST so "today" matches the business day.
+
+// Enquiries and orders from the same person share an applicantId; older records
+// without one fall back to the email address
+function personKey(record) {
+    const email = record.email || (record.customerData && record.customerData.email);
+    return record.applicantId || (email ? String(email).toLowerCase() : null);
+}
+
+const PAID_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+function netAmount(order) {
+    return order.amount - (order.refundedAmount || 0);
+}
+
+// options: { days, includeRevenue }. Revenue figures are left out for roles that
+// can't see payments.
+function buildDashboardStats({ payments, enquiries }, { days = 30, includeRevenue = true, now = Date.now() } = {}) {
+    const today = istDay(now);
+    const dates = istDayRange(days, now);
+    const daily = new Map(dates.map(date => [date, { date, enquiries: 0, registrations: 0, revenue: 0 }]));
+    // Partly refunded orders still count as registrations; revenue is net of refunds
+    const completed = payments.filter(order => PAID_STATUSES.includes(order.status));
+
+    for (const enquiry of enquiries) {
+        const day = daily.get(istDay(enquiry.receivedAt));
+        if (day) day.enquiries++;
+    }
+
+    const packages = new Map();
+    for (const order of completed) {
+        const day = daily.get(istDay(order.completedAt || order.createdAt));
+        if (day) {
+            day.registrations++;
+            day.revenue = roundToPaise(day.revenue + netAmount(order));
+        }
+
+        const packageId = order.packageId || 'unknown';
+        const entry = packages.get(packageId) || {
+            packageId,
+            packageName: order.packageName || (order.customerData && order.customerData.packageType) || packageId,
+            registrations: 0,
+            revenue: 0
+        };
+        entry.registrations++;
+        entry.revenue = roundToPaise(entry.revenue + netAmount(order));
+        packages.set(packageId, entry);
+    }
+
+    // Conversion: people who sent an enquiry and went on to complete a payment
+    const enquired = new Set(enquiries.map(personKey).filter(Boolean));
+    const paid = new Set(completed.map(personKey).filter(Boolean));
+    const converted = [...enquired].filter(key => paid.has(key)).length;
+
+    const leadsByStatus = {};
+    for (const status of Object.values(LEAD_STATUS)) {
+        leadsByStatus[status] = enquiries.filter(enquiry => (enquiry.status || LEAD_STATUS.NEW) === status).length;
+    }
+
+    const todayStats = daily.get(today);
+    const stats = {
+        today: {
+            date: today,
+            enquiries: todayStats.enquiries,
+            registrations: todayStats.registrations,
+            revenue: todayStats.revenue
+        },
+        totals: {
+            enquiries: enquiries.length,
+            registrations: completed.length,
+            pendingPayments: payments.filter(order => order.status === PAYMENT_STATUS.PENDING).length,
+            revenue: roundToPaise(completed.reduce((sum, order) => sum + netAmount(order), 0))
+        },
+        conversion: {
+            enquired: enquired.size,
+            converted,
+            rate: enquired.size ? Math.round((converted / enquired.size) * 1000) / 10 : 0
+        },
+        revenueByPackage: [...packages.values()].sort((a, b) => b.revenue - a.revenue),
+        leadsByStatus,
+        daily: [...daily.values()]
+    };
+
+    if (!includeRevenue) {
+        delete stats.today.revenue;
+        delete stats.totals.revenue;
+        stats.revenueByPackage = stats.revenueByPackage.map(({ revenue, ...entry }) => entry);
+        stats.daily = stats.daily.map(({ revenue, ...entry }) => entry);
+    }
+    return stats;
+}
+
+module.exports = {
+    buildDashboardStats
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { migrations } = require('./migrations');
+const { createLogger } = require('./logger');
+
+// ============ STORAGE DRIVERS ============
+// A driver only knows how to load and save the whole storage state:
+// { schemaVersion, collections: { <name>: { <id>: record } } }
+// check() resolves when the driver can still save (used by the readiness probe).
+
+function emptyState() {
+    return { schemaVersion: 0, collections: {} };
+}
+
+function createMemoryDriver() {
+    return {
+        name: 'memory',
+        async load() {
+            return emptyState();
+        },
+        async save() {
+            // Nothing to persist
+        },
+        async check() {
+            return {};
+        }
+    };
+}
+
+function createFileDriver(filePath) {
+    let writeQueue = Promise.resolve();
+    let lastWriteError = null;
+
+    async function writeAtomic(json) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, json, 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    return {
+        name: 'file',
+        filePath,
+        async load() {
+            try {
+                const raw = await fs.promises.readFile(filePath, 'utf8');
+                const state = JSON.parse(raw);
+                if (!state.collections) {
+                    throw new Error(`Invalid storage file: ${filePath}`);
+                }
+                return state;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return emptyState();
+                }
+                throw error;
+            }
+        },
+        save(state) {
+            // Serialize the snapshot now so later mutations don't leak into this write
+            const json = JSON.stringify(state, null, 2);
+            // A failed write must not block the ones queued after it
+            writeQueue = writeQueue.catch(() => {}).then(() => writeAtomic(json)).then(() => {
+                lastWriteError = null;
+            }, error => {
+                lastWriteError = error;
+                throw error;
+            });
+            return writeQueue;
+        },
+        // Fails while the last write failed or the directory isn't writable
+        async check() {
+            if (lastWriteError) {
+                throw new Error(`Last write failed: ${lastWriteError.message}`);
+            }
+            await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+            return {};
+        }
+    };
+}
+
+const DRIVERS = {
+    memory: () => createMemoryDriver(),
+    file: (options) => createFileDriver(options.file)
+};
+
+// ============ REPOSITORY ============
+// Records are copied on the way in and out, so callers must write changes back
+// with set()/update() - mutating a returned record never changes the store.
+// Fields listed in `indexes` get an in-memory lookup table for findBy().
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+class Repository {
+    constructor(storage, name, indexes = []) {
+        this.storage = storage;
+        this.name = name;
+        this.indexedFields = indexes;
+        this.indexes = null;
+    }
+
+    get records() {
+        const { state } = this.storage;
+        if (!state) {
+            throw new Error('Storage not initialised - call init() first');
+        }
+        if (!state.collections[this.name]) {
+            throw new Error(`Unknown storage collection: ${this.name}`);
+        }
+        return state.collections[this.name];
+    }
+
+    // Built on first use so it always reflects the loaded and migrated state
+    get index() {
+        if (!this.indexes) {
+            this.indexes = new Map(this.indexedFields.map(field => [field, new Map()]));
+            for (const [id, record] of Object.entries(this.records)) {
+                this.indexRecord(id, record);
+            }
+        }
+        return this.indexes;
+    }
+
+    indexRecord(id, record) {
+        for (const [field, values] of this.index) {
+            const value = record[field];
+            if (value === undefined || value === null) continue;
+            if (!values.has(value)) {
+                values.set(value, new Set());
+            }
+            values.get(value).add(id);
+        }
+    }
+
+    unindexRecord(id, record) {
+        for (const [field, values] of this.index) {
+            const ids = values.get(record[field]);
+            if (!ids) continue;
+            ids.delete(id);
+            if (ids.size === 0) {
+                values.delete(record[field]);
+            }
+        }
+    }
+
+    store(id, record) {
+        if (this.records[id]) {
+            this.unindexRecord(id, this.records[id]);
+        }
+        this.records[id] = record;
+        this.indexRecord(id, record);
+    }
+
+    async get(id) {
+        return clone(this.records[id]) || null;
+    }
+
+    async has(id) {
+        return Object.prototype.hasOwnProperty.call(this.records, id);
+    }
+
+    async set(id, record) {
+        this.store(id, clone(record));
+        await this.storage.persist();
+        return clone(record);
+    }
+
+    async update(id, changes) {
+        const existing = this.records[id];
+        if (!existing) {
+            return null;
+        }
+        const updated = { ...existing, ...clone(changes) };
+        this.store(id, updated);
+        await this.storage.persist();
+        return clone(updated);
+    }
+
+    async delete(id) {
+        if (!this.records[id]) {
+            return false;
+        }
+        this.unindexRecord(id, this.records[id]);
+        delete this.records[id];
+        await this.storage.persist();
+        return true;
+    }
+
+    // Deletes every record the predicate matches with a single save; resolves to the count
+    async deleteWhere(predicate) {
+        const ids = Object.keys(this.records).filter(id => predicate(this.records[id]));
+        if (ids.length === 0) {
+            return 0;
+        }
+        for (const id of ids) {
+            this.unindexRecord(id, this.records[id]);
+            delete this.records[id];
+        }
+        await this.storage.persist();
+        return ids.length;
+    }
+
+    async list() {
+        return Object.values(this.records).map(clone);
+    }
+
+    async find(predicate) {
+        return Object.values(this.records).filter(predicate).map(clone);
+    }
+
+    async findOne(predicate) {
+        return clone(Object.values(this.records).find(predicate)) || null;
+    }
+
+    async findBy(field, value) {
+        const values = this.index.get(field);
+        if (!values) {
+            throw new Error(`Field "${field}" is not indexed on ${this.name}`);
+        }
+        const ids = values.get(value) || new Set();
+        return Array.from(ids, id => clone(this.records[id]));
+    }
+
+    async findOneBy(field, value) {
+        const [record] = await this.findBy(field, value);
+        return record || null;
+    }
+
+    async count() {
+        return Object.keys(this.records).length;
+    }
+}
+
+// ============ STORAGE ============
+class Storage {
+    constructor(driver, logger = createLogger()) {
+        this.driver = driver;
+        this.logger = logger;
+        this.state = null;
+        this.repositories = new Map();
+    }
+
+    async init() {
+        this.state = await this.driver.load();
+        await this.migrate();
+        return this;
+    }
+
+    async migrate() {
+        const pending = migrations
+            .filter(migration => migration.version > this.state.schemaVersion)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            this.logger.info('Applying storage migration', { version: migration.version, description: migration.description });
+            migration.up(this.state);
+            this.state.schemaVersion = migration.version;
+        }
+
+        if (pending.length > 0) {
+            await this.persist();
+        }
+    }
+
+    async persist() {
+        await this.driver.save(this.state);
+    }
+
+    async check() {
+        if (!this.state) {
+            throw new Error('Storage not initialized');
+        }
+        return { driver: this.driver.name, ...(await this.driver.check()) };
+    }
+
+    // Repositories can be created before init(); they only touch state when used
+    collection(name, { indexes = [] } = {}) {
+        if (!this.repositories.has(name)) {
+            this.repositories.set(name, new Repository(this, name, indexes));
+        }
+        return this.repositories.get(name);
+    }
+}
+
+function createStorage(options = {}) {
+    const driverName = options.driver || 'file';
+    const createDriver = DRIVERS[driverName];
+    if (!createDriver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    return new Storage(createDriver(options), options.logger);
+}
+
+module.exports = { createStorage, Storage, Repository };
@@ -0,0 +1,143 @@
+const { STATE_NAMES } = require('./gst');
+
+// ============ REQUEST VALIDATION ============
+// Schemas describe each field once; validate() returns { errors, values } like
+// validatePackageInput, where errors maps field -> message and values holds the
+// cleaned input (trimmed, HTML stripped, phone normalised). Unknown fields are dropped.
+
+const INVESTMENT_RANGES = ['20-30', '30-50', '50+'];
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Same rule as the forms in instamojo.html: 10 digits starting 6-9, optionally prefixed with 91
+const MOBILE_PATTERN = /^(?:91)?([6-9]\d{9})$/;
+
+// Removes anything that looks like a tag or comment; a lone "<" (e.g. "budget < 50L") is kept
+function stripHtml(value) {
+    return value.replace(/<!--[\s\S]*?(?:-->|$)|<\/?[a-zA-Z!][^>]*(?:>|$)/g, '');
+}
+
+function cleanText(value, { multiline = false } = {}) {
+    const text = stripHtml(value);
+    if (multiline) {
+        return text.replace(/\r\n?/g, '\n').replace(/[^\S\n]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    }
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function normalizeMobile(value) {
+    const match = String(value).replace(/[\s+\-()]/g, '').match(MOBILE_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Field types: text, email, mobile, enum. Each returns { value } or { error }.
+const FIELD_TYPES = {
+    text(value, rule) {
+        const text = cleanText(value, rule);
+        if (rule.minLength && text.length < rule.minLength) {
+            return { error: `${rule.label} must be at least ${rule.minLength} characters` };
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return { error: `${rule.label} must be at most ${rule.maxLength} characters` };
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return { error: rule.patternMessage || `${rule.label} is invalid` };
+        }
+        return { value: text };
+    },
+    email(value, rule) {
+        const email = value.trim().toLowerCase();
+        if (email.length > (rule.maxLength || 254) || !EMAIL_PATTERN.test(email)) {
+            return { error: 'Enter a valid email address' };
+        }
+        return { value: email };
+    },
+    mobile(value) {
+        const mobile = normalizeMobile(value);
+        if (!mobile) {
+            return { error: 'Enter a valid 10-digit Indian mobile number (starting with 6-9)' };
+        }
+        return { value: mobile };
+    },
+    enum(value, rule) {
+        if (!rule.values.includes(value)) {
+            return { error: `${rule.label} must be one of: ${rule.values.join(', ')}` };
+        }
+        return { value };
+    }
+};
+
+function validate(schema, input) {
+    const errors = {};
+    const values = {};
+    const body = input && typeof input === 'object' ? input : {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = body[field];
+        const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+        if (missing) {
+            if (rule.required) {
+                errors[field] = `${rule.label} is required`;
+            }
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            errors[field] = `${rule.label} must be text`;
+            continue;
+        }
+
+        const result = FIELD_TYPES[rule.type](raw, rule);
+        if (result.error) {
+            errors[field] = result.error;
+        } else if (rule.required && result.value === '') {
+            // e.g. a name that was nothing but HTML tags
+            errors[field] = `${rule.label} is required`;
+        } else {
+            values[field] = result.value;
+        }
+    }
+
+    return { errors, values };
+}
+
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M} .'-]*$/u;
+
+const CUSTOMER_SCHEMA = {
+    name: { type: 'text', label: 'Name', required: true, minLength: 2, maxLength: 80, pattern: NAME_PATTERN, patternMessage: 'Name can only contain letters, spaces, dots, apostrophes and hyphens' },
+    email: { type: 'email', label: 'Email', required: true },
+    phone: { type: 'mobile', label: 'Phone', required: true },
+    city: { type: 'text', label: 'City', required: true, minLength: 2, maxLength: 60, pattern: NAME_PATTERN, patternMessage: 'City can only contain letters, spaces, dots, apostrophes and hyphens' },
+    // Decides CGST + SGST or IGST on the invoice
+    state: { type: 'enum', label: 'State', values: STATE_NAMES }
+};
+
+const ENQUIRY_SCHEMA = {
+    ...CUSTOMER_SCHEMA,
+    investment: { type: 'enum', label: 'Investment range', values: INVESTMENT_RANGES },
+    message: { type: 'text', label: 'Message', maxLength: 1000, multiline: true }
+};
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+// The one error shape every route uses for bad input
+function sendValidationError(res, errors, message = 'Please correct the highlighted fields') {
+    return res.status(400).json({
+        success: false,
+        message: message,
+        errors: errors
+    });
+}
+
+module.exports = {
+    INVESTMENT_RANGES,
+    CUSTOMER_SCHEMA,
+    ENQUIRY_SCHEMA,
+    validate,
+    hasErrors,
+    normalizeMobile,
+    stripHtml,
+    sendValidationError
+};
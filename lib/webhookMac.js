@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// ============ INSTAMOJO WEBHOOK MAC ============
+// Instamojo signs webhooks with HMAC-SHA1 (keyed with the account salt) over
+// every field except `mac`: keys sorted case-insensitively, values joined by "|".
+
+function sortKeysCaseInsensitive(a, b) {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+}
+
+function calculateWebhookMAC(payload, salt) {
+    const message = Object.keys(payload)
+        .filter(key => key !== 'mac')
+        .sort(sortKeysCaseInsensitive)
+        .map(key => (payload[key] === undefined || payload[key] === null ? '' : String(payload[key])))
+        .join('|');
+    return crypto.createHmac('sha1', salt).update(message).digest('hex');
+}
+
+function signWebhookPayload(payload, salt) {
+    return { ...payload, mac: calculateWebhookMAC(payload, salt) };
+}
+
+// Returns { valid, reason } - reason explains a rejection for the audit log
+function verifyWebhookPayload(payload, salt) {
+    if (!salt) {
+        return { valid: false, reason: 'salt-not-configured' };
+    }
+    if (!payload || typeof payload.mac !== 'string' || !payload.mac) {
+        return { valid: false, reason: 'missing-mac' };
+    }
+
+    const expected = Buffer.from(calculateWebhookMAC(payload, salt), 'utf8');
+    const received = Buffer.from(payload.mac.toLowerCase(), 'utf8');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'invalid-mac' };
+    }
+
+    return { valid: true, reason: null };
+}
+
+module.exports = { calculateWebhookMAC, signWebhookPayload, verifyWebhookPayload };
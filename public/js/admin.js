@@ -0,0 +1,581 @@
+(function () {
+    // Served by the same Express app, so API calls are relative
+    const CONFIG = {
+        apiEndpoint: '',
+        tokenKey: 'zudioAdminToken',
+        roles: ['viewer', 'sales', 'finance', 'superadmin']
+    };
+
+    const loginView = document.getElementById('loginView');
+    const appView = document.getElementById('appView');
+    const detailOverlay = document.getElementById('detailOverlay');
+    const detailTitle = document.getElementById('detailTitle');
+    const detailBody = document.getElementById('detailBody');
+
+    let currentAdmin = null;
+
+    const dateTime = new Intl.DateTimeFormat('en-IN', {
+        timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const rupees = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+    function formatDate(value) {
+        return value ? dateTime.format(new Date(value)) : '—';
+    }
+
+    function formatAmount(value) {
+        return typeof value === 'number' ? rupees.format(value) : '—';
+    }
+
+    function hasRole(role) {
+        return currentAdmin && CONFIG.roles.indexOf(currentAdmin.role) >= CONFIG.roles.indexOf(role);
+    }
+
+    // Builds elements with textContent only, so stored values are never parsed as HTML
+    function el(tag, attrs, ...children) {
+        const node = document.createElement(tag);
+        for (const [key, value] of Object.entries(attrs || {})) {
+            if (key === 'className') node.className = value;
+            else if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+            else node.setAttribute(key, value);
+        }
+        for (const child of children.flat()) {
+            if (child === null || child === undefined || child === false) continue;
+            node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+        }
+        return node;
+    }
+
+    function badge(status) {
+        return el('span', { className: `badge ${status}` }, status);
+    }
+
+    // Validation errors come back as { message, errors: { field: message } }
+    function apiErrorMessage(result, fallback) {
+        if (result && result.errors) {
+            return Object.values(result.errors).join('\n');
+        }
+        return (result && result.message) || fallback;
+    }
+
+    class ApiError extends Error { }
+
+    async function api(path, options = {}) {
+        const response = await fetch(`${CONFIG.apiEndpoint}${path}`, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${sessionStorage.getItem(CONFIG.tokenKey)}`,
+                ...(options.body ? { 'Content-Type': 'application/json' } : {})
+            }
+        });
+        if (response.status === 401) {
+            showLogin('Your session has expired. Please sign in again.');
+            throw new ApiError('Signed out');
+        }
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new ApiError(apiErrorMessage(result, `Request failed (${response.status})`));
+        }
+        return result;
+    }
+
+    // Files are fetched with the auth header and saved through a blob link
+    async function download(path, fallbackName) {
+        const response = await fetch(`${CONFIG.apiEndpoint}${path}`, {
+            headers: { 'Authorization': `Bearer ${sessionStorage.getItem(CONFIG.tokenKey)}` }
+        });
+        if (!response.ok) {
+            throw new ApiError(apiErrorMessage(await response.json().catch(() => null), 'Download failed'));
+        }
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        const link = el('a', { href: URL.createObjectURL(await response.blob()), download: match ? match[1] : fallbackName });
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // ============ LOGIN ============
+    function showLogin(message) {
+        sessionStorage.removeItem(CONFIG.tokenKey);
+        currentAdmin = null;
+        appView.hidden = true;
+        detailOverlay.hidden = true;
+        loginView.hidden = false;
+        document.getElementById('loginError').textContent = message || '';
+    }
+
+    document.getElementById('loginForm').addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = '';
+        try {
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/admin/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: this.username.value, password: this.password.value })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                loginError.textContent = apiErrorMessage(result, 'Sign in failed');
+                return;
+            }
+            sessionStorage.setItem(CONFIG.tokenKey, result.data.token);
+            this.reset();
+            startApp(result.data.admin);
+        } catch (error) {
+            loginError.textContent = 'Cannot reach the server';
+        }
+    });
+
+    document.getElementById('logoutBtn').addEventListener('click', () => showLogin());
+
+    function startApp(admin) {
+        currentAdmin = admin;
+        document.getElementById('currentUser').textContent = `${admin.username} (${admin.role})`;
+        document.querySelectorAll('[data-role]').forEach(node => {
+            node.hidden = !hasRole(node.dataset.role);
+        });
+        loginView.hidden = true;
+        appView.hidden = false;
+        showTab('dashboard');
+    }
+
+    // ============ TABS ============
+    const tabLoaders = {
+        dashboard: loadDashboard,
+        payments: () => payments.load(),
+        enquiries: () => enquiries.load()
+    };
+
+    function showTab(name) {
+        document.querySelectorAll('#tabs button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === name);
+        });
+        for (const tab of Object.keys(tabLoaders)) {
+            document.getElementById(`${tab}Tab`).hidden = tab !== name;
+        }
+        tabLoaders[name]().catch(() => { });
+    }
+
+    document.getElementById('tabs').addEventListener('click', e => {
+        if (e.target.dataset.tab) showTab(e.target.dataset.tab);
+    });
+
+    // ============ DASHBOARD ============
+    function kpi(label, value, hint) {
+        return el('div', { className: 'kpi' },
+            el('div', { className: 'label' }, label),
+            el('div', { className: 'value' }, value),
+            hint ? el('div', { className: 'hint' }, hint) : null);
+    }
+
+    async function loadDashboard() {
+        const kpis = document.getElementById('kpis');
+        try {
+            const { data } = await api('/api/admin/stats');
+            const cards = [
+                kpi("Today's registrations", data.today.registrations, `${data.totals.registrations} in total`),
+                kpi("Today's enquiries", data.today.enquiries, `${data.totals.enquiries} in total`),
+                kpi('Enquiry → payment', `${data.conversion.rate}%`, `${data.conversion.converted} of ${data.conversion.enquired} applicants`),
+                kpi('Pending payments', data.totals.pendingPayments)
+            ];
+            if (data.today.revenue !== undefined) {
+                cards.splice(1, 0, kpi("Today's revenue", formatAmount(data.today.revenue), `${formatAmount(data.totals.revenue)} in total`));
+            }
+            kpis.replaceChildren(...cards);
+
+            document.getElementById('dailyTitle').textContent = `Last ${data.daily.length} days`;
+            document.getElementById('dailyChart').replaceChildren(dailyChart(data.daily));
+            document.getElementById('packagePanel').querySelector('h2').textContent =
+                data.today.revenue !== undefined ? 'Revenue by package' : 'Registrations by package';
+            document.getElementById('packageChart').replaceChildren(...barRows(data.revenueByPackage.map(entry => ({
+                label: entry.packageName,
+                value: entry.revenue !== undefined ? entry.revenue : entry.registrations,
+                text: entry.revenue !== undefined ? `${formatAmount(entry.revenue)} (${entry.registrations})` : entry.registrations
+            }))));
+            document.getElementById('leadChart').replaceChildren(...barRows(Object.entries(data.leadsByStatus).map(([status, count]) => ({
+                label: status, value: count, text: count
+            }))));
+        } catch (error) {
+            kpis.replaceChildren(el('p', { className: 'error' }, error.message));
+        }
+    }
+
+    // Grouped bars per day: enquiries (grey) and completed registrations (black)
+    function dailyChart(days) {
+        const NS = 'http://www.w3.org/2000/svg';
+        const width = 720, height = 220, pad = 24;
+        const max = Math.max(1, ...days.map(day => Math.max(day.enquiries, day.registrations)));
+        const slot = (width - pad) / days.length;
+        const bar = Math.max(1, slot / 2 - 1);
+        const svg = document.createElementNS(NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height + 20}`);
+
+        const add = (tag, attrs, text) => {
+            const node = document.createElementNS(NS, tag);
+            for (const [key, value] of Object.entries(attrs)) node.setAttribute(key, value);
+            if (text !== undefined) node.textContent = text;
+            svg.append(node);
+            return node;
+        };
+
+        add('line', { x1: pad, y1: height, x2: width, y2: height, stroke: '#dee2e6' });
+        add('text', { x: 0, y: 12, 'font-size': 10, fill: '#6c757d' }, max);
+        days.forEach((day, i) => {
+            const x = pad + i * slot;
+            for (const [offset, value, fill, label] of [[0, day.enquiries, '#adb5bd', 'enquiries'], [bar + 1, day.registrations, '#000', 'registrations']]) {
+                const h = (value / max) * (height - 16);
+                const rect = add('rect', { x: x + offset, y: height - h, width: bar, height: h, fill });
+                rect.append(Object.assign(document.createElementNS(NS, 'title'), { textContent: `${day.date}: ${value} ${label}` }));
+            }
+            if (i % Math.ceil(days.length / 8) === 0) {
+                add('text', { x, y: height + 14, 'font-size': 10, fill: '#6c757d' }, day.date.slice(5));
+            }
+        });
+        return svg;
+    }
+
+    function barRows(items) {
+        if (items.length === 0) {
+            return [el('p', { className: 'hint' }, 'No data yet')];
+        }
+        const max = Math.max(1, ...items.map(item => item.value));
+        return items.map(item => el('div', { className: 'row' },
+            el('span', {}, item.label),
+            el('div', { className: 'track' }, el('div', { className: 'fill', style: `width: ${(item.value / max) * 100}%` })),
+            el('span', {}, item.text)));
+    }
+
+    // ============ TABLES ============
+    // Shared paging, sorting, filtering and export for the payments and enquiries lists
+    function createTable({ endpoint, form, rows, pager, errorBox, columns, onOpen, defaultSort }) {
+        const state = { page: 1, sort: defaultSort, order: 'desc' };
+        const headers = rows.closest('table').querySelectorAll('th[data-sort]');
+
+        function query(extra) {
+            const params = new URLSearchParams({ sort: state.sort, order: state.order, ...extra });
+            for (const [key, value] of new FormData(form)) {
+                if (value) params.set(key, value);
+            }
+            return params;
+        }
+
+        async function load() {
+            errorBox.textContent = '';
+            headers.forEach(th => {
+                th.classList.toggle('sorted-asc', th.dataset.sort === state.sort && state.order === 'asc');
+                th.classList.toggle('sorted-desc', th.dataset.sort === state.sort && state.order === 'desc');
+            });
+            try {
+                const result = await api(`${endpoint}?${query({ page: state.page, pageSize: 25 })}`);
+                rows.replaceChildren(...(result.data.length
+                    ? result.data.map(item => el('tr', { onclick: () => onOpen(item) }, columns.map(column => column(item))))
+                    : [el('tr', {}, el('td', { className: 'empty', colspan: 7 }, 'Nothing matches these filters'))]));
+                pager.replaceChildren(
+                    el('span', {}, `${result.total} total · page ${result.page} of ${Math.max(1, result.totalPages)}`),
+                    el('div', {},
+                        el('button', { className: 'btn btn-outline', onclick: () => go(-1), ...(result.page <= 1 ? { disabled: '' } : {}) }, 'Previous'),
+                        el('button', { className: 'btn btn-outline', onclick: () => go(1), ...(result.page >= result.totalPages ? { disabled: '' } : {}) }, 'Next')));
+            } catch (error) {
+                errorBox.textContent = error.message;
+            }
+        }
+
+        function go(step) {
+            state.page += step;
+            load();
+        }
+
+        // Fetched with the auth header and saved as a blob, so the token never goes in a URL
+        async function exportRows(format) {
+            errorBox.textContent = '';
+            try {
+                await download(`${endpoint}/export?${query({ format })}`, `export.${format}`);
+            } catch (error) {
+                errorBox.textContent = error.message;
+            }
+        }
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            state.page = 1;
+            load();
+        });
+        form.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => exportRows(button.dataset.export));
+        });
+        headers.forEach(th => th.addEventListener('click', () => {
+            state.order = state.sort === th.dataset.sort && state.order === 'desc' ? 'asc' : 'desc';
+            state.sort = th.dataset.sort;
+            state.page = 1;
+            load();
+        }));
+
+        return { load };
+    }
+
+    const payments = createTable({
+        endpoint: '/api/admin/payments',
+        form: document.getElementById('paymentFilters'),
+        rows: document.getElementById('paymentRows'),
+        pager: document.getElementById('paymentPager'),
+        errorBox: document.getElementById('paymentError'),
+        defaultSort: 'createdAt',
+        columns: [
+            order => el('td', {}, formatDate(order.createdAt)),
+            order => el('td', {}, order.orderId),
+            order => el('td', {}, order.customerData && order.customerData.name),
+            order => el('td', {}, order.customerData && order.customerData.city),
+            order => el('td', {}, order.packageName || (order.customerData && order.customerData.packageType)),
+            order => el('td', { className: 'amount' }, formatAmount(order.amount)),
+            order => el('td', {}, badge(order.status))
+        ],
+        onOpen: order => openOrder(order.orderId)
+    });
+
+    const enquiries = createTable({
+        endpoint: '/api/admin/enquiries',
+        form: document.getElementById('enquiryFilters'),
+        rows: document.getElementById('enquiryRows'),
+        pager: document.getElementById('enquiryPager'),
+        errorBox: document.getElementById('enquiryError'),
+        defaultSort: 'receivedAt',
+        columns: [
+            lead => el('td', {}, formatDate(lead.receivedAt)),
+            lead => el('td', {}, lead.name),
+            lead => el('td', {}, lead.city),
+            lead => el('td', {}, lead.investment ? `₹${lead.investment} L` : '—'),
+            lead => el('td', {}, lead.assignee || '—'),
+            lead => el('td', {}, lead.followUpAt ? formatDate(lead.followUpAt) : '—'),
+            lead => el('td', {}, badge(lead.status))
+        ],
+        onOpen: lead => openLead(lead.enquiryId)
+    });
+
+    // ============ DETAIL DRAWER ============
+    function openDetail(title, ...content) {
+        detailTitle.textContent = title;
+        detailBody.replaceChildren(...content);
+        detailOverlay.hidden = false;
+    }
+
+    function closeDetail() {
+        detailOverlay.hidden = true;
+    }
+
+    document.getElementById('closeDetail').addEventListener('click', closeDetail);
+    detailOverlay.addEventListener('click', e => {
+        if (e.target === detailOverlay) closeDetail();
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') closeDetail();
+    });
+
+    function details(pairs) {
+        return el('dl', {}, pairs.filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([label, value]) => [el('dt', {}, label), el('dd', {}, value)]));
+    }
+
+    async function openOrder(orderId) {
+        try {
+            const { data: order, refundable, refundReasons } = await api(`/api/admin/payments/${encodeURIComponent(orderId)}`);
+            const customer = order.customerData || {};
+            const content = [
+                details([
+                    ['Status', badge(order.status)],
+                    ['Name', customer.name],
+                    ['Email', customer.email],
+                    ['Phone', customer.phone],
+                    ['City', customer.city],
+                    ['Package', order.packageName || customer.packageType],
+                    ['Amount', formatAmount(order.amount)],
+                    ['Taxable value', order.taxableValue !== undefined ? formatAmount(order.taxableValue) : null],
+                    ['GST', order.gstAmount !== undefined ? `${formatAmount(order.gstAmount)} (${order.gstRate}%)` : null],
+                    ['Payment ID', order.paymentId],
+                    ['Gateway', order.gateway],
+                    ['Request ID', order.paymentRequestId],
+                    ['Applicant', order.applicantId],
+                    ['Created', formatDate(order.createdAt)],
+                    ['Completed', order.completedAt && formatDate(order.completedAt)],
+                    ['Refunded', order.refundedAmount ? formatAmount(order.refundedAmount) : null]
+                ]),
+                el('h3', {}, 'Status history'),
+                el('ul', { className: 'timeline' }, order.statusHistory.map(entry => el('li', {},
+                    el('div', { className: 'when' }, `${formatDate(entry.at)}${entry.source ? ` · ${entry.source}` : ''}`),
+                    el('div', {}, entry.from ? `${entry.from} → ${entry.to}` : entry.to),
+                    entry.reason ? el('div', { className: 'when' }, entry.reason) : null)))
+            ];
+
+            if (order.refunds.length > 0) {
+                content.push(el('h3', {}, 'Refunds'), el('ul', { className: 'timeline' }, order.refunds.map(refund => el('li', {},
+                    el('div', { className: 'when' }, `${formatDate(refund.requestedAt)} · ${refund.requestedBy}`),
+                    el('div', {}, `${formatAmount(refund.amount)} `, badge(refund.status)),
+                    el('div', { className: 'when' }, `${refundReasons[refund.reason] || refund.reason}${refund.note ? ` - ${refund.note}` : ''}`),
+                    refund.failureReason ? el('div', { className: 'error' }, refund.failureReason) : null))));
+            }
+
+            if (order.invoiceNumber) {
+                const errorBox = el('p', { className: 'error' });
+                content.push(el('h3', {}, 'Invoice'), el('button', {
+                    className: 'btn',
+                    onclick: () => download(`/api/orders/${encodeURIComponent(order.orderId)}/invoice`, `${order.orderId}.pdf`)
+                        .catch(error => { errorBox.textContent = error.message; })
+                }, `Download ${order.invoiceNumber}`), errorBox);
+            }
+
+            if (refundable > 0) {
+                content.push(el('h3', {}, 'Refund'), refundForm(order, refundable, refundReasons));
+            }
+
+            if (order.status === 'pending' || order.status === 'failed') {
+                const errorBox = el('p', { className: 'error' });
+                content.push(el('h3', {}, 'Actions'), el('button', {
+                    className: 'btn btn-danger',
+                    onclick: async () => {
+                        if (!confirm(`Cancel order ${order.orderId}?`)) return;
+                        try {
+                            await api(`/api/admin/payments/${encodeURIComponent(order.orderId)}/cancel`, {
+                                method: 'POST',
+                                body: JSON.stringify({ reason: `Cancelled by ${currentAdmin.username}` })
+                            });
+                            openOrder(order.orderId);
+                            payments.load();
+                        } catch (error) {
+                            errorBox.textContent = error.message;
+                        }
+                    }
+                }, 'Cancel order'), errorBox);
+            }
+
+            openDetail(order.orderId, ...content);
+        } catch (error) {
+            if (error.message !== 'Signed out') openDetail('Order', el('p', { className: 'error' }, error.message));
+        }
+    }
+
+    // Leaving the amount empty refunds everything that hasn't been refunded yet
+    function refundForm(order, refundable, reasons) {
+        const amount = el('input', { name: 'amount', type: 'number', min: '0.01', step: '0.01', max: refundable, placeholder: `Up to ${refundable}` });
+        const reason = el('select', { name: 'reason' }, Object.entries(reasons).map(([code, label]) => el('option', { value: code }, label)));
+        const note = el('textarea', { name: 'note', rows: 2, placeholder: 'Shown to Instamojo and on the refund record' });
+        const errorBox = el('p', { className: 'error full' });
+
+        return el('form', {
+            className: 'lead-form',
+            onsubmit: async e => {
+                e.preventDefault();
+                const value = amount.value ? Number(amount.value) : refundable;
+                if (!confirm(`Refund ${formatAmount(value)} to ${order.customerData.name}? This cannot be undone.`)) return;
+                try {
+                    await api(`/api/admin/payments/${encodeURIComponent(order.orderId)}/refunds`, {
+                        method: 'POST',
+                        body: JSON.stringify({ amount: amount.value ? value : undefined, reason: reason.value, note: note.value })
+                    });
+                    openOrder(order.orderId);
+                    payments.load();
+                } catch (error) {
+                    errorBox.textContent = error.message;
+                }
+            }
+        },
+        el('div', {}, el('label', {}, `Amount (max ${formatAmount(refundable)})`), amount),
+        el('div', {}, el('label', {}, 'Reason'), reason),
+        el('div', { className: 'full' }, el('label', {}, 'Note'), note),
+        el('div', { className: 'full' }, el('button', { className: 'btn btn-danger', type: 'submit' }, 'Refund')),
+        errorBox);
+    }
+
+    function activityText(entry) {
+        if (entry.type === 'status') return `${entry.from} → ${entry.to}`;
+        if (entry.type === 'assigned') return entry.to ? `Assigned to ${entry.to}` : 'Unassigned';
+        if (entry.type === 'follow-up') return entry.followUpAt ? `Follow-up set for ${formatDate(entry.followUpAt)}` : 'Follow-up cleared';
+        if (entry.type === 'created') return 'Enquiry received';
+        return entry.type;
+    }
+
+    async function openLead(enquiryId) {
+        try {
+            const { data: lead, nextStatuses } = await api(`/api/admin/enquiries/${encodeURIComponent(enquiryId)}`);
+            const content = [
+                details([
+                    ['Stage', badge(lead.status)],
+                    ['Name', lead.name],
+                    ['Email', lead.email],
+                    ['Phone', lead.phone],
+                    ['City', lead.city],
+                    ['Investment', lead.investment ? `₹${lead.investment} Lakhs` : null],
+                    ['Message', lead.message],
+                    ['Assignee', lead.assignee || '—'],
+                    ['Follow-up', lead.followUpAt ? formatDate(lead.followUpAt) : '—'],
+                    ['Applicant', lead.applicantId],
+                    ['Received', formatDate(lead.receivedAt)]
+                ])
+            ];
+
+            if (hasRole('sales')) {
+                content.push(el('h3', {}, 'Update lead'), leadForm(lead, nextStatuses));
+            }
+
+            content.push(el('h3', {}, 'Activity'), el('ul', { className: 'timeline' },
+                (lead.activity || []).slice().reverse().map(entry => el('li', {},
+                    el('div', { className: 'when' }, `${formatDate(entry.at)}${entry.by ? ` · ${entry.by}` : ''}`),
+                    el('div', {}, activityText(entry)),
+                    entry.note ? el('div', {}, entry.note) : null))));
+
+            openDetail(lead.name || lead.enquiryId, ...content);
+        } catch (error) {
+            if (error.message !== 'Signed out') openDetail('Enquiry', el('p', { className: 'error' }, error.message));
+        }
+    }
+
+    // Sends only the fields that changed; a note on its own is added to the timeline
+    function leadForm(lead, nextStatuses) {
+        const status = el('select', { name: 'status' },
+            el('option', { value: '' }, `Keep as ${lead.status}`),
+            nextStatuses.map(next => el('option', { value: next }, next)));
+        const assignee = el('input', { name: 'assignee', value: lead.assignee || '', placeholder: 'Admin username' });
+        const followUp = el('input', { name: 'followUpAt', type: 'date', value: lead.followUpAt ? lead.followUpAt.slice(0, 10) : '' });
+        const note = el('textarea', { name: 'note', rows: 3, placeholder: 'Call notes, next steps…' });
+        const errorBox = el('p', { className: 'error full' });
+
+        return el('form', {
+            className: 'lead-form',
+            onsubmit: async e => {
+                e.preventDefault();
+                const update = {};
+                if (status.value) update.status = status.value;
+                if (assignee.value.trim() !== (lead.assignee || '')) update.assignee = assignee.value.trim() || null;
+                if (followUp.value !== (lead.followUpAt ? lead.followUpAt.slice(0, 10) : '')) update.followUpAt = followUp.value || null;
+                if (note.value.trim()) update.note = note.value;
+                if (Object.keys(update).length === 0) {
+                    errorBox.textContent = 'Nothing to update';
+                    return;
+                }
+                try {
+                    await api(`/api/admin/enquiries/${encodeURIComponent(lead.enquiryId)}`, {
+                        method: 'PATCH',
+                        body: JSON.stringify(update)
+                    });
+                    openLead(lead.enquiryId);
+                    enquiries.load();
+                } catch (error) {
+                    errorBox.textContent = error.message;
+                }
+            }
+        },
+        el('div', {}, el('label', {}, 'Stage'), status),
+        el('div', {}, el('label', {}, 'Assignee'), assignee),
+        el('div', {}, el('label', {}, 'Follow-up date'), followUp),
+        el('div', { className: 'full' }, el('label', {}, 'Note'), note),
+        el('div', { className: 'full' }, el('button', { className: 'btn', type: 'submit' }, 'Save')),
+        errorBox);
+    }
+
+    // ============ START ============
+    if (sessionStorage.getItem(CONFIG.tokenKey)) {
+        api('/api/admin/me').then(result => startApp(result.data)).catch(error => {
+            if (loginView.hidden) showLogin(error.message);
+        });
+    } else {
+        showLogin();
+    }
+})();
@@ -0,0 +1,392 @@
+(function () {
+    // ============= CONFIGURATION =============
+    // Served by the Express app, so API calls are relative; opened from disk,
+    // the page talks to a local backend instead.
+    const CONFIG = {
+        apiEndpoint: window.location.protocol === 'file:' ? 'http://localhost:3000' : ''
+    };
+
+    // ============= DOM ELEMENTS =============
+    const mobileBtn = document.getElementById('mobileMenu');
+    const navLinks = document.getElementById('navLinks');
+    const header = document.getElementById('header');
+    const fadeEls = document.querySelectorAll('.fade-in');
+    const topForm = document.getElementById('topForm');
+    const contactForm = document.getElementById('contactForm');
+    const topFormResult = document.getElementById('topFormResult');
+    const contactFormResult = document.getElementById('contactFormResult');
+    const paymentModal = document.getElementById('paymentModal');
+    const closePaymentModalBtn = document.getElementById('closePaymentModal');
+    const paymentAlert = document.getElementById('paymentAlert');
+    const paymentStatusModal = document.getElementById('paymentStatusModal');
+    const closeStatusModalBtn = document.getElementById('closeStatusModal');
+    const paymentStatusContent = document.getElementById('paymentStatusContent');
+
+    let currentPaymentData = {};
+    let currentOrderId = '';
+
+    // ============= MOBILE MENU =============
+    mobileBtn.addEventListener('click', function () {
+        const expanded = this.getAttribute('aria-expanded') === 'true';
+        this.setAttribute('aria-expanded', String(!expanded));
+        navLinks.style.display = navLinks.style.display === 'flex' ? 'none' : 'flex';
+    });
+
+    document.querySelectorAll('.nav-links a').forEach(a => {
+        a.addEventListener('click', () => {
+            if (window.innerWidth <= 900) {
+                navLinks.style.display = 'none';
+                mobileBtn.setAttribute('aria-expanded', 'false');
+            }
+        });
+    });
+
+    // ============= HEADER SCROLL EFFECT =============
+    function onScrollHeader() {
+        if (window.scrollY > 40) header.classList.add('scrolled');
+        else header.classList.remove('scrolled');
+    }
+    window.addEventListener('scroll', onScrollHeader);
+    onScrollHeader();
+
+    // ============= FADE-IN ANIMATION =============
+    const io = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('visible');
+                io.unobserve(entry.target);
+            }
+        });
+    }, { threshold: 0.12 });
+    fadeEls.forEach(el => io.observe(el));
+
+    // ============= PAYMENT FLOW FUNCTIONS =============
+    async function initiatePayment() {
+        let amount = currentPaymentData.amount;
+
+        // The server prices the order from the package id
+        const packageId = currentPaymentData.packageId;
+
+        const customerData = {
+            name: currentPaymentData.name,
+            email: currentPaymentData.email,
+            phone: currentPaymentData.phone,
+            city: currentPaymentData.city,
+            state: currentPaymentData.state
+        };
+
+        try {
+            showPaymentAlert('Creating payment request...', 'info');
+            document.getElementById('paymentStatus').textContent = 'Creating payment...';
+
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/create-payment`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    packageId,
+                    customerData,
+                    ...spamFields(topForm)
+                })
+            });
+
+            keepFormToken(response);
+
+            const result = await response.json();
+            console.log('Payment creation response:', result);
+
+            if (response.ok && result.success) {
+                currentOrderId = result.data.orderId;
+                amount = result.data.amount;
+                currentPaymentData.amount = amount;
+
+                document.getElementById('paymentOrderId').textContent = currentOrderId;
+                document.getElementById('paymentAmount').textContent = amount;
+                document.getElementById('paymentDisplayAmount').textContent = `₹${amount}`;
+                document.getElementById('paymentStatus').textContent = 'Ready for payment';
+
+                showPaymentAlert('✅ Payment initialized! Click "Simulate Payment Success" to complete payment.', 'success');
+                console.log('✅ Payment request created:', currentOrderId);
+            } else {
+                throw new Error(apiErrorMessage(result, 'Failed to initialize payment'));
+            }
+        } catch (error) {
+            console.error('Payment initialization error:', error);
+            showPaymentAlert(`❌ Error: ${error.message}`, 'error');
+            document.getElementById('paymentStatus').textContent = 'Error initializing';
+        }
+    }
+
+    // ============= SIMULATE PAYMENT =============
+    document.getElementById('simulatePayment').addEventListener('click', async function () {
+        if (!currentOrderId) {
+            showPaymentAlert('❌ Order ID not found', 'error');
+            return;
+        }
+
+        this.disabled = true;
+        this.innerHTML = 'Processing... <span class="loading-spinner"></span>';
+
+        try {
+            showPaymentAlert('Processing payment...', 'info');
+
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/confirm-payment`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    orderId: currentOrderId
+                })
+            });
+
+            const result = await response.json();
+            console.log('Payment confirmation response:', result);
+
+            if (response.ok && result.success) {
+                console.log('✅ Payment confirmed:', result);
+                handlePaymentSuccess(currentOrderId);
+            } else {
+                throw new Error(result.message || 'Payment confirmation failed');
+            }
+        } catch (error) {
+            console.error('Payment confirmation error:', error);
+            showPaymentAlert(`❌ Error: ${error.message}`, 'error');
+            this.disabled = false;
+            this.innerHTML = 'Simulate Payment Success';
+        }
+    });
+
+    // ============= PAYMENT SUCCESS HANDLER =============
+    function handlePaymentSuccess(orderId) {
+        closePaymentModal();
+
+        paymentStatusContent.className = 'payment-status success';
+        paymentStatusContent.innerHTML = `
+                <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">✓ Payment Successful!</h3>
+                <p style="font-size: 1.05rem; margin-bottom: 0.5rem;">Thank you for your payment. Your Zudio franchise registration has been received.</p>
+                <div style="background: white; padding: 1.5rem; border-radius: 8px; margin: 1.5rem 0; text-align: left;">
+                    <p style="margin-bottom: 0.8rem;"><strong>Order ID:</strong> ${orderId}</p>
+                    <p style="margin-bottom: 0.8rem;"><strong>Amount:</strong> ₹${currentPaymentData.amount}</p>
+                    <p style="margin-bottom: 0.8rem;"><strong>Date:</strong> ${new Date().toLocaleDateString('en-IN')}</p>
+                    <p style="margin-bottom: 0;"><strong>Status:</strong> <span style="color: green; font-weight: bold;">COMPLETED</span></p>
+                </div>
+                <p style="color: #666; margin-bottom: 1rem;">Our team will contact you within 24 hours.</p>
+                <button class="btn-primary" data-close-status style="margin-top: 1rem; width: 100%;">Close</button>
+            `;
+
+        // Inline onclick handlers are blocked by the Content-Security-Policy
+        paymentStatusContent.querySelector('[data-close-status]').addEventListener('click', window.closePaymentStatusModal);
+        paymentStatusModal.classList.add('active');
+
+        topFormResult.style.display = 'block';
+        topFormResult.style.color = 'green';
+        topFormResult.innerHTML = `<strong>✓ Payment Successful!</strong><br>Order ID: ${orderId}<br>Confirmation email sent!`;
+
+        setTimeout(() => {
+            topFormResult.style.display = 'none';
+            topForm.reset();
+        }, 10000);
+    }
+
+    // ============= MODAL FUNCTIONS =============
+    function openPaymentModal(formData) {
+        currentPaymentData = formData;
+        paymentModal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        initiatePayment();
+    }
+
+    function closePaymentModal() {
+        paymentModal.classList.remove('active');
+        document.body.style.overflow = '';
+        hidePaymentAlert();
+    }
+
+    window.closePaymentStatusModal = function () {
+        paymentStatusModal.classList.remove('active');
+        document.body.style.overflow = '';
+    };
+
+    // ============= ALERT FUNCTIONS =============
+    function showPaymentAlert(message, type = 'info') {
+        paymentAlert.className = `alert alert-${type}`;
+        paymentAlert.innerHTML = message.replace(/\n/g, '<br>');
+        paymentAlert.style.display = 'block';
+    }
+
+    function hidePaymentAlert() {
+        paymentAlert.style.display = 'none';
+    }
+
+    // Validation errors come back as { message, errors: { field: message } }
+    function apiErrorMessage(result, fallback) {
+        if (result && result.errors) {
+            return Object.values(result.errors).join('\n');
+        }
+        return (result && result.message) || fallback;
+    }
+
+    // Spam protection: the form token the server rendered into the page, and the
+    // honeypot field that people never see (bots fill it in)
+    function spamFields(form) {
+        const tokenMeta = document.querySelector('meta[name="form-token"]');
+        return {
+            formToken: tokenMeta ? tokenMeta.content : '',
+            website: form.querySelector('input[name="website"]').value
+        };
+    }
+
+    // Form tokens are single-use; each answer carries the one to send next
+    function keepFormToken(response) {
+        const tokenMeta = document.querySelector('meta[name="form-token"]');
+        const nextToken = response.headers.get('X-Form-Token');
+        if (tokenMeta && nextToken) {
+            tokenMeta.content = nextToken;
+        }
+    }
+
+    // ============= EVENT LISTENERS =============
+    closePaymentModalBtn.addEventListener('click', closePaymentModal);
+    paymentModal.addEventListener('click', function (e) {
+        if (e.target === paymentModal) closePaymentModal();
+    });
+
+    closeStatusModalBtn.addEventListener('click', window.closePaymentStatusModal);
+    paymentStatusModal.addEventListener('click', function (e) {
+        if (e.target === paymentStatusModal) window.closePaymentStatusModal();
+    });
+
+    document.getElementById('cancelPayment').addEventListener('click', closePaymentModal);
+
+    // ============= TOP FORM (PAYMENT) =============
+    topForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+
+        const packageSelect = document.getElementById('topAmount');
+        const packageId = packageSelect.value;
+        if (!packageId) {
+            alert('Please select a registration package');
+            return;
+        }
+        const amount = packageSelect.selectedOptions[0].dataset.price;
+
+        const formData = {
+            name: document.getElementById('topName').value,
+            email: document.getElementById('topEmail').value,
+            phone: document.getElementById('topPhone').value,
+            city: document.getElementById('topCity').value,
+            state: document.getElementById('topState').value,
+            packageId: packageId,
+            amount: amount
+        };
+
+        if (!formData.name || !formData.email || !formData.phone || !formData.city || !formData.state) {
+            alert('Please fill all required fields');
+            return;
+        }
+
+        openPaymentModal(formData);
+    });
+
+    // ============= CONTACT FORM (ENQUIRY) =============
+    contactForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const submitBtn = this.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Submitting... <span class="loading-spinner"></span>';
+
+        const enquiryData = {
+            name: document.getElementById('contactName').value,
+            email: document.getElementById('contactEmail').value,
+            phone: document.getElementById('contactPhone').value,
+            city: document.getElementById('contactCity').value,
+            investment: document.getElementById('contactInvestment').value,
+            message: document.getElementById('contactMessage').value
+        };
+
+        try {
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/send-notification`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    type: 'enquiry',
+                    data: enquiryData,
+                    ...spamFields(contactForm)
+                })
+            });
+
+            keepFormToken(response);
+
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = originalText;
+                contactFormResult.style.display = 'block';
+                contactFormResult.style.color = 'green';
+                contactFormResult.innerHTML = '✓ Application received! Our franchise team will contact you soon.';
+                contactForm.reset();
+
+                setTimeout(() => {
+                    contactFormResult.style.display = 'none';
+                }, 8000);
+            } else {
+                const submitError = new Error(apiErrorMessage(result, 'Failed to submit'));
+                // 4xx answers (invalid fields, duplicates, expired forms) say what to do
+                submitError.validation = response.status < 500;
+                throw submitError;
+            }
+        } catch (error) {
+            console.error('Failed to send enquiry:', error);
+            submitBtn.disabled = false;
+            submitBtn.textContent = originalText;
+            contactFormResult.style.display = 'block';
+            contactFormResult.style.color = 'red';
+            contactFormResult.innerText = '✗ Failed to submit. ' + (error.validation ? error.message : 'Please try again.');
+
+            setTimeout(() => {
+                contactFormResult.style.display = 'none';
+            }, 5000);
+        }
+    });
+
+    // ============= REGISTRATION PACKAGES =============
+    // Replace the built-in package list with the server's catalogue
+    fetch(`${CONFIG.apiEndpoint}/api/packages`)
+        .then(res => res.json())
+        .then(result => {
+            if (!result.success || !result.data.length) return;
+            const select = document.getElementById('topAmount');
+            select.innerHTML = '<option value="">Select Package</option>';
+            result.data.forEach(pkg => {
+                const option = document.createElement('option');
+                option.value = pkg.id;
+                option.dataset.price = pkg.price;
+                option.textContent = `₹${Number(pkg.price).toLocaleString('en-IN')} - ${pkg.name}`;
+                select.appendChild(option);
+            });
+        })
+        .catch(err => console.error('Could not load registration packages:', err));
+
+    // ============= RESPONSIVE MENU =============
+    window.addEventListener('resize', () => {
+        if (window.innerWidth > 900) {
+            navLinks.style.display = 'flex';
+            mobileBtn.setAttribute('aria-expanded', 'false');
+        } else {
+            navLinks.style.display = 'none';
+        }
+    });
+
+    if (window.innerWidth <= 900) {
+        navLinks.style.display = 'none';
+    } else {
+        navLinks.style.display = 'flex';
+    }
+
+})();
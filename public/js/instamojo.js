@@ -0,0 +1,349 @@
+(function () {
+    // Configuration - served by the Express app, so API calls are relative.
+    // Opened straight from disk, the page talks to a local backend instead.
+    const CONFIG = {
+        apiEndpoint: window.location.protocol === 'file:' ? 'http://localhost:3000' : ''
+    };
+
+    const mobileBtn = document.getElementById('mobileMenu');
+    const navLinks = document.getElementById('navLinks');
+    const header = document.getElementById('header');
+    const fadeEls = document.querySelectorAll('.fade-in');
+    const topForm = document.getElementById('topForm');
+    const contactForm = document.getElementById('contactForm');
+    const topFormResult = document.getElementById('topFormResult');
+    const contactFormResult = document.getElementById('contactFormResult');
+    const paymentModal = document.getElementById('paymentModal');
+    const closePaymentModalBtn = document.getElementById('closePaymentModal');
+    const paymentAlert = document.getElementById('paymentAlert');
+
+    let currentPaymentData = {};
+
+    mobileBtn.addEventListener('click', function () {
+        const expanded = this.getAttribute('aria-expanded') === 'true';
+        this.setAttribute('aria-expanded', String(!expanded));
+        navLinks.style.display = navLinks.style.display === 'flex' ? 'none' : 'flex';
+    });
+
+    document.querySelectorAll('.nav-links a').forEach(a => {
+        a.addEventListener('click', () => {
+            if (window.innerWidth <= 900) {
+                navLinks.style.display = 'none';
+                mobileBtn.setAttribute('aria-expanded', 'false');
+            }
+        });
+    });
+
+    function onScrollHeader() {
+        if (window.scrollY > 40) header.classList.add('scrolled');
+        else header.classList.remove('scrolled');
+    }
+    window.addEventListener('scroll', onScrollHeader);
+    onScrollHeader();
+
+    const io = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('visible');
+                io.unobserve(entry.target);
+            }
+        });
+    }, { threshold: 0.12 });
+    fadeEls.forEach(el => io.observe(el));
+
+    async function initiatePayment() {
+        let amount = currentPaymentData.amount;
+
+        // The server prices the order from the package id
+        const packageId = currentPaymentData.packageId;
+
+        const customerData = {
+            name: currentPaymentData.name,
+            email: currentPaymentData.email,
+            phone: currentPaymentData.phone,
+            city: currentPaymentData.city,
+            state: currentPaymentData.state
+        };
+
+        try {
+            showPaymentAlert('Creating payment request with Instamojo...', 'info');
+            document.getElementById('paymentStatus').textContent = 'Creating payment...';
+
+            console.log('Sending payment request to:', `${CONFIG.apiEndpoint}/api/create-payment`);
+            console.log('Payment data:', { packageId, customerData });
+
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/create-payment`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ packageId, customerData, ...spamFields(topForm) })
+            });
+
+            keepFormToken(response);
+
+            console.log('Response status:', response.status);
+
+            const result = await response.json().catch(() => null);
+            console.log('Payment response:', result);
+
+            if (response.ok && result && result.success) {
+                amount = result.data.amount;
+                document.getElementById('paymentOrderId').textContent = result.data.orderId;
+                document.getElementById('paymentAmount').textContent = amount;
+                document.getElementById('paymentDisplayAmount').textContent = `₹${amount}`;
+                document.getElementById('paymentStatus').textContent = 'Ready';
+
+                const paymentLink = document.getElementById('paymentLink');
+                paymentLink.href = result.data.longurl;
+                paymentLink.style.display = 'block';
+
+                showPaymentAlert('✅ Payment link created! Click the button below to complete payment on Instamojo.', 'success');
+
+                setTimeout(() => {
+                    window.open(result.data.longurl, '_blank');
+                }, 2000);
+
+            } else {
+                throw new Error(apiErrorMessage(result, `Server error: ${response.status}`));
+            }
+        } catch (error) {
+            console.error('Payment error:', error);
+            let errorMessage = error.message;
+
+            // Check if it's a network error
+            if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+                errorMessage = 'Cannot connect to server. Please ensure:\n1. Backend server is running on http://localhost:3000\n2. Run: node server.js\n3. Check console for errors';
+            }
+
+            showPaymentAlert(`❌ Error: ${errorMessage}`, 'error');
+            document.getElementById('paymentStatus').textContent = 'Error';
+        }
+    }
+
+    function openPaymentModal(formData) {
+        currentPaymentData = formData;
+        paymentModal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        initiatePayment();
+    }
+
+    function closePaymentModal() {
+        paymentModal.classList.remove('active');
+        document.body.style.overflow = '';
+        hidePaymentAlert();
+    }
+
+    function showPaymentAlert(message, type = 'info') {
+        paymentAlert.className = `alert alert-${type}`;
+        paymentAlert.innerHTML = message.replace(/\n/g, '<br>');
+        paymentAlert.style.display = 'block';
+    }
+
+    function hidePaymentAlert() {
+        paymentAlert.style.display = 'none';
+    }
+
+    // Validation errors come back as { message, errors: { field: message } }
+    function apiErrorMessage(result, fallback) {
+        if (result && result.errors) {
+            return Object.values(result.errors).join('\n');
+        }
+        return (result && result.message) || fallback;
+    }
+
+    // Spam protection: the form token the server rendered into the page, and the
+    // honeypot field that people never see (bots fill it in)
+    function spamFields(form) {
+        const tokenMeta = document.querySelector('meta[name="form-token"]');
+        return {
+            formToken: tokenMeta ? tokenMeta.content : '',
+            website: form.querySelector('input[name="website"]').value
+        };
+    }
+
+    // Form tokens are single-use; each answer carries the one to send next
+    function keepFormToken(response) {
+        const tokenMeta = document.querySelector('meta[name="form-token"]');
+        const nextToken = response.headers.get('X-Form-Token');
+        if (tokenMeta && nextToken) {
+            tokenMeta.content = nextToken;
+        }
+    }
+
+    closePaymentModalBtn.addEventListener('click', closePaymentModal);
+    paymentModal.addEventListener('click', function (e) {
+        if (e.target === paymentModal) closePaymentModal();
+    });
+    document.getElementById('cancelPayment').addEventListener('click', closePaymentModal);
+
+    topForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+
+        const packageSelect = document.getElementById('topAmount');
+        const packageId = packageSelect.value;
+        if (!packageId) {
+            alert('Please select a registration package');
+            return;
+        }
+        const amount = packageSelect.selectedOptions[0].dataset.price;
+
+        const formData = {
+            name: document.getElementById('topName').value.trim(),
+            email: document.getElementById('topEmail').value.trim(),
+            phone: document.getElementById('topPhone').value.trim(),
+            city: document.getElementById('topCity').value.trim(),
+            state: document.getElementById('topState').value,
+            packageId: packageId,
+            amount: amount
+        };
+
+        if (!formData.name || !formData.email || !formData.phone || !formData.city || !formData.state) {
+            alert('Please fill all required fields');
+            return;
+        }
+
+        // Basic validation
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(formData.email)) {
+            alert('Please enter a valid email address');
+            return;
+        }
+
+        // Clean phone number (remove spaces, +, dashes)
+        const cleanPhone = formData.phone.replace(/[\s+\-()]/g, '');
+
+        // Check for valid 10-digit number starting with 6-9, or 12-digit with country code
+        const phoneRegex = /^([6-9]\d{9}|91[6-9]\d{9})$/;
+        if (!phoneRegex.test(cleanPhone)) {
+            alert('Please enter a valid 10-digit Indian phone number (starting with 6-9)');
+            return;
+        }
+
+        // Update formData with cleaned phone
+        formData.phone = cleanPhone.length === 10 ? cleanPhone : cleanPhone.substring(2);
+
+        openPaymentModal(formData);
+    });
+
+    contactForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const submitBtn = this.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = 'Submitting... <span class="loading-spinner"></span>';
+
+        const enquiryData = {
+            name: document.getElementById('contactName').value.trim(),
+            email: document.getElementById('contactEmail').value.trim(),
+            phone: document.getElementById('contactPhone').value.trim(),
+            city: document.getElementById('contactCity').value.trim(),
+            investment: document.getElementById('contactInvestment').value,
+            message: document.getElementById('contactMessage').value.trim()
+        };
+
+        try {
+            console.log('Sending enquiry to:', `${CONFIG.apiEndpoint}/api/send-notification`);
+
+            const response = await fetch(`${CONFIG.apiEndpoint}/api/send-notification`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    type: 'enquiry',
+                    data: enquiryData,
+                    ...spamFields(contactForm)
+                })
+            });
+
+            keepFormToken(response);
+
+            const result = await response.json();
+
+            if (response.ok && result.success) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = originalText;
+                contactFormResult.style.display = 'block';
+                contactFormResult.style.color = 'green';
+                contactFormResult.innerHTML = '✓ Application received! Our franchise team will contact you soon.';
+                contactForm.reset();
+
+                setTimeout(() => {
+                    contactFormResult.style.display = 'none';
+                }, 8000);
+            } else {
+                const submitError = new Error(apiErrorMessage(result, 'Failed to submit'));
+                // 4xx answers (invalid fields, duplicates, expired forms) say what to do
+                submitError.validation = response.status < 500;
+                throw submitError;
+            }
+        } catch (error) {
+            console.error('Failed to send enquiry:', error);
+            submitBtn.disabled = false;
+            submitBtn.textContent = originalText;
+            contactFormResult.style.display = 'block';
+            contactFormResult.style.color = 'red';
+
+            let errorMsg = '✗ Failed to submit. ';
+            if (error.message.includes('Failed to fetch')) {
+                errorMsg += 'Server not reachable. Please ensure backend is running.';
+            } else if (error.validation) {
+                errorMsg += error.message;
+            } else {
+                errorMsg += 'Please try again.';
+            }
+            contactFormResult.innerText = errorMsg;
+
+            setTimeout(() => {
+                contactFormResult.style.display = 'none';
+            }, 5000);
+        }
+    });
+
+    // Replace the built-in package list with the server's catalogue
+    fetch(`${CONFIG.apiEndpoint}/api/packages`)
+        .then(res => res.json())
+        .then(result => {
+            if (!result.success || !result.data.length) return;
+            const select = document.getElementById('topAmount');
+            select.innerHTML = '<option value="">Select Package</option>';
+            result.data.forEach(pkg => {
+                const option = document.createElement('option');
+                option.value = pkg.id;
+                option.dataset.price = pkg.price;
+                option.textContent = `₹${Number(pkg.price).toLocaleString('en-IN')} - ${pkg.name}`;
+                select.appendChild(option);
+            });
+        })
+        .catch(err => console.error('Could not load registration packages:', err));
+
+    window.addEventListener('resize', () => {
+        if (window.innerWidth > 900) {
+            navLinks.style.display = 'flex';
+            mobileBtn.setAttribute('aria-expanded', 'false');
+        } else {
+            navLinks.style.display = 'none';
+        }
+    });
+
+    if (window.innerWidth <= 900) {
+        navLinks.style.display = 'none';
+    } else {
+        navLinks.style.display = 'flex';
+    }
+
+    // Check server connection on page load
+    fetch(`${CONFIG.apiEndpoint}/health`)
+        .then(res => res.json())
+        .then(data => {
+            console.log('✅ Server connected:', data);
+        })
+        .catch(err => {
+            console.error('❌ Cannot connect to server. Please run: node server.js');
+            console.error('Expected server at:', CONFIG.apiEndpoint);
+        });
+
+})();
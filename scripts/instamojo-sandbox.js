@@ -0,0 +1,49 @@
+require('dotenv').config();
+const { DEFAULT_OPTIONS, createInstamojoSandbox } = require('../lib/instamojoSandbox');
+const { createLogger } = require('../lib/logger');
+
+// ============ INSTAMOJO SANDBOX SERVER ============
+// Runs the local Instamojo stand-in (lib/instamojoSandbox.js). It accepts the
+// same INSTAMOJO_* credentials as the server, so one .env drives both:
+//
+//   npm run sandbox
+//   TEST_MODE=false INSTAMOJO_API_URL=http://localhost:4010/v2/ npm start
+//
+// Logs like the server (LOG_LEVEL, LOG_FORMAT). Credentials are only shown
+// when they are the built-in sandbox-* defaults, never ones read from .env.
+
+const PORT = Number(process.env.SANDBOX_PORT) || 4010;
+
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')
+});
+
+const sandbox = createInstamojoSandbox({
+    logger,
+    apiKey: process.env.INSTAMOJO_API_KEY || undefined,
+    authToken: process.env.INSTAMOJO_AUTH_TOKEN || undefined,
+    salt: process.env.INSTAMOJO_SALT || undefined,
+    baseUrl: process.env.SANDBOX_BASE_URL || `http://localhost:${PORT}`,
+    webhookDelayMs: Number(process.env.SANDBOX_WEBHOOK_DELAY_MS) || 0
+});
+
+const usesDefaultCredentials = ['apiKey', 'authToken', 'salt']
+    .every(option => sandbox.config[option] === DEFAULT_OPTIONS[option]);
+
+sandbox.app.listen(PORT, '0.0.0.0', () => {
+    const apiUrl = `http://localhost:${PORT}/v2/`;
+    logger.info('Instamojo sandbox ready', {
+        apiUrl,
+        webhookDelayMs: sandbox.config.webhookDelayMs,
+        credentials: usesDefaultCredentials ? 'built-in sandbox defaults' : 'INSTAMOJO_* from .env'
+    });
+
+    const serverEnv = `TEST_MODE=false INSTAMOJO_API_URL=${apiUrl}`;
+    if (usesDefaultCredentials) {
+        const { apiKey, authToken, salt } = DEFAULT_OPTIONS;
+        logger.info(`Start the server against it with: ${serverEnv} INSTAMOJO_API_KEY=${apiKey} INSTAMOJO_AUTH_TOKEN=${authToken} INSTAMOJO_SALT=${salt} npm start`);
+    } else {
+        logger.info(`Start the server against it with: ${serverEnv} npm start (using INSTAMOJO_* from .env)`);
+    }
+});
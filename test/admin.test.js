@@ -0,0 +1,374 @@
+const fs = require('fs');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+    ADMIN,
+    ADMIN_EMAIL,
+    loadApp,
+    createPayment,
+    signedWebhook,
+    login,
+    loginAs,
+    waitFor,
+    waitForEmail,
+    deliveredEmails
+} = require('./helpers');
+
+describe('admin API', () => {
+    let app;
+    let mailDir;
+    let rootToken;
+
+    before(async () => {
+        ({ app, mailDir } = await loadApp());
+        rootToken = await login(app);
+    });
+
+    function admin(method, path, token = rootToken) {
+        return request(app)[method](path).set('Authorization', `Bearer ${token}`);
+    }
+
+    // A paid test order
+    async function paidOrder(overrides) {
+        const { body } = await createPayment(app, overrides).expect(201);
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { paymentId: `MOJO_${body.data.orderId}` })).expect(200);
+        return body.data;
+    }
+
+    describe('auth', () => {
+        it('requires a username and password', async () => {
+            const res = await request(app).post('/api/admin/login').send({}).expect(400);
+            assert.deepEqual(Object.keys(res.body.errors).sort(), ['password', 'username']);
+        });
+
+        it('rejects wrong credentials', async () => {
+            const res = await request(app).post('/api/admin/login').send({ username: ADMIN.username, password: 'wrong' }).expect(401);
+            assert.equal(res.body.message, 'Invalid username or password');
+        });
+
+        it('signs in the bootstrap superadmin', async () => {
+            const res = await admin('get', '/api/admin/me').expect(200);
+            assert.equal(res.body.data.username, ADMIN.username);
+            assert.equal(res.body.data.role, 'superadmin');
+        });
+
+        it('rejects missing and forged tokens', async () => {
+            await request(app).get('/api/admin/me').expect(401);
+            await admin('get', '/api/admin/me', 'forged.token').expect(401);
+        });
+
+        it('enforces the role hierarchy', async () => {
+            const viewer = await loginAs(app, 'viewer');
+            const finance = await loginAs(app, 'finance');
+
+            await admin('get', '/api/admin/enquiries', viewer).expect(200);
+            await admin('get', '/api/admin/payments', viewer).expect(403);
+            await admin('get', '/api/admin/payments', finance).expect(200);
+            await admin('get', '/api/admin/users', finance).expect(403);
+        });
+    });
+
+    describe('users', () => {
+        it('creates, updates and deletes admins', async () => {
+            const invalid = await admin('post', '/api/admin/users').send({ username: 'ops', password: 'pw', role: 'owner' }).expect(400);
+            assert.ok(invalid.body.errors.role);
+
+            const created = await admin('post', '/api/admin/users').send({ username: 'ops', password: 'ops-password', role: 'sales' }).expect(201);
+            assert.equal(created.body.data.role, 'sales');
+            assert.equal(created.body.data.passwordHash, undefined);
+            await admin('post', '/api/admin/users').send({ username: 'ops', password: 'other', role: 'sales' }).expect(409);
+
+            const list = await admin('get', '/api/admin/users').expect(200);
+            assert.ok(list.body.data.some(user => user.username === 'ops'));
+
+            const promoted = await admin('patch', '/api/admin/users/ops').send({ role: 'finance', password: 'new-password' }).expect(200);
+            assert.equal(promoted.body.data.role, 'finance');
+            await login(app, { username: 'ops', password: 'new-password' });
+
+            await admin('patch', `/api/admin/users/${ADMIN.username}`).send({ role: 'viewer' }).expect(400);
+            await admin('patch', '/api/admin/users/nobody').send({ role: 'viewer' }).expect(404);
+
+            await admin('delete', `/api/admin/users/${ADMIN.username}`).expect(400);
+            await admin('delete', '/api/admin/users/ops').expect(200);
+            await admin('delete', '/api/admin/users/ops').expect(404);
+        });
+    });
+
+    describe('payments', () => {
+        it('lists and filters payments', async () => {
+            const paid = await paidOrder({ email: 'filter@example.com', city: 'Nagpur' });
+            await createPayment(app, { email: 'pending@example.com', packageId: 'express' }).expect(201);
+
+            const completed = await admin('get', '/api/admin/payments?status=completed&city=nagpur').expect(200);
+            assert.deepEqual(completed.body.data.map(order => order.orderId), [paid.orderId]);
+
+            const express = await admin('get', '/api/admin/payments?packageId=express&minAmount=20000').expect(200);
+            assert.ok(express.body.data.every(order => order.amount === 25000));
+
+            const search = await admin('get', '/api/admin/payments?q=filter%40example.com&mode=test&gateway=mock').expect(200);
+            assert.equal(search.body.total, 1);
+
+            const invalid = await admin('get', '/api/admin/payments?status=paid&mode=demo&gateway=paypal').expect(400);
+            assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['gateway', 'mode', 'status']);
+
+            const page = await admin('get', '/api/admin/payments?pageSize=1&page=1&sort=amount&order=desc').expect(200);
+            assert.equal(page.body.data.length, 1);
+            assert.ok(page.body.totalPages >= 2);
+        });
+
+        it('opens an order with its refund options', async () => {
+            const paid = await paidOrder();
+            const res = await admin('get', `/api/admin/payments/${paid.orderId}`).expect(200);
+            assert.equal(res.body.data.status, 'completed');
+            assert.equal(res.body.refundable, 5000);
+            assert.ok(res.body.refundReasons.RFD);
+            await admin('get', '/api/admin/payments/ZUDIO_missing').expect(404);
+        });
+
+        it('exports CSV and Excel with the list filters', async () => {
+            const paid = await paidOrder({ email: 'export@example.com' });
+
+            const csv = await admin('get', '/api/admin/payments/export?q=export%40example.com&columns=orderId,status,amount').expect(200);
+            assert.match(csv.headers['content-disposition'], /payments.*\.csv/);
+            const lines = csv.text.trim().split(/\r?\n/);
+            assert.equal(lines.length, 2);
+            assert.ok(lines[1].includes(paid.orderId));
+
+            const xlsx = await admin('get', '/api/admin/payments/export?format=xlsx')
+                .buffer(true)
+                .parse((res, done) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => done(null, Buffer.concat(chunks)));
+                })
+                .expect(200);
+            // xlsx files are zip archives
+            assert.equal(xlsx.body.subarray(0, 2).toString(), 'PK');
+
+            const invalid = await admin('get', '/api/admin/payments/export?format=pdf&columns=secret').expect(400);
+            assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['columns', 'format']);
+        });
+
+        it('refunds part and then the rest of a payment', async () => {
+            const paid = await paidOrder({ email: 'refund@example.com' });
+            const path = `/api/admin/payments/${paid.orderId}/refunds`;
+
+            const tooMuch = await admin('post', path).send({ amount: 6000, reason: 'RFD' }).expect(400);
+            assert.ok(tooMuch.body.errors.amount);
+            await admin('post', path).send({ amount: 100, reason: 'PTH' }).expect(400);
+
+            const partial = await admin('post', path).send({ amount: 2000, reason: 'RFD' }).expect(201);
+            assert.equal(partial.body.message, 'Refund processed');
+            assert.equal(partial.body.data.orderStatus, 'partially-refunded');
+            assert.equal(partial.body.data.refundable, 3000);
+
+            const rest = await admin('post', path).send({ reason: 'QFL' }).expect(201);
+            assert.equal(rest.body.data.orderStatus, 'refunded');
+            assert.equal(rest.body.data.refundedAmount, 5000);
+            await admin('post', path).send({ reason: 'RFD' }).expect(400);
+
+            await waitForEmail(mailDir, 'refund@example.com', /Refund Processed/);
+            await admin('post', '/api/admin/payments/ZUDIO_missing/refunds').send({ reason: 'RFD' }).expect(404);
+        });
+
+        it('cancels pending payments only', async () => {
+            const { body } = await createPayment(app).expect(201);
+            const cancelled = await admin('post', `/api/admin/payments/${body.data.orderId}/cancel`).send({ reason: 'Duplicate order' }).expect(200);
+            assert.equal(cancelled.body.data.status, 'cancelled');
+
+            const again = await admin('post', `/api/admin/payments/${body.data.orderId}/cancel`).expect(409);
+            assert.equal(again.body.message, 'Cannot cancel a cancelled payment');
+            await admin('post', '/api/admin/payments/ZUDIO_missing/cancel').expect(404);
+
+            // Applicants see when the status changed, not who changed it or why
+            const detail = await admin('get', `/api/admin/payments/${body.data.orderId}`).expect(200);
+            assert.equal(detail.body.data.statusHistory[1].source, `admin:${ADMIN.username}`);
+            assert.equal(detail.body.data.statusHistory[1].reason, 'Duplicate order');
+            const status = await request(app).get(`/api/payment-status/${body.data.orderId}`).expect(200);
+            assert.deepEqual(status.body.data.statusHistory.map(entry => Object.keys(entry)), [['from', 'to', 'at'], ['from', 'to', 'at']]);
+        });
+
+        it('never cancels over a payment that completes at the same moment', async () => {
+            const { body } = await createPayment(app).expect(201);
+            await Promise.all([
+                admin('post', `/api/admin/payments/${body.data.orderId}/cancel`),
+                request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { paymentId: 'MOJO_RACE_1' })).expect(200)
+            ]);
+
+            // Whichever runs first, the payment is kept and every change starts from the last one
+            const order = (await admin('get', `/api/admin/payments/${body.data.orderId}`).expect(200)).body.data;
+            assert.equal(order.status, 'completed');
+            assert.equal(order.paymentId, 'MOJO_RACE_1');
+            order.statusHistory.slice(1).forEach((entry, index) => {
+                assert.equal(entry.from, order.statusHistory[index].to);
+            });
+        });
+    });
+
+    describe('webhook event log', () => {
+        it('shows events and replays one that arrived before its order', async () => {
+            const { body } = await createPayment(app).expect(201);
+            const order = body.data;
+
+            // Processed normally, then replayed: the state machine keeps it completed once
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { paymentId: 'MOJO_REPLAY_1' })).expect(200);
+            const events = await admin('get', `/api/admin/webhooks?orderId=${order.orderId}`).expect(200);
+            assert.equal(events.body.data.length, 1);
+            assert.equal(events.body.data[0].payload, undefined);
+            const eventId = events.body.data[0].eventId;
+
+            const detail = await admin('get', `/api/admin/webhooks/${eventId}`).expect(200);
+            assert.equal(detail.body.data.macVerified, true);
+            assert.equal(detail.body.data.payload.payment_id, 'MOJO_REPLAY_1');
+
+            const finance = await loginAs(app, 'finance');
+            await admin('post', `/api/admin/webhooks/${eventId}/replay`, finance).expect(403);
+            const replay = await admin('post', `/api/admin/webhooks/${eventId}/replay`).expect(200);
+            assert.equal(replay.body.data.replay.outcome, 'ignored');
+            assert.equal(replay.body.data.event.replays.length, 1);
+
+            await admin('get', '/api/admin/webhooks/WH_missing').expect(404);
+            await admin('post', '/api/admin/webhooks/WH_missing/replay').expect(404);
+        });
+
+        it('refuses to replay webhooks that failed MAC verification', async () => {
+            const { body } = await createPayment(app).expect(201);
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { salt: 'wrong' })).expect(400);
+
+            const rejected = await admin('get', '/api/admin/webhooks?outcome=rejected').expect(200);
+            const event = rejected.body.data.find(entry => entry.paymentRequestId === body.data.paymentRequestId);
+            await admin('post', `/api/admin/webhooks/${event.eventId}/replay`).expect(400);
+        });
+    });
+
+    describe('packages', () => {
+        it('creates and updates packages', async () => {
+            const invalid = await admin('post', '/api/admin/packages').send({ id: 'Bad Id', price: -1 }).expect(400);
+            assert.ok(invalid.body.errors.price);
+
+            const created = await admin('post', '/api/admin/packages')
+                .send({ id: 'flagship', name: 'Flagship Registration', price: 50000, description: 'Large-format store review' })
+                .expect(201);
+            assert.equal(created.body.data.id, 'flagship');
+            await admin('post', '/api/admin/packages').send({ id: 'flagship', name: 'Flagship Again', price: 60000 }).expect(409);
+
+            const publicList = await request(app).get('/api/packages').expect(200);
+            assert.ok(publicList.body.data.some(pkg => pkg.id === 'flagship'));
+
+            await admin('patch', '/api/admin/packages/flagship').send({ active: false }).expect(200);
+            await admin('patch', '/api/admin/packages/flagship').send({ id: 'other' }).expect(400);
+            await admin('patch', '/api/admin/packages/missing').send({ price: 1 }).expect(404);
+
+            const adminList = await admin('get', '/api/admin/packages').expect(200);
+            assert.equal(adminList.body.data.find(pkg => pkg.id === 'flagship').active, false);
+            const afterRetire = await request(app).get('/api/packages').expect(200);
+            assert.ok(!afterRetire.body.data.some(pkg => pkg.id === 'flagship'));
+
+            const viewer = await loginAs(app, 'viewer');
+            await admin('post', '/api/admin/packages', viewer).send({ id: 'starter', name: 'Starter', price: 1000 }).expect(403);
+        });
+    });
+
+    describe('applicants', () => {
+        it('links enquiries and orders from the same person', async () => {
+            await request(app)
+                .post('/api/send-notification')
+                .send({ type: 'enquiry', data: { name: 'Kiran Das', email: 'kiran@example.com', phone: '9123456780', city: 'Kolkata' } })
+                .expect(201);
+            await paidOrder({ name: 'Kiran Das', email: 'KIRAN@example.com', phone: '9123456780', city: 'Kolkata', state: 'West Bengal' });
+
+            const list = await admin('get', '/api/admin/applicants?email=kiran@example.com').expect(200);
+            assert.equal(list.body.data.length, 1);
+            const applicantId = list.body.data[0].applicantId;
+
+            const detail = await admin('get', `/api/admin/applicants/${applicantId}`).expect(200);
+            assert.equal(detail.body.data.enquiries.length, 1);
+            assert.equal(detail.body.data.orders.length, 1);
+            assert.ok(detail.body.data.timeline.length >= 3);
+
+            await admin('get', '/api/admin/applicants/APL_missing').expect(404);
+        });
+    });
+
+    describe('stats', () => {
+        it('returns KPIs and hides revenue from viewers', async () => {
+            await paidOrder();
+            const full = await admin('get', '/api/admin/stats?days=7').expect(200);
+            assert.equal(full.body.data.daily.length, 7);
+            assert.ok(full.body.data.totals.registrations >= 1);
+            assert.ok(full.body.data.totals.revenue >= 5000);
+
+            const viewer = await loginAs(app, 'viewer');
+            const limited = await admin('get', '/api/admin/stats', viewer).expect(200);
+            assert.ok(limited.body.data.totals.registrations >= 1);
+            assert.equal(limited.body.data.totals.revenue, undefined);
+
+            const invalid = await admin('get', '/api/admin/stats?days=365&mode=demo').expect(400);
+            assert.deepEqual(Object.keys(invalid.body.errors).sort(), ['days', 'mode']);
+        });
+    });
+
+    describe('emails', () => {
+        it('previews templates without sending anything', async () => {
+            const list = await admin('get', '/api/admin/email-templates').expect(200);
+            assert.ok(list.body.data.some(template => template.name === 'paymentSuccess'));
+
+            const html = await admin('get', '/api/admin/email-templates/paymentSuccess/preview').expect(200);
+            assert.match(html.headers['content-type'], /html/);
+            const text = await admin('get', '/api/admin/email-templates/paymentSuccess/preview?format=text').expect(200);
+            assert.match(text.headers['content-type'], /text\/plain/);
+            const json = await admin('get', '/api/admin/email-templates/paymentSuccess/preview?format=json').expect(200);
+            assert.ok(json.body.data.subject);
+
+            await admin('get', '/api/admin/email-templates/paymentSuccess/preview?format=pdf').expect(400);
+            await admin('get', '/api/admin/email-templates/missing/preview').expect(404);
+        });
+
+        it('lists the outbox and re-sends a delivered email', async () => {
+            await createPayment(app, { email: 'outbox@example.com' }).expect(201);
+            await waitForEmail(mailDir, 'outbox@example.com', /Complete Your Zudio Franchise Payment/);
+
+            const sent = await waitFor(async () => {
+                const res = await admin('get', '/api/admin/emails?recipient=outbox%40example.com&status=sent').expect(200);
+                return res.body.data[0];
+            });
+            assert.equal(sent.html, undefined);
+
+            const detail = await admin('get', `/api/admin/emails/${sent.id}`).expect(200);
+            assert.match(detail.body.data.html, /outbox@example\.com|Asha Rao/);
+
+            const resent = await admin('post', `/api/admin/emails/${sent.id}/resend`).expect(200);
+            assert.equal(resent.body.data.status, 'queued');
+
+            await admin('get', '/api/admin/emails?status=lost').expect(400);
+            await admin('get', '/api/admin/emails/EML_missing').expect(404);
+            await admin('post', '/api/admin/emails/EML_missing/resend').expect(404);
+
+            const admins = await admin('get', `/api/admin/emails?recipient=${encodeURIComponent(ADMIN_EMAIL)}`).expect(200);
+            assert.ok(admins.body.total >= 1);
+        });
+
+        it('re-sends a payment email with its invoice rendered again', async () => {
+            await paidOrder({ email: 'reinvoice@example.com' });
+            const first = await waitForEmail(mailDir, 'reinvoice@example.com', /Payment Successful/);
+
+            const sent = await waitFor(async () => {
+                const res = await admin('get', '/api/admin/emails?recipient=reinvoice%40example.com&status=sent&q=paymentSuccess').expect(200);
+                return res.body.data[0];
+            });
+            const detail = await admin('get', `/api/admin/emails/${sent.id}`).expect(200);
+            assert.equal(detail.body.data.attachments[0].filename, first.attachments[0].filename);
+            assert.ok(detail.body.data.attachments[0].size > 0);
+
+            // The file transport writes the copy over the first; its PDF must be written again
+            const pdfFile = `${mailDir}/${first.attachments[0].file}`;
+            fs.unlinkSync(pdfFile);
+            await admin('post', `/api/admin/emails/${sent.id}/resend`).expect(200);
+            const copy = await waitFor(() => deliveredEmails(mailDir).find(email => email.to === 'reinvoice@example.com' && email.deliveredAt > first.deliveredAt));
+            assert.equal(copy.attachments[0].filename, first.attachments[0].filename);
+            const pdf = fs.readFileSync(pdfFile);
+            assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ADMIN_EMAIL, loadApp, customer, login, loginAs, waitForEmail } = require('./helpers');
+
+describe('enquiries', () => {
+    let app;
+    let mailDir;
+    let rootToken;
+
+    before(async () => {
+        ({ app, mailDir } = await loadApp());
+        rootToken = await login(app);
+    });
+
+    function sendEnquiry(overrides = {}) {
+        return request(app)
+            .post('/api/send-notification')
+            .send({ type: 'enquiry', data: { ...customer(), investment: '30-50', message: 'Interested in a Pune store', ...overrides } });
+    }
+
+    function admin(method, path, token = rootToken) {
+        return request(app)[method](path).set('Authorization', `Bearer ${token}`);
+    }
+
+    describe('POST /api/send-notification', () => {
+        it('only accepts enquiries', async () => {
+            const res = await request(app).post('/api/send-notification').send({ type: 'payment', data: {} }).expect(400);
+            assert.equal(res.body.errors.type, 'Notification type must be "enquiry"');
+        });
+
+        it('validates the enquiry fields', async () => {
+            const res = await sendEnquiry({ email: 'nope', investment: '1-2', message: 'x'.repeat(1001) }).expect(400);
+            assert.equal(res.body.message, 'Invalid enquiry');
+            assert.deepEqual(Object.keys(res.body.errors).sort(), ['email', 'investment', 'message']);
+        });
+
+        it('stores the lead and emails the applicant and the admin', async () => {
+            const res = await sendEnquiry({ email: 'lead@example.com' }).expect(201);
+            assert.equal(res.body.success, true);
+            assert.match(res.body.enquiryId, /^ZUDIO_/);
+
+            const lead = await admin('get', `/api/admin/enquiries/${res.body.enquiryId}`).expect(200);
+            assert.equal(lead.body.data.status, 'new');
+            assert.equal(lead.body.data.email, 'lead@example.com');
+            assert.ok(lead.body.data.applicantId);
+            assert.deepEqual(lead.body.nextStatuses, ['contacted', 'site-visit', 'qualified', 'rejected']);
+
+            await waitForEmail(mailDir, 'lead@example.com', /Enquiry Received/);
+            await waitForEmail(mailDir, ADMIN_EMAIL, /New Enquiry/);
+        });
+    });
+
+    describe('admin lead pipeline', () => {
+        it('lists, filters and exports enquiries', async () => {
+            await sendEnquiry({ email: 'mumbai@example.com', city: 'Mumbai', investment: '50+' }).expect(201);
+
+            const all = await admin('get', '/api/admin/enquiries').expect(200);
+            assert.ok(all.body.total >= 1);
+
+            const filtered = await admin('get', '/api/admin/enquiries?investment=50%2B&city=mumbai').expect(200);
+            assert.ok(filtered.body.data.length >= 1);
+            assert.ok(filtered.body.data.every(lead => lead.investment === '50+' && lead.city === 'Mumbai'));
+
+            const invalid = await admin('get', '/api/admin/enquiries?status=won').expect(400);
+            assert.ok(invalid.body.errors.status);
+
+            const csv = await admin('get', '/api/admin/enquiries/export?format=csv').expect(200);
+            assert.match(csv.headers['content-type'], /text\/csv/);
+            assert.match(csv.text, /mumbai@example\.com/);
+            await admin('get', '/api/admin/enquiries/export?format=pdf').expect(400);
+        });
+
+        it('moves a lead through the pipeline with notes, assignee and follow-up', async () => {
+            const { body } = await sendEnquiry({ email: 'pipeline@example.com' }).expect(201);
+            const path = `/api/admin/enquiries/${body.enquiryId}`;
+            const salesToken = await loginAs(app, 'sales');
+
+            const contacted = await admin('patch', path, salesToken)
+                .send({ status: 'contacted', note: 'Called, wants a site visit', assignee: 'sales-user', followUpAt: '2030-01-15' })
+                .expect(200);
+            assert.equal(contacted.body.data.status, 'contacted');
+            assert.equal(contacted.body.data.assignee, 'sales-user');
+            assert.equal(contacted.body.data.followUpAt, '2030-01-15T00:00:00.000Z');
+
+            // converted is only reachable from qualified
+            const skipped = await admin('patch', path, salesToken).send({ status: 'converted' }).expect(409);
+            assert.equal(skipped.body.message, 'Cannot move a contacted lead to converted');
+
+            await admin('patch', path, salesToken).send({}).expect(400);
+            const unknownAssignee = await admin('patch', path, salesToken).send({ assignee: 'ghost' }).expect(400);
+            assert.equal(unknownAssignee.body.errors.assignee, 'No admin with this username');
+
+            const noted = await admin('post', `${path}/notes`, salesToken).send({ note: 'Sent the brochure' }).expect(201);
+            const activity = noted.body.data.activity.map(entry => entry.type);
+            assert.ok(activity.includes('note'));
+            assert.ok(activity.includes('assigned'));
+            await admin('post', `${path}/notes`, salesToken).send({ note: '   ' }).expect(400);
+
+            await admin('patch', '/api/admin/enquiries/ZUDIO_missing', salesToken).send({ note: 'x' }).expect(404);
+            await admin('post', '/api/admin/enquiries/ZUDIO_missing/notes', salesToken).send({ note: 'x' }).expect(404);
+        });
+
+        it('lets viewers read leads but not change them', async () => {
+            const { body } = await sendEnquiry({ email: 'viewer-check@example.com' }).expect(201);
+            const viewerToken = await loginAs(app, 'viewer');
+
+            await admin('get', `/api/admin/enquiries/${body.enquiryId}`, viewerToken).expect(200);
+            await admin('patch', `/api/admin/enquiries/${body.enquiryId}`, viewerToken).send({ status: 'contacted' }).expect(403);
+            await admin('get', '/api/admin/enquiries/ZUDIO_missing', viewerToken).expect(404);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { signWebhookPayload } = require('../lib/webhookMac');
+const { createLogger } = require('../lib/logger');
+
+// ============ TEST HELPERS ============
+// app.js reads its configuration from the environment when it is first
+// required, and `node --test` runs every file in its own process, so each test
+// file calls loadApp() once with the settings it needs. Storage is in memory,
+// email goes to the file transport in a temp directory and payments go through
+// the mock gateway unless a file points Instamojo at the local sandbox.
+
+const ADMIN = { username: 'root', password: 'root-password' };
+const WEBHOOK_SALT = 'test-webhook-salt';
+const TOKEN_SECRET = 'test-token-secret';
+const ADMIN_EMAIL = 'admin@example.com';
+
+// The app logs every request step; TEST_LOGS=true shows it
+const LOG_LEVEL = process.env.TEST_LOGS === 'true' ? 'debug' : 'silent';
+
+// For things a test file creates itself, like the Instamojo sandbox
+const testLogger = createLogger({ level: LOG_LEVEL, format: 'pretty' });
+
+async function loadApp(env = {}) {
+    const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zudio-mail-'));
+    // Set every variable the app reads from .env, so a developer's .env can't
+    // switch the tests to a real gateway or mailbox (dotenv never overrides)
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        BASE_URL: 'http://localhost:3000',
+        TEST_MODE: 'true',
+        TEST_WEBHOOK_SALT: WEBHOOK_SALT,
+        PAYMENT_GATEWAY: 'instamojo',
+        INSTAMOJO_API_KEY: '',
+        INSTAMOJO_AUTH_TOKEN: '',
+        INSTAMOJO_SALT: '',
+        INSTAMOJO_API_URL: '',
+        RAZORPAY_KEY_ID: '',
+        RAZORPAY_KEY_SECRET: '',
+        RAZORPAY_WEBHOOK_SECRET: '',
+        RAZORPAY_API_URL: '',
+        WEBHOOK_URL: '',
+        REDIRECT_URL: '',
+        STORAGE_DRIVER: 'memory',
+        EMAIL_TRANSPORT: 'file',
+        EMAIL_FILE_DIR: mailDir,
+        ADMIN_EMAIL: ADMIN_EMAIL,
+        ADMIN_USERNAME: ADMIN.username,
+        ADMIN_PASSWORD: ADMIN.password,
+        ADMIN_TOKEN_SECRET: TOKEN_SECRET,
+        LOG_LEVEL,
+        LOG_FORMAT: 'pretty',
+        LOG_FILE: '',
+        METRICS_TOKEN: '',
+        CORS_ORIGINS: '',
+        TRUST_PROXY: '',
+        // Tests send many requests from one address; security.test.js turns them on
+        RATE_LIMIT_ENABLED: 'false',
+        // Fixtures reuse one applicant's details without form tokens; spam.test.js turns this on
+        SPAM_PROTECTION_ENABLED: 'false',
+        BLOCKED_EMAIL_DOMAINS: '',
+        ...env
+    });
+
+    const { app, initApp } = require('../app');
+    await initApp();
+    return { app, mailDir };
+}
+
+function customer(overrides = {}) {
+    return {
+        name: 'Asha Rao',
+        email: 'asha@example.com',
+        phone: '9876543210',
+        city: 'Pune',
+        state: 'Maharashtra',
+        ...overrides
+    };
+}
+
+function createPayment(app, { packageId = 'basic', ...overrides } = {}) {
+    return request(app)
+        .post('/api/create-payment')
+        .send({ packageId, customerData: customer(overrides) });
+}
+
+// A webhook as Instamojo (or the test-payment page) would post it, signed with the test salt
+function signedWebhook(order, { status = 'Credit', paymentId = 'MOJO_TEST_1', salt = WEBHOOK_SALT } = {}) {
+    return signWebhookPayload({
+        amount: Number(order.amount).toFixed(2),
+        buyer: 'asha@example.com',
+        currency: 'INR',
+        payment_id: paymentId,
+        payment_request_id: order.paymentRequestId,
+        status
+    }, salt);
+}
+
+async function login(app, credentials = ADMIN) {
+    const res = await request(app).post('/api/admin/login').send(credentials);
+    if (res.status !== 200) {
+        throw new Error(`Login as ${credentials.username} failed with ${res.status}`);
+    }
+    return res.body.data.token;
+}
+
+// Creates an admin with the given role (as root) and returns their token
+async function loginAs(app, role) {
+    const rootToken = await login(app);
+    const credentials = { username: `${role}-user`, password: `${role}-password` };
+    await request(app)
+        .post('/api/admin/users')
+        .set('Authorization', `Bearer ${rootToken}`)
+        .send({ ...credentials, role });
+    return login(app, credentials);
+}
+
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+// Messages the file transport has delivered, oldest first. A file that is
+// still being written doesn't parse yet and is skipped.
+function deliveredEmails(mailDir) {
+    const emails = [];
+    for (const file of fs.readdirSync(mailDir).filter(name => name.endsWith('.json'))) {
+        try {
+            emails.push(JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+        } catch (error) {
+            continue;
+        }
+    }
+    return emails.sort((a, b) => a.deliveredAt.localeCompare(b.deliveredAt));
+}
+
+// Waits for an email to `to` whose subject matches, since the outbox sends in the background
+function waitForEmail(mailDir, to, subject) {
+    return waitFor(() => deliveredEmails(mailDir).find(email => email.to === to && subject.test(email.subject)));
+}
+
+module.exports = {
+    ADMIN,
+    ADMIN_EMAIL,
+    WEBHOOK_SALT,
+    TOKEN_SECRET,
+    testLogger,
+    loadApp,
+    customer,
+    createPayment,
+    signedWebhook,
+    login,
+    loginAs,
+    waitFor,
+    deliveredEmails,
+    waitForEmail
+};
@@ -0,0 +1,205 @@
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createInstamojoSandbox } = require('../lib/instamojoSandbox');
+const { testLogger, loadApp, createPayment, login, waitFor, waitForEmail } = require('./helpers');
+
+// Live mode: the real Instamojo gateway code talks HTTP to the local sandbox
+// (lib/instamojoSandbox.js), and the sandbox posts its signed webhooks back to
+// the app. Both listen on free ports picked before either is configured.
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+describe('payments through the Instamojo sandbox (live mode)', () => {
+    const appServer = http.createServer();
+    const sandboxServer = http.createServer();
+    let sandbox;
+    // X-Request-Id of every call the app made to the sandbox, by path
+    const apiCalls = [];
+    let app;
+    let appUrl;
+    let mailDir;
+
+    before(async () => {
+        let sandboxUrl;
+        [appUrl, sandboxUrl] = await Promise.all([listen(appServer), listen(sandboxServer)]);
+
+        sandbox = createInstamojoSandbox({ baseUrl: sandboxUrl, webhookRetryDelayMs: 50, logger: testLogger });
+        sandboxServer.on('request', (req, res) => {
+            apiCalls.push({ path: req.url, requestId: req.headers['x-request-id'] || null });
+            sandbox.app(req, res);
+        });
+
+        ({ app, mailDir } = await loadApp({
+            TEST_MODE: 'false',
+            BASE_URL: appUrl,
+            INSTAMOJO_API_URL: `${sandboxUrl}/v2/`,
+            INSTAMOJO_API_KEY: sandbox.config.apiKey,
+            INSTAMOJO_AUTH_TOKEN: sandbox.config.authToken,
+            INSTAMOJO_SALT: sandbox.config.salt
+        }));
+        appServer.on('request', app);
+    });
+
+    after(() => {
+        appServer.close();
+        sandboxServer.close();
+    });
+
+    beforeEach(() => {
+        Object.assign(sandbox.config, { dropWebhooks: false, corruptMac: false, refundStatus: 'Pending', refundDelayMs: 0 });
+    });
+
+    async function status(orderId) {
+        const res = await request(app).get(`/api/payment-status/${orderId}`).expect(200);
+        return res.body.data;
+    }
+
+    function injectFailure(failure) {
+        return request(sandbox.app).post('/__sandbox/failures').send(failure).expect(201);
+    }
+
+    function webhooksFor(paymentRequestId) {
+        return sandbox.webhooks().filter(webhook => webhook.payload.payment_request_id === paymentRequestId);
+    }
+
+    it('creates the payment request with the catalogue price and buyer details', async () => {
+        const res = await createPayment(app, { packageId: 'premium', email: 'live@example.com' }).expect(201);
+        assert.equal(res.body.data.gateway, 'instamojo');
+        assert.equal(res.body.data.testMode, false);
+        assert.ok(res.body.data.longurl.endsWith(`/checkout/${res.body.data.paymentRequestId}`));
+
+        const created = sandbox.paymentRequests().find(entry => entry.id === res.body.data.paymentRequestId);
+        assert.equal(created.amount, '10000.00');
+        assert.equal(created.email, 'live@example.com');
+        assert.equal(created.webhook, `${appUrl}/api/webhooks/instamojo`);
+        assert.equal(created.redirect_url, `${appUrl}/payment-success`);
+    });
+
+    it('completes the order from the signed webhook after checkout', async () => {
+        const { body } = await createPayment(app, { email: 'checkout@example.com' }).expect(201);
+        const order = body.data;
+
+        // The applicant pays on the checkout page and is redirected back
+        const checkout = await request(sandbox.app).post(`/checkout/${order.paymentRequestId}`).type('form').send({ status: 'Credit' }).expect(302);
+        const redirect = new URL(checkout.headers.location);
+        assert.equal(redirect.searchParams.get('payment_request_id'), order.paymentRequestId);
+
+        await waitFor(() => webhooksFor(order.paymentRequestId).some(webhook => webhook.attempts.some(attempt => attempt.status === 200)));
+        const data = await status(order.orderId);
+        assert.equal(data.status, 'completed');
+        assert.equal(data.paymentId, redirect.searchParams.get('payment_id'));
+
+        const page = await request(app).get(redirect.pathname + redirect.search).expect(200);
+        assert.match(page.text, /Payment Successful/);
+        await waitForEmail(mailDir, 'checkout@example.com', /Payment Successful/);
+    });
+
+    it('passes the request id on to Instamojo', async () => {
+        const res = await createPayment(app).set('X-Request-Id', 'live-create-1').expect(201);
+        const call = apiCalls.find(entry => entry.path === '/v2/payment-requests/' && entry.requestId === 'live-create-1');
+        assert.ok(call, 'payment request call carries the request id');
+        assert.equal(res.headers['x-request-id'], 'live-create-1');
+    });
+
+    it('records Instamojo API latency by operation and result', async () => {
+        await createPayment(app).expect(201);
+        await injectFailure({ endpoint: 'create', status: 503 });
+        await createPayment(app).expect(500);
+
+        const { text } = await request(app).get('/metrics').expect(200);
+        assert.match(text, /zudio_gateway_request_duration_seconds_count\{gateway="instamojo",operation="create-payment-request",result="ok"\} [1-9]/);
+        assert.match(text, /zudio_gateway_request_duration_seconds_count\{gateway="instamojo",operation="create-payment-request",result="error"\} [1-9]/);
+    });
+
+    it('verifies the payment with the API when the webhook never arrives', async () => {
+        sandbox.config.dropWebhooks = true;
+        const { body } = await createPayment(app).expect(201);
+        const order = body.data;
+        const { payment } = sandbox.pay(order.paymentRequestId, 'Credit');
+
+        assert.equal((await status(order.orderId)).status, 'pending');
+        const page = await request(app)
+            .get(`/payment-success?payment_id=${payment.payment_id}&payment_status=Credit&payment_request_id=${order.paymentRequestId}`)
+            .expect(200);
+        assert.match(page.text, /Payment Successful/);
+        assert.equal((await status(order.orderId)).status, 'completed');
+    });
+
+    it('records a declined payment as failed', async () => {
+        sandbox.config.dropWebhooks = true;
+        const { body } = await createPayment(app).expect(201);
+        const { payment } = sandbox.pay(body.data.paymentRequestId, 'Failed');
+
+        await request(app)
+            .get(`/payment-success?payment_id=${payment.payment_id}&payment_status=Failed&payment_request_id=${body.data.paymentRequestId}`)
+            .expect(200);
+        assert.equal((await status(body.data.orderId)).status, 'failed');
+    });
+
+    it('rejects webhooks with a bad MAC and leaves the order pending', async () => {
+        sandbox.config.corruptMac = true;
+        const { body } = await createPayment(app).expect(201);
+        sandbox.pay(body.data.paymentRequestId, 'Credit');
+
+        // The sandbox retries twice, and every attempt is refused
+        const webhook = await waitFor(() => webhooksFor(body.data.paymentRequestId).find(entry => entry.attempts.length === 3));
+        assert.deepEqual(webhook.attempts.map(attempt => attempt.status), [400, 400, 400]);
+        assert.equal((await status(body.data.orderId)).status, 'pending');
+    });
+
+    it('explains API failures when creating a payment', async () => {
+        await injectFailure({ endpoint: 'create', status: 401 });
+        const unauthorized = await createPayment(app).expect(500);
+        assert.equal(unauthorized.body.error, 'Invalid Instamojo credentials. Check your API Key and Auth Token.');
+
+        await injectFailure({ endpoint: 'create', status: 503, message: 'Service unavailable' });
+        const unavailable = await createPayment(app).expect(500);
+        assert.equal(unavailable.body.error, 'Service unavailable');
+    });
+
+    it('refunds through the API and settles the refund from its webhook', async () => {
+        sandbox.config.refundDelayMs = null;
+        const { body } = await createPayment(app, { email: 'live-refund@example.com' }).expect(201);
+        const order = body.data;
+        sandbox.pay(order.paymentRequestId, 'Credit');
+        await waitFor(async () => (await status(order.orderId)).status === 'completed');
+
+        const token = await login(app);
+        const res = await request(app)
+            .post(`/api/admin/payments/${order.orderId}/refunds`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ amount: 1500, reason: 'TNR' })
+            .expect(201);
+        assert.equal(res.body.message, 'Refund requested');
+        assert.equal(res.body.data.refund.status, 'pending');
+        assert.equal(res.body.data.refundable, 3500);
+
+        const refund = sandbox.refunds().find(entry => entry.id === res.body.data.refund.gatewayRefundId);
+        assert.equal(refund.refund_amount, '1500.00');
+        assert.equal(refund.type, 'TNR');
+
+        sandbox.settleRefund(refund.id, 'Refunded');
+        await waitFor(async () => (await status(order.orderId)).status === 'partially-refunded');
+        assert.equal((await status(order.orderId)).refundedAmount, 1500);
+        await waitForEmail(mailDir, 'live-refund@example.com', /Refund Processed/);
+
+        // Gateway errors reach the admin as a 502 with the reason
+        await injectFailure({ endpoint: 'refund', status: 401 });
+        const failed = await request(app)
+            .post(`/api/admin/payments/${order.orderId}/refunds`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ amount: 100, reason: 'RFD' })
+            .expect(502);
+        assert.equal(failed.body.message, 'Refund failed: Invalid Instamojo credentials. Check your API Key and Auth Token.');
+    });
+
+    it('does not expose the test-mode simulator or mock webhooks', async () => {
+        await request(app).get('/test-payment?payment_request_id=x').expect(404);
+        await request(app).post('/api/webhooks/mock').send({}).expect(404);
+        await request(app).post('/api/confirm-payment').send({ orderId: 'x' }).expect(403);
+    });
+});
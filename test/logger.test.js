@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { createLogger, requestLogger, currentRequestId, runWithRequestId, redact } = require('../lib/logger');
+
+// Collects what a logger writes, one line per entry
+function capture(options = {}) {
+    const lines = [];
+    const stream = { write: line => lines.push(line.replace(/\n$/, '')) };
+    const logger = createLogger({ level: 'debug', ...options, stream });
+    return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+describe('logger', () => {
+    describe('redact', () => {
+        it('masks email addresses wherever they appear', () => {
+            assert.deepEqual(redact({
+                to: 'asha@example.com',
+                from: '"Zudio Franchise" <franchise@zudio.com>',
+                note: 'Forwarded to ravi.k@example.co.in today',
+                transport: 'none'
+            }), {
+                to: 'a***@example.com',
+                from: '"Zudio Franchise" <f***@zudio.com>',
+                note: 'Forwarded to r***@example.co.in today',
+                transport: 'none'
+            });
+        });
+
+        it('keeps the last four digits of phone numbers', () => {
+            assert.deepEqual(redact({ phone: '9876543210', buyer_phone: '+91 98765 43210', contact: 12 }), {
+                phone: '******3210',
+                buyer_phone: '******3210',
+                contact: '[REDACTED]'
+            });
+        });
+
+        it('removes secrets at any depth and from URLs', () => {
+            const redacted = redact({
+                headers: { 'X-Auth-Token': 'secret-token', Authorization: 'Bearer abc', 'Content-Type': 'application/json' },
+                payload: { mac: 'f00d', payment_id: 'MOJO_1' },
+                users: [{ username: 'root', passwordHash: 'hash' }],
+                url: '/api/admin/payments?token=abc.def&page=2'
+            });
+            assert.deepEqual(redacted, {
+                headers: { 'X-Auth-Token': '[REDACTED]', Authorization: '[REDACTED]', 'Content-Type': 'application/json' },
+                payload: { mac: '[REDACTED]', payment_id: 'MOJO_1' },
+                users: [{ username: 'root', passwordHash: '[REDACTED]' }],
+                url: '/api/admin/payments?token=[REDACTED]&page=2'
+            });
+        });
+
+        it('reduces errors to name, message, code and stack', () => {
+            const error = new Error('No payment for asha@example.com');
+            error.code = 'E_TEST';
+            error.config = { headers: { 'X-Auth-Token': 'secret-token' } };
+            const redacted = redact(error);
+            assert.deepEqual(Object.keys(redacted), ['name', 'message', 'code', 'stack']);
+            assert.equal(redacted.message, 'No payment for a***@example.com');
+            assert.doesNotMatch(JSON.stringify(redacted), /secret-token|asha@/);
+        });
+    });
+
+    describe('createLogger', () => {
+        it('writes one JSON object per line with level, message and fields', () => {
+            const { logger, entries } = capture();
+            logger.info('Payment request created', { orderId: 'ZUDIO_1', email: 'asha@example.com' });
+
+            const [entry] = entries();
+            assert.equal(entry.level, 'info');
+            assert.equal(entry.msg, 'Payment request created');
+            assert.equal(entry.orderId, 'ZUDIO_1');
+            assert.equal(entry.email, 'a***@example.com');
+            assert.ok(!Number.isNaN(Date.parse(entry.time)));
+        });
+
+        it('drops entries below the configured level', () => {
+            const { logger, entries } = capture({ level: 'warn' });
+            logger.debug('debug');
+            logger.info('info');
+            logger.warn('warn');
+            logger.error('error');
+            assert.deepEqual(entries().map(entry => entry.level), ['warn', 'error']);
+            assert.equal(logger.isLevelEnabled('info'), false);
+
+            const silent = capture({ level: 'silent' });
+            silent.logger.error('error');
+            assert.equal(silent.lines.length, 0);
+        });
+
+        it('adds child fields to every entry', () => {
+            const { logger, entries } = capture();
+            logger.child({ gateway: 'instamojo' }).info('Refund created', { gatewayRefundId: 'C1' });
+            assert.equal(entries()[0].gateway, 'instamojo');
+            assert.equal(entries()[0].gatewayRefundId, 'C1');
+        });
+
+        it('tags entries with the request id in context', async () => {
+            const { logger, entries } = capture();
+            await runWithRequestId('req-1', async () => {
+                await new Promise(resolve => setImmediate(resolve));
+                assert.equal(currentRequestId(), 'req-1');
+                logger.info('inside');
+            });
+            logger.info('outside');
+            assert.equal(entries()[0].requestId, 'req-1');
+            assert.equal(entries()[1].requestId, undefined);
+        });
+
+        it('writes a readable line in pretty format', () => {
+            const { logger, lines } = capture({ format: 'pretty' });
+            logger.warn('Webhook rejected', { reason: 'invalid-mac' });
+            assert.match(lines[0], /^\d{2}:\d{2}:\d{2}\.\d{3} .+ Webhook rejected {2}reason=invalid-mac$/);
+        });
+
+        it('rejects unknown levels and formats', () => {
+            assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+            assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format "xml"/);
+        });
+    });
+
+    describe('requestLogger', () => {
+        function appWith(logger) {
+            const app = express();
+            app.use(requestLogger(logger));
+            app.get('/orders/:id', async (req, res) => {
+                await new Promise(resolve => setImmediate(resolve));
+                logger.info('Looking up order');
+                res.json({ requestId: currentRequestId() });
+            });
+            app.get('/missing', (req, res) => res.status(404).end());
+            return app;
+        }
+
+        it('generates a request id, echoes it and logs the request without its query', async () => {
+            const { logger, entries } = capture();
+            const res = await request(appWith(logger)).get('/orders/1?token=abc').expect(200);
+            const requestId = res.headers['x-request-id'];
+            assert.match(requestId, /^[0-9a-f-]{36}$/);
+            assert.equal(res.body.requestId, requestId);
+
+            const [lookup, completed] = entries();
+            assert.equal(lookup.requestId, requestId);
+            assert.equal(completed.msg, 'Request completed');
+            assert.equal(completed.requestId, requestId);
+            assert.equal(completed.path, '/orders/1');
+            assert.equal(completed.status, 200);
+            assert.equal(typeof completed.durationMs, 'number');
+        });
+
+        it('keeps a well-formed incoming id and replaces anything else', async () => {
+            const { logger, entries } = capture();
+            const app = appWith(logger);
+
+            const kept = await request(app).get('/orders/1').set('X-Request-Id', 'lb-1234.abcd').expect(200);
+            assert.equal(kept.headers['x-request-id'], 'lb-1234.abcd');
+
+            const replaced = await request(app).get('/orders/1').set('X-Request-Id', 'bad id\twith spaces').expect(200);
+            assert.match(replaced.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+            await request(app).get('/missing').expect(404);
+            assert.equal(entries().at(-1).level, 'warn');
+        });
+
+        it('logs successful requests to quiet paths at debug', async () => {
+            const { logger, entries } = capture();
+            const app = express();
+            app.use(requestLogger(logger, { quietPaths: ['/metrics'] }));
+            app.get('/metrics', (req, res) => res.send('ok'));
+
+            await request(app).get('/metrics').expect(200);
+            assert.equal(entries()[0].level, 'debug');
+        });
+    });
+});
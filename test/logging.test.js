@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp, createPayment, signedWebhook, login, waitFor, waitForEmail } = require('./helpers');
+
+// The app's structured log, written as JSON lines to LOG_FILE
+describe('request logging', () => {
+    const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'zudio-log-')), 'app.log');
+    let app;
+    let mailDir;
+
+    before(async () => {
+        ({ app, mailDir } = await loadApp({ LOG_LEVEL: 'info', LOG_FORMAT: 'json', LOG_FILE: logFile }));
+    });
+
+    function logEntries() {
+        return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    function waitForEntry(match) {
+        return waitFor(() => fs.existsSync(logFile) && logEntries().find(match));
+    }
+
+    it('ties the payment request, its webhook and its emails together by request id', async () => {
+        const created = await createPayment(app, { email: 'traced@example.com', phone: '9123456780' })
+            .set('X-Request-Id', 'checkout-42')
+            .expect(201);
+        assert.equal(created.headers['x-request-id'], 'checkout-42');
+        const order = created.body.data;
+
+        const token = await login(app);
+        const stored = await request(app).get(`/api/admin/payments/${order.orderId}`).set('Authorization', `Bearer ${token}`).expect(200);
+        assert.equal(stored.body.data.requestId, 'checkout-42');
+
+        const createdEntry = await waitForEntry(entry => entry.msg === 'Payment request created' && entry.orderId === order.orderId);
+        assert.equal(createdEntry.requestId, 'checkout-42');
+
+        // The paymentLink email carries the id of the request that queued it
+        const email = await waitForEmail(mailDir, 'traced@example.com', /Complete Your Zudio Franchise Payment/);
+        assert.equal(email.headers['X-Request-Id'], 'checkout-42');
+        await waitForEntry(entry => entry.msg === 'Email sent' && entry.requestId === 'checkout-42');
+
+        // The webhook gets its own id; the completion entry points back to the order's
+        const webhook = await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { paymentId: 'MOJO_TRACE_1' })).expect(200);
+        const webhookRequestId = webhook.headers['x-request-id'];
+        assert.notEqual(webhookRequestId, 'checkout-42');
+
+        const completed = await waitForEntry(entry => entry.msg === 'Payment marked as completed' && entry.orderId === order.orderId);
+        assert.equal(completed.requestId, webhookRequestId);
+        assert.equal(completed.orderRequestId, 'checkout-42');
+
+        const events = await request(app).get(`/api/admin/webhooks?orderId=${order.orderId}`).set('Authorization', `Bearer ${token}`).expect(200);
+        assert.equal(events.body.data[0].requestId, webhookRequestId);
+    });
+
+    it('logs each request with its status and no customer details or secrets', async () => {
+        await createPayment(app, { email: 'private@example.com', phone: '9000011111' }).expect(201);
+        await request(app).post('/api/admin/login').send({ username: 'root', password: 'not-the-password' }).expect(401);
+
+        const rejected = await waitForEntry(entry => entry.msg === 'Request rejected' && entry.path === '/api/admin/login');
+        assert.equal(rejected.level, 'warn');
+        assert.equal(rejected.status, 401);
+        await waitForEntry(entry => entry.msg === 'Email queued' && entry.to === 'p***@example.com');
+
+        const log = fs.readFileSync(logFile, 'utf8');
+        assert.doesNotMatch(log, /private@example\.com|traced@example\.com/);
+        assert.doesNotMatch(log, /9000011111|9123456780/);
+        assert.doesNotMatch(log, /not-the-password|root-password/);
+        assert.doesNotMatch(log, /"mac":"[0-9a-f]{40}"/);
+    });
+});
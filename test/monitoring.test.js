@@ -0,0 +1,120 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createHealthChecks } = require('../lib/health');
+const { loadApp, createPayment, signedWebhook, waitForEmail } = require('./helpers');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('health checks', () => {
+    const up = { probe: async () => ({ detail: 'fine' }) };
+    const down = critical => ({ probe: async () => { throw new Error('connection refused'); }, critical });
+
+    it('is ready when every check passes and skips unconfigured ones', async () => {
+        const result = await createHealthChecks({ checks: { storage: { ...up, critical: true }, email: null } }).run();
+        assert.equal(result.status, 'ready');
+        assert.equal(result.checks.storage.status, 'up');
+        assert.equal(result.checks.storage.detail, 'fine');
+        assert.equal(result.checks.email.status, 'skipped');
+    });
+
+    it('is degraded by a failing optional check and not ready with a failing critical one', async () => {
+        const degraded = await createHealthChecks({ checks: { storage: { ...up, critical: true }, email: down(false) } }).run();
+        assert.equal(degraded.status, 'degraded');
+        assert.equal(degraded.checks.email.error, 'connection refused');
+
+        const notReady = await createHealthChecks({ checks: { storage: down(true), email: up } }).run();
+        assert.equal(notReady.status, 'not-ready');
+    });
+
+    it('fails checks that take too long and reports each result', async () => {
+        const reported = [];
+        const slow = { probe: () => new Promise(resolve => setTimeout(resolve, 1000)), critical: true };
+        const result = await createHealthChecks({
+            checks: { storage: slow },
+            timeoutMs: 20,
+            onResult: (name, isUp) => reported.push([name, isUp])
+        }).run();
+        assert.equal(result.status, 'not-ready');
+        assert.match(result.checks.storage.error, /Timed out after 20ms/);
+        assert.deepEqual(reported, [['storage', false]]);
+    });
+
+    it('reuses a recent result for cached checks', async () => {
+        let calls = 0;
+        const checks = createHealthChecks({ checks: { email: { probe: async () => { calls += 1; }, cacheMs: 60000 } } });
+        await checks.run();
+        const second = await checks.run();
+        assert.equal(calls, 1);
+        assert.equal(second.checks.email.cached, true);
+    });
+});
+
+describe('monitoring endpoints', () => {
+    let app;
+    let mailDir;
+
+    before(async () => {
+        ({ app, mailDir } = await loadApp({ METRICS_TOKEN }));
+    });
+
+    function scrape() {
+        return request(app).get('/metrics').set('Authorization', `Bearer ${METRICS_TOKEN}`).expect(200);
+    }
+
+    it('reports liveness without probing anything', async () => {
+        const res = await request(app).get('/health/live').expect(200);
+        assert.equal(res.body.status, 'alive');
+        assert.equal(typeof res.body.uptimeSeconds, 'number');
+    });
+
+    it('reports readiness from the storage and email probes', async () => {
+        const res = await request(app).get('/health/ready').set('Authorization', `Bearer ${METRICS_TOKEN}`).expect(200);
+        assert.equal(res.body.status, 'ready');
+        assert.equal(res.body.checks.storage.status, 'up');
+        assert.equal(res.body.checks.storage.driver, 'memory');
+        assert.equal(res.body.checks.email.status, 'up');
+        assert.equal(res.body.checks.email.transport, 'file');
+    });
+
+    it('shows only up or down per check without the metrics token', async () => {
+        const res = await request(app).get('/health/ready').expect(200);
+        assert.equal(res.body.status, 'ready');
+        assert.deepEqual(res.body.checks, { storage: { status: 'up' }, email: { status: 'up' } });
+    });
+
+    it('requires the metrics token when one is configured', async () => {
+        await request(app).get('/metrics').expect(401);
+        await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+        const res = await scrape();
+        assert.match(res.headers['content-type'], /^text\/plain/);
+        assert.match(res.text, /zudio_process_cpu_seconds_total/);
+    });
+
+    it('counts payments, webhooks and emails', async () => {
+        const { body } = await createPayment(app, { email: 'metrics@example.com' }).expect(201);
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { paymentId: 'MOJO_METRICS_1' })).expect(200);
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { paymentId: 'MOJO_METRICS_1' })).expect(200);
+        await request(app).post('/api/webhooks/mock').send({ payment_request_id: 'x', status: 'Credit' }).expect(400);
+        await waitForEmail(mailDir, 'metrics@example.com', /Payment Successful/);
+
+        const { text } = await scrape();
+        assert.match(text, /zudio_payments_total\{event="created",package="basic",gateway="mock"\} 1/);
+        assert.match(text, /zudio_payments_total\{event="completed",package="basic",gateway="mock"\} 1/);
+        assert.match(text, /zudio_webhooks_total\{gateway="mock",outcome="processed"\} 1/);
+        assert.match(text, /zudio_webhooks_total\{gateway="mock",outcome="duplicate"\} 1/);
+        assert.match(text, /zudio_webhooks_total\{gateway="mock",outcome="rejected"\} 1/);
+        assert.match(text, /zudio_email_deliveries_total\{template="paymentSuccess",result="sent"\} 1/);
+        assert.match(text, /zudio_health_check_up\{check="storage"\} 1/);
+    });
+
+    it('labels request latency with route patterns, not raw URLs', async () => {
+        await request(app).get('/api/payment-status/ZUDIO_missing_1').expect(404);
+        await request(app).get('/no-such-page-123').expect(404);
+
+        const { text } = await scrape();
+        assert.match(text, /zudio_http_request_duration_seconds_count\{method="GET",route="\/api\/payment-status\/:orderId",status="404"\} 1/);
+        assert.match(text, /zudio_http_request_duration_seconds_count\{method="GET",route="other",status="404"\}/);
+        assert.doesNotMatch(text, /ZUDIO_missing_1|no-such-page-123/);
+    });
+});
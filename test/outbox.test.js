@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { EMAIL_STATUS, createEmailOutbox, describeAttachments } = require('../lib/email/outbox');
+const { testLogger } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PDF = Buffer.from('%PDF-1.4 invoice').toString('base64');
+
+describe('email outbox', () => {
+    let store;
+    let sent;
+    let loaded;
+
+    beforeEach(async () => {
+        const storage = await createStorage({ driver: 'memory', logger: testLogger }).init();
+        store = storage.collection('emailOutbox', { indexes: ['status'] });
+        sent = [];
+        loaded = [];
+    });
+
+    function createOutbox(options = {}) {
+        return createEmailOutbox({
+            store,
+            transport: { name: 'stub', send: async mail => { sent.push(mail); return { messageId: `stub-${sent.length}` }; } },
+            from: 'franchise@zudio.com',
+            maxAttempts: 1,
+            retentionMs: 30 * DAY_MS,
+            loadAttachment: async attachment => {
+                loaded.push(attachment.source);
+                return attachment.source.orderId === 'ZUDIO_GONE' ? null : PDF;
+            },
+            logger: testLogger,
+            ...options
+        });
+    }
+
+    function enqueueInvoiceEmail(outbox, orderId = 'ZUDIO_1') {
+        return outbox.enqueue({
+            to: 'asha@example.com',
+            subject: 'Payment Successful',
+            html: '<p>Paid</p>',
+            text: 'Paid',
+            template: 'paymentSuccess',
+            attachments: [{ filename: 'invoice.pdf', contentType: 'application/pdf', content: PDF, source: { type: 'invoice', orderId } }]
+        });
+    }
+
+    it('keeps only the name and size of attachments once delivered', async () => {
+        const outbox = createOutbox();
+        const { id } = await enqueueInvoiceEmail(outbox);
+        await outbox.processDue();
+
+        assert.equal(sent[0].attachments[0].content, PDF);
+        const stored = await store.get(id);
+        assert.equal(stored.status, EMAIL_STATUS.SENT);
+        assert.deepEqual(stored.attachments, [{
+            filename: 'invoice.pdf',
+            contentType: 'application/pdf',
+            size: Buffer.byteLength(PDF, 'base64'),
+            source: { type: 'invoice', orderId: 'ZUDIO_1' }
+        }]);
+        assert.deepEqual(describeAttachments(stored.attachments), [{ filename: 'invoice.pdf', contentType: 'application/pdf', size: 16 }]);
+    });
+
+    it('rebuilds dropped attachments when a delivered email is resent', async () => {
+        const outbox = createOutbox();
+        const { id } = await enqueueInvoiceEmail(outbox);
+        await outbox.processDue();
+        assert.deepEqual(loaded, []);
+
+        await outbox.resend(id, 'admin');
+        await outbox.processDue();
+        assert.deepEqual(loaded, [{ type: 'invoice', orderId: 'ZUDIO_1' }]);
+        assert.equal(sent[1].attachments[0].content, PDF);
+        assert.equal((await store.get(id)).attachments[0].content, undefined);
+    });
+
+    it('fails the resend when an attachment can no longer be rebuilt', async () => {
+        const outbox = createOutbox();
+        const { id } = await enqueueInvoiceEmail(outbox, 'ZUDIO_GONE');
+        await outbox.processDue();
+
+        await outbox.resend(id, 'admin');
+        await outbox.processDue();
+        const stored = await store.get(id);
+        assert.equal(stored.status, EMAIL_STATUS.FAILED);
+        assert.equal(stored.lastError, 'Attachment invoice.pdf is no longer available');
+        assert.equal(sent.length, 1);
+    });
+
+    it('drops the bodies of delivered emails after the retention period but keeps the record', async () => {
+        const outbox = createOutbox({ transport: { name: 'down', send: async () => { throw new Error('SMTP down'); } } });
+        const failed = await enqueueInvoiceEmail(outbox, 'ZUDIO_FAILED');
+        await outbox.processDue();
+
+        const delivering = createOutbox();
+        const old = await enqueueInvoiceEmail(delivering, 'ZUDIO_OLD');
+        const recent = await enqueueInvoiceEmail(delivering, 'ZUDIO_RECENT');
+        await delivering.processDue();
+        await store.update(old.id, { sentAt: new Date(Date.now() - 31 * DAY_MS).toISOString() });
+
+        assert.equal(await delivering.prune(), 1);
+        const pruned = await store.get(old.id);
+        assert.equal(pruned.status, EMAIL_STATUS.SENT);
+        assert.equal(pruned.html, null);
+        assert.equal(pruned.text, null);
+        assert.equal(pruned.subject, 'Payment Successful');
+        assert.ok(pruned.contentPrunedAt);
+        assert.deepEqual(pruned.log.map(entry => entry.event), ['queued', 'sent', 'content-pruned']);
+        assert.equal((await store.get(recent.id)).html, '<p>Paid</p>');
+        // Failed emails wait for an admin to resend them
+        assert.equal((await store.get(failed.id)).html, '<p>Paid</p>');
+        // Already pruned emails are left alone
+        assert.equal(await delivering.prune(), 0);
+    });
+});
@@ -0,0 +1,332 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+    ADMIN_EMAIL,
+    loadApp,
+    createPayment,
+    signedWebhook,
+    login,
+    waitForEmail
+} = require('./helpers');
+
+describe('payments (test mode)', () => {
+    let app;
+    let mailDir;
+
+    before(async () => {
+        ({ app, mailDir } = await loadApp());
+    });
+
+    // A fresh pending order ({ orderId, paymentRequestId, amount, longurl, ... })
+    async function pendingOrder(overrides) {
+        const res = await createPayment(app, overrides).expect(201);
+        return res.body.data;
+    }
+
+    async function status(orderId) {
+        const res = await request(app).get(`/api/payment-status/${orderId}`).expect(200);
+        return res.body.data;
+    }
+
+    describe('POST /api/create-payment', () => {
+        it('lists every invalid field', async () => {
+            const res = await request(app)
+                .post('/api/create-payment')
+                .send({ customerData: { name: 'A', email: 'not-an-email', phone: '12345', state: 'Atlantis' } })
+                .expect(400);
+            assert.equal(res.body.success, false);
+            assert.deepEqual(Object.keys(res.body.errors).sort(), ['city', 'email', 'name', 'packageId', 'phone', 'state']);
+        });
+
+        it('rejects unknown and inactive packages', async () => {
+            const unknown = await createPayment(app, { packageId: 'platinum' }).expect(400);
+            assert.equal(unknown.body.errors.packageId, 'Unknown or unavailable registration package');
+
+            const token = await login(app);
+            await request(app)
+                .post('/api/admin/packages')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ id: 'retired', name: 'Retired Plan', price: 1000, active: false })
+                .expect(201);
+            const inactive = await createPayment(app, { packageId: 'retired' }).expect(400);
+            assert.equal(inactive.body.errors.packageId, 'Unknown or unavailable registration package');
+        });
+
+        it('prices the order from the catalogue and links the mock checkout', async () => {
+            const res = await request(app)
+                .post('/api/create-payment')
+                .send({ packageId: 'premium', amount: 1, customerData: { name: 'Ravi Kumar', email: 'ravi@example.com', phone: '9876543211', city: 'Delhi' } })
+                .expect(201);
+
+            const order = res.body.data;
+            assert.equal(order.amount, 10000);
+            assert.equal(order.status, 'pending');
+            assert.equal(order.gateway, 'mock');
+            assert.equal(order.testMode, true);
+            assert.match(order.orderId, /^ZUDIO_/);
+            assert.match(order.longurl, /\/test-payment\?payment_id=TEST_PAY_\w+&payment_request_id=TEST_\w+/);
+
+            await waitForEmail(mailDir, 'ravi@example.com', /Complete Your Zudio Franchise Payment/);
+            await waitForEmail(mailDir, ADMIN_EMAIL, /New Payment Request/);
+        });
+    });
+
+    describe('GET /api/payment-status/:orderId', () => {
+        it('returns 404 for unknown orders', async () => {
+            const res = await request(app).get('/api/payment-status/ZUDIO_missing').expect(404);
+            assert.equal(res.body.message, 'Payment not found');
+        });
+
+        it('returns the status and its history', async () => {
+            const order = await pendingOrder();
+            const data = await status(order.orderId);
+            assert.equal(data.status, 'pending');
+            assert.equal(data.amount, 5000);
+            assert.equal(data.paymentId, null);
+            assert.equal(data.statusHistory.length, 1);
+            assert.equal(data.statusHistory[0].to, 'pending');
+        });
+    });
+
+    describe('POST /api/webhooks/:gateway', () => {
+        it('rejects webhooks without a valid MAC and logs them', async () => {
+            const order = await pendingOrder();
+
+            const { mac, ...unsigned } = signedWebhook(order);
+            assert.ok(mac);
+            await request(app).post('/api/webhooks/mock').send(unsigned).expect(400);
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { salt: 'wrong-salt' })).expect(400);
+
+            // Changing any field after signing breaks the MAC
+            await request(app).post('/api/webhooks/mock').send({ ...signedWebhook(order), amount: '1.00' }).expect(400);
+
+            assert.equal((await status(order.orderId)).status, 'pending');
+
+            const token = await login(app);
+            const events = await request(app)
+                .get('/api/admin/webhooks?outcome=rejected')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+            const reasons = events.body.data.map(event => event.message).sort();
+            assert.ok(reasons.includes('missing-mac'));
+            assert.ok(reasons.includes('invalid-mac'));
+        });
+
+        it('logs rejected webhooks without their payload and refuses large bodies', async () => {
+            const junk = { payment_request_id: 'x'.repeat(500), filler: 'y'.repeat(20000) };
+            await request(app).post('/api/webhook').type('form').send(junk).expect(400);
+            await request(app).post('/api/webhooks/mock').send({ filler: 'z'.repeat(200 * 1024) }).expect(413);
+
+            const token = await login(app);
+            const list = await request(app)
+                .get('/api/admin/webhooks?outcome=rejected')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+            const logged = list.body.data.find(event => event.payloadSize > 20000);
+            assert.equal(logged.payload, undefined);
+            assert.equal(logged.paymentRequestId.length, 100);
+            assert.equal(logged.payloadPreview.length, 300);
+            assert.match(logged.payloadSha256, /^[0-9a-f]{64}$/);
+            assert.ok(list.body.data.every(event => event.payloadSize < 200 * 1024));
+        });
+
+        it('completes the order on Credit, issues the invoice and ignores repeats', async () => {
+            const order = await pendingOrder({ email: 'credit@example.com' });
+            const webhook = signedWebhook(order, { paymentId: 'MOJO_CREDIT_1' });
+
+            await request(app).post('/api/webhooks/mock').send(webhook).expect(200);
+
+            const data = await status(order.orderId);
+            assert.equal(data.status, 'completed');
+            assert.equal(data.paymentId, 'MOJO_CREDIT_1');
+            assert.ok(data.completedAt);
+
+            const email = await waitForEmail(mailDir, 'credit@example.com', /Payment Successful/);
+            assert.equal(email.attachments.length, 1);
+            assert.match(email.attachments[0].filename, /\.pdf$/);
+            await waitForEmail(mailDir, ADMIN_EMAIL, /Payment Completed/);
+
+            // Instamojo retries until it gets a 200; the repeat is acknowledged and ignored
+            await request(app).post('/api/webhooks/mock').send(webhook).expect(200);
+            const token = await login(app);
+            const events = await request(app)
+                .get(`/api/admin/webhooks?orderId=${order.orderId}`)
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+            assert.deepEqual(events.body.data.map(event => event.outcome).sort(), ['duplicate', 'processed']);
+            assert.equal((await status(order.orderId)).statusHistory.length, 2);
+        });
+
+        it('fails the order on Failed and does not let a late Failed undo a payment', async () => {
+            const failed = await pendingOrder();
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(failed, { status: 'Failed', paymentId: 'MOJO_FAIL_1' })).expect(200);
+            assert.equal((await status(failed.orderId)).status, 'failed');
+
+            const paid = await pendingOrder();
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(paid, { paymentId: 'MOJO_PAID_2' })).expect(200);
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(paid, { status: 'Failed', paymentId: 'MOJO_PAID_2' })).expect(200);
+            assert.equal((await status(paid.orderId)).status, 'completed');
+        });
+
+        it('accepts webhooks for unknown payment requests without changing anything', async () => {
+            const webhook = signedWebhook({ amount: 5000, paymentRequestId: 'TEST_unknown' });
+            await request(app).post('/api/webhooks/mock').send(webhook).expect(200);
+        });
+
+        it('keeps the legacy /api/webhook URL and 404s for gateways that are not enabled', async () => {
+            const order = await pendingOrder();
+            await request(app).post('/api/webhook').send(signedWebhook(order, { paymentId: 'MOJO_LEGACY_1' })).expect(200);
+            assert.equal((await status(order.orderId)).status, 'completed');
+
+            await request(app).post('/api/webhooks/razorpay').send({}).expect(404);
+            await request(app).post('/api/webhooks/instamojo').send({}).expect(404);
+        });
+    });
+
+    describe('POST /api/confirm-payment', () => {
+        it('validates the order id', async () => {
+            const missing = await request(app).post('/api/confirm-payment').send({}).expect(400);
+            assert.equal(missing.body.errors.orderId, 'Order ID is required');
+            await request(app).post('/api/confirm-payment').send({ orderId: 'ZUDIO_missing' }).expect(404);
+        });
+
+        it('completes a pending test order once', async () => {
+            const order = await pendingOrder();
+            const res = await request(app).post('/api/confirm-payment').send({ orderId: order.orderId }).expect(200);
+            assert.equal(res.body.data.status, 'completed');
+            assert.match(res.body.data.paymentId, /^TEST_PAY_/);
+
+            const again = await request(app).post('/api/confirm-payment').send({ orderId: order.orderId }).expect(409);
+            assert.equal(again.body.message, 'Payment is already completed');
+        });
+    });
+
+    describe('GET /test-payment', () => {
+        it('renders the simulator with signed webhooks for the order', async () => {
+            const order = await pendingOrder();
+            const checkout = new URL(order.longurl);
+            const res = await request(app).get(checkout.pathname + checkout.search).expect(200);
+            assert.match(res.text, /Test Payment Gateway/);
+            assert.match(res.text, /Simulate Successful Payment/);
+            assert.ok(res.text.includes(order.paymentRequestId));
+            assert.match(res.text, /"mac":"[0-9a-f]{40}"/);
+        });
+
+        it('returns 404 for unknown payment requests', async () => {
+            await request(app).get('/test-payment?payment_id=TEST_PAY_x&payment_request_id=TEST_unknown').expect(404);
+        });
+
+        it('escapes the query values it shows', async () => {
+            const order = await pendingOrder();
+            const query = new URLSearchParams({
+                payment_id: '<img src=x onerror=alert(1)>',
+                payment_request_id: order.paymentRequestId,
+                amount: '"><script>alert(1)</script>',
+                buyer_name: '%'
+            });
+            const res = await request(app).get(`/test-payment?${query}`).expect(200);
+            assert.ok(res.text.includes('&lt;img src=x onerror=alert(1)&gt;'));
+            assert.ok(res.text.includes('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+            assert.match(res.text, /<strong>Buyer:<\/strong> %<\/p>/);
+            assert.doesNotMatch(res.text, /<img src=x|<script>alert/);
+        });
+    });
+
+    describe('GET /payment-success', () => {
+        it('shows a not-found page for unknown payment requests', async () => {
+            const res = await request(app).get('/payment-success?payment_id=X&payment_request_id=TEST_unknown').expect(404);
+            assert.match(res.headers['content-type'], /html/);
+        });
+
+        it('escapes the payment ids it shows', async () => {
+            const markup = '<script>alert(1)</script>';
+            const unknown = await request(app)
+                .get(`/payment-success?${new URLSearchParams({ payment_id: markup, payment_request_id: markup })}`)
+                .expect(404);
+            assert.ok(unknown.text.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+            assert.doesNotMatch(unknown.text, /<script>alert/);
+
+            const order = await pendingOrder();
+            const pending = await request(app)
+                .get(`/payment-success?${new URLSearchParams({ payment_id: markup, payment_request_id: order.paymentRequestId })}`)
+                .expect(200);
+            assert.doesNotMatch(pending.text, /<script>alert/);
+        });
+
+        it('shows pending until the webhook arrives and success after', async () => {
+            const order = await pendingOrder();
+            const paymentId = new URL(order.longurl).searchParams.get('payment_id');
+            const url = `/payment-success?payment_id=${paymentId}&payment_request_id=${order.paymentRequestId}&payment_status=Credit`;
+
+            // The query string says Credit, but nothing has confirmed it yet
+            const pending = await request(app).get(url).expect(200);
+            assert.doesNotMatch(pending.text, /Payment Successful/);
+            assert.equal((await status(order.orderId)).status, 'pending');
+
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { paymentId })).expect(200);
+            const success = await request(app).get(url).expect(200);
+            assert.match(success.text, /Payment Successful/);
+            assert.ok(success.text.includes(order.orderId));
+        });
+
+        it('shows the failure page after a failed payment', async () => {
+            const order = await pendingOrder();
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { status: 'Failed', paymentId: 'MOJO_FAIL_2' })).expect(200);
+            const res = await request(app)
+                .get(`/payment-success?payment_id=MOJO_FAIL_2&payment_request_id=${order.paymentRequestId}&payment_status=Failed`)
+                .expect(200);
+            assert.match(res.text, /Payment Failed/);
+        });
+    });
+
+    describe('GET /api/orders/:orderId/invoice', () => {
+        it('needs the emailed token or a finance admin', async () => {
+            const order = await pendingOrder();
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { paymentId: 'MOJO_INV_1' })).expect(200);
+
+            await request(app).get(`/api/orders/${order.orderId}/invoice`).expect(401);
+            await request(app).get(`/api/orders/${order.orderId}/invoice?token=forged`).expect(401);
+
+            const token = await login(app);
+            const pdf = await request(app)
+                .get(`/api/orders/${order.orderId}/invoice`)
+                .set('Authorization', `Bearer ${token}`)
+                .buffer(true)
+                .parse((res, done) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => done(null, Buffer.concat(chunks)));
+                })
+                .expect(200);
+            assert.equal(pdf.headers['content-type'], 'application/pdf');
+            assert.equal(pdf.body.subarray(0, 4).toString(), '%PDF');
+
+            const json = await request(app)
+                .get(`/api/orders/${order.orderId}/invoice?format=json`)
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+            assert.match(json.body.data.invoiceNumber, /^TEST-ZF\/\d{4}-\d{2}\/\d{5}$/);
+            // Seller and buyer are both in Maharashtra, so the GST splits into CGST + SGST
+            assert.equal(json.body.data.tax.supplyType, 'intra-state');
+            assert.equal(json.body.data.tax.cgst.amount + json.body.data.tax.sgst.amount, json.body.data.tax.totalTax);
+        });
+
+        it('works with the link from the payment-success email', async () => {
+            const order = await pendingOrder({ email: 'invoice-link@example.com' });
+            await request(app).post('/api/webhooks/mock').send(signedWebhook(order, { paymentId: 'MOJO_INV_2' })).expect(200);
+
+            const email = await waitForEmail(mailDir, 'invoice-link@example.com', /Payment Successful/);
+            const link = email.html.match(/http:\/\/localhost:3000(\/api\/orders\/[^"]+\/invoice\?token=[^"]+)/);
+            assert.ok(link, 'invoice link in the email');
+            await request(app).get(link[1].replace(/&amp;/g, '&')).expect(200);
+        });
+
+        it('returns 409 while the order is unpaid and 404 for unknown orders', async () => {
+            const order = await pendingOrder();
+            const token = await login(app);
+            await request(app).get(`/api/orders/${order.orderId}/invoice`).set('Authorization', `Bearer ${token}`).expect(409);
+            await request(app).get('/api/orders/ZUDIO_missing/invoice').set('Authorization', `Bearer ${token}`).expect(404);
+        });
+    });
+});
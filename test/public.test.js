@@ -0,0 +1,55 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { loadApp } = require('./helpers');
+
+describe('public pages', () => {
+    let app;
+
+    before(async () => {
+        ({ app } = await loadApp());
+    });
+
+    it('reports health with the payment and storage setup', async () => {
+        const res = await request(app).get('/health').expect(200);
+        assert.equal(res.body.status, 'healthy');
+        assert.deepEqual(res.body.payments, { testMode: true, defaultGateway: 'mock', gateways: ['mock'] });
+        assert.equal(res.body.storage.driver, 'memory');
+        assert.equal(res.body.email.transport, 'file');
+    });
+
+    it('serves the landing page and the admin dashboard', async () => {
+        const home = await request(app).get('/').expect(200);
+        assert.match(home.headers['content-type'], /html/);
+        assert.match(home.text, /Zudio/);
+
+        const admin = await request(app).get('/admin').expect(200);
+        assert.match(admin.headers['content-type'], /html/);
+    });
+
+    it('lists the active packages', async () => {
+        const res = await request(app).get('/api/packages').expect(200);
+        assert.equal(res.body.success, true);
+        assert.deepEqual(res.body.data.map(pkg => pkg.id), ['basic', 'premium', 'express']);
+        assert.equal(res.body.data[0].price, 5000);
+    });
+
+    it('never serves the storage directory', async () => {
+        await request(app).get('/data/zudio.json').expect(404);
+    });
+
+    it('answers unknown endpoints with a JSON 404', async () => {
+        const res = await request(app).get('/api/nope').expect(404);
+        assert.deepEqual(res.body, { success: false, message: 'Endpoint not found', path: '/api/nope' });
+    });
+
+    it('rejects malformed JSON bodies with a validation error', async () => {
+        const res = await request(app)
+            .post('/api/create-payment')
+            .set('Content-Type', 'application/json')
+            .send('{"packageId":')
+            .expect(400);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.errors.body, 'Request body must be valid JSON');
+    });
+});
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createRazorpayGateway, parseWebhookPayload, parseRedirectQuery } = require('../lib/gateways/razorpay');
+const { testLogger, loadApp, createPayment } = require('./helpers');
+
+// The Razorpay gateway talks HTTP to a stub of the Payment Links API, the way
+// the Instamojo tests use the local sandbox. Webhooks are signed here with the
+// same HMAC-SHA256 over the raw body that Razorpay sends.
+
+const KEYS = { keyId: 'rzp_test_key', keySecret: 'rzp-test-secret', webhookSecret: 'rzp-webhook-secret' };
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function sign(rawBody, secret = KEYS.webhookSecret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function linkEvent(event, { linkId = 'plink_TEST1', linkStatus = 'paid', paymentId = 'pay_TEST1', amount = 500000 } = {}) {
+    return {
+        event,
+        payload: {
+            payment_link: { entity: { id: linkId, status: linkStatus, amount_paid: linkStatus === 'paid' ? amount : 0 } },
+            payment: { entity: { id: paymentId, amount, status: linkStatus === 'paid' ? 'captured' : 'failed' } }
+        }
+    };
+}
+
+function refundEvent(event, { refundId = 'rfnd_TEST1', paymentId = 'pay_TEST1', status = 'processed' } = {}) {
+    return {
+        event,
+        payload: { refund: { entity: { id: refundId, payment_id: paymentId, amount: 100000, status } } }
+    };
+}
+
+// Stub of the few Razorpay endpoints the gateway calls; every call is recorded
+function createRazorpayStub() {
+    const calls = [];
+    const links = new Map();
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        calls.push({ method: req.method, path: req.path, body: req.body, authorization: req.headers.authorization });
+        next();
+    });
+
+    app.post('/v1/payment_links', (req, res) => {
+        const id = `plink_${links.size + 1}`;
+        links.set(id, { id, amount: req.body.amount, status: 'created', amount_paid: 0, payments: [] });
+        res.json({ id, short_url: `https://rzp.io/i/${id}` });
+    });
+
+    app.get('/v1/payment_links/:id', (req, res) => {
+        const link = links.get(req.params.id);
+        return link ? res.json(link) : res.status(404).json({ error: { description: 'The id provided does not exist' } });
+    });
+
+    app.post('/v1/payments/:id/refund', (req, res) => {
+        if (req.params.id === 'pay_REVOKED') {
+            return res.status(401).json({ error: { description: 'The api key provided is invalid' } });
+        }
+        res.json({ id: 'rfnd_1', payment_id: req.params.id, amount: req.body.amount, status: 'processed' });
+    });
+
+    // Marks a link paid, with a failed attempt before the captured payment
+    function pay(linkId, paymentId) {
+        const link = links.get(linkId);
+        Object.assign(link, {
+            status: 'paid',
+            amount_paid: link.amount,
+            payments: [
+                { payment_id: 'pay_DECLINED', status: 'failed', amount: link.amount },
+                { payment_id: paymentId, status: 'captured', amount: link.amount }
+            ]
+        });
+    }
+
+    return { app, calls, pay };
+}
+
+describe('Razorpay webhooks', () => {
+    const gateway = createRazorpayGateway(KEYS, testLogger);
+
+    function webhookRequest(rawBody, signature) {
+        return { headers: signature === undefined ? {} : { 'x-razorpay-signature': signature }, rawBody: Buffer.from(rawBody) };
+    }
+
+    it('accepts a body signed with the webhook secret', () => {
+        const rawBody = JSON.stringify(linkEvent('payment_link.paid'));
+        assert.deepEqual(gateway.verifyWebhook(webhookRequest(rawBody, sign(rawBody))), { valid: true, reason: null });
+        assert.equal(gateway.verifyWebhook(webhookRequest(rawBody, sign(rawBody).toUpperCase())).valid, true);
+    });
+
+    it('rejects tampered bodies, wrong secrets and missing signatures', () => {
+        const rawBody = JSON.stringify(linkEvent('payment_link.paid'));
+        const tampered = rawBody.replace('500000', '100');
+        assert.equal(gateway.verifyWebhook(webhookRequest(tampered, sign(rawBody))).reason, 'invalid-signature');
+        assert.equal(gateway.verifyWebhook(webhookRequest(rawBody, sign(rawBody, 'other-secret'))).reason, 'invalid-signature');
+        assert.equal(gateway.verifyWebhook(webhookRequest(rawBody, 'abc')).reason, 'invalid-signature');
+        assert.equal(gateway.verifyWebhook(webhookRequest(rawBody)).reason, 'missing-signature');
+
+        // Re-serialising the parsed body can change its bytes, so only the raw body is accepted
+        const reformatted = JSON.stringify(JSON.parse(rawBody), null, 2);
+        assert.equal(gateway.verifyWebhook(webhookRequest(reformatted, sign(rawBody))).reason, 'invalid-signature');
+
+        const unconfigured = createRazorpayGateway({ ...KEYS, webhookSecret: '' }, testLogger);
+        assert.equal(unconfigured.verifyWebhook(webhookRequest(rawBody, sign(rawBody))).reason, 'secret-not-configured');
+    });
+
+    it('maps a paid link to a completed payment in rupees', () => {
+        assert.deepEqual(parseWebhookPayload(linkEvent('payment_link.paid', { amount: 1180050 })), {
+            type: 'payment',
+            paymentRequestId: 'plink_TEST1',
+            paymentId: 'pay_TEST1',
+            status: 'completed',
+            amount: 11800.5,
+            gatewayStatus: 'payment_link.paid',
+            dedupeKey: 'plink_TEST1:payment_link.paid'
+        });
+    });
+
+    it('maps a cancelled link to a failed payment and leaves other events pending', () => {
+        const cancelled = parseWebhookPayload(linkEvent('payment_link.cancelled', { linkStatus: 'cancelled' }));
+        assert.equal(cancelled.status, 'failed');
+        assert.equal(cancelled.dedupeKey, 'plink_TEST1:payment_link.cancelled');
+
+        const partlyPaid = parseWebhookPayload(linkEvent('payment_link.partially_paid', { linkStatus: 'partially_paid' }));
+        assert.equal(partlyPaid.status, null);
+
+        // payment.* events carry no link, so they never change an order on their own
+        const captured = parseWebhookPayload({ event: 'payment.captured', payload: { payment: { entity: { id: 'pay_TEST2', amount: 99900 } } } });
+        assert.equal(captured.status, null);
+        assert.equal(captured.paymentRequestId, null);
+        assert.equal(captured.amount, 999);
+        assert.equal(captured.dedupeKey, 'pay_TEST2:payment.captured');
+    });
+
+    it('maps refund events to refund updates', () => {
+        assert.deepEqual(parseWebhookPayload(refundEvent('refund.processed')), {
+            type: 'refund',
+            paymentId: 'pay_TEST1',
+            gatewayRefundId: 'rfnd_TEST1',
+            status: 'processed',
+            gatewayStatus: 'refund.processed',
+            dedupeKey: 'refund:rfnd_TEST1:refund.processed'
+        });
+        assert.equal(parseWebhookPayload(refundEvent('refund.failed', { status: 'failed' })).status, 'failed');
+        assert.equal(parseWebhookPayload(refundEvent('refund.created', { status: 'pending' })).status, 'pending');
+    });
+
+    it('reads the payment link from the checkout redirect', () => {
+        assert.deepEqual(parseRedirectQuery({ razorpay_payment_id: 'pay_TEST1', razorpay_payment_link_id: 'plink_TEST1' }), {
+            paymentId: 'pay_TEST1',
+            paymentRequestId: 'plink_TEST1'
+        });
+        assert.equal(parseRedirectQuery({ payment_id: 'MOJO1', payment_request_id: 'REQ1' }), null);
+    });
+});
+
+describe('Razorpay API calls', () => {
+    const server = http.createServer();
+    const stub = createRazorpayStub();
+    let gateway;
+
+    before(async () => {
+        const stubUrl = await listen(server);
+        server.on('request', stub.app);
+        gateway = createRazorpayGateway({ ...KEYS, apiUrl: `${stubUrl}/v1/` }, testLogger);
+    });
+
+    after(() => server.close());
+
+    it('needs a key id and secret', () => {
+        assert.throws(() => createRazorpayGateway({ keyId: KEYS.keyId }, testLogger), /RAZORPAY_KEY_SECRET/);
+    });
+
+    it('creates a payment link for the amount in paise', async () => {
+        const link = await gateway.createPaymentRequest({
+            orderId: 'ZUDIO_RZP_1',
+            amount: 11800.5,
+            purpose: 'Zudio Franchise Registration',
+            customer: { name: 'Asha Rao', email: 'asha@example.com', phone: '9876543210' },
+            redirectUrl: 'http://localhost:3000/payment-success'
+        });
+        assert.deepEqual(link, { paymentRequestId: 'plink_1', longurl: 'https://rzp.io/i/plink_1', shorturl: 'https://rzp.io/i/plink_1' });
+
+        const call = stub.calls.find(entry => entry.path === '/v1/payment_links');
+        assert.equal(call.authorization, `Basic ${Buffer.from(`${KEYS.keyId}:${KEYS.keySecret}`).toString('base64')}`);
+        assert.equal(call.body.amount, 1180050);
+        assert.equal(call.body.currency, 'INR');
+        assert.equal(call.body.reference_id, 'ZUDIO_RZP_1');
+        assert.equal(call.body.customer.contact, '+919876543210');
+    });
+
+    it('verifies a paid link in rupees and picks its captured payment', async () => {
+        assert.equal((await gateway.verifyPayment({ paymentRequestId: 'plink_1' }, null)).status, 'pending');
+
+        stub.pay('plink_1', 'pay_CAPTURED');
+        assert.deepEqual(await gateway.verifyPayment({ paymentRequestId: 'plink_1' }, 'pay_DECLINED'), {
+            success: true,
+            status: 'completed',
+            amount: 11800.5,
+            paymentId: 'pay_CAPTURED'
+        });
+
+        const missing = await gateway.verifyPayment({ paymentRequestId: 'plink_404' }, 'pay_CAPTURED');
+        assert.equal(missing.success, false);
+    });
+
+    it('refunds in paise with our reason in the notes', async () => {
+        const refund = await gateway.createRefund({ orderId: 'ZUDIO_RZP_1', paymentId: 'pay_CAPTURED' }, { amount: 1000.25, reason: 'RFD', note: 'Paid twice' });
+        assert.deepEqual(refund, { gatewayRefundId: 'rfnd_1', status: 'processed' });
+
+        const call = stub.calls.find(entry => entry.path === '/v1/payments/pay_CAPTURED/refund');
+        assert.equal(call.body.amount, 100025);
+        assert.deepEqual(call.body.notes, { orderId: 'ZUDIO_RZP_1', reason: 'Duplicate or delayed payment', note: 'Paid twice' });
+    });
+
+    it('reports rejected credentials without the API response', async () => {
+        await assert.rejects(
+            gateway.createRefund({ orderId: 'ZUDIO_RZP_2', paymentId: 'pay_REVOKED' }, { amount: 10, reason: 'RFD' }),
+            { message: 'Invalid Razorpay credentials. Check your key id and secret.' }
+        );
+    });
+});
+
+describe('payments through Razorpay (live mode)', () => {
+    const server = http.createServer();
+    const stub = createRazorpayStub();
+    let app;
+
+    before(async () => {
+        const stubUrl = await listen(server);
+        server.on('request', stub.app);
+        ({ app } = await loadApp({
+            TEST_MODE: 'false',
+            PAYMENT_GATEWAY: 'razorpay',
+            RAZORPAY_KEY_ID: KEYS.keyId,
+            RAZORPAY_KEY_SECRET: KEYS.keySecret,
+            RAZORPAY_WEBHOOK_SECRET: KEYS.webhookSecret,
+            RAZORPAY_API_URL: `${stubUrl}/v1/`
+        }));
+    });
+
+    after(() => server.close());
+
+    function postWebhook(payload, signature) {
+        const rawBody = JSON.stringify(payload);
+        return request(app)
+            .post('/api/webhooks/razorpay')
+            .set('Content-Type', 'application/json')
+            .set('X-Razorpay-Signature', signature === undefined ? sign(rawBody) : signature)
+            .send(rawBody);
+    }
+
+    async function status(orderId) {
+        const res = await request(app).get(`/api/payment-status/${orderId}`).expect(200);
+        return res.body.data.status;
+    }
+
+    it('completes an order from a signed payment_link.paid webhook and ignores a tampered one', async () => {
+        const { body } = await createPayment(app, { email: 'razorpay@example.com' }).expect(201);
+        const order = body.data;
+        const linkCall = stub.calls.find(entry => entry.body && entry.body.reference_id === order.orderId);
+        assert.equal(linkCall.body.amount, Math.round(order.amount * 100));
+
+        const paid = linkEvent('payment_link.paid', { linkId: order.paymentRequestId, paymentId: 'pay_LIVE1', amount: linkCall.body.amount });
+        const forged = JSON.stringify({ ...paid, event: 'payment_link.cancelled' });
+        await postWebhook(paid, sign(forged)).expect(400);
+        assert.equal(await status(order.orderId), 'pending');
+
+        await postWebhook(paid).expect(200);
+        assert.equal(await status(order.orderId), 'completed');
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { parseOrigins, parseTrustProxy } = require('../lib/security');
+const { loadApp, customer, createPayment, signedWebhook, ADMIN } = require('./helpers');
+
+describe('security settings', () => {
+    it('parses the CORS allow-list into origins', () => {
+        assert.deepEqual(parseOrigins('https://zudio.example/, http://localhost:5173'), ['https://zudio.example', 'http://localhost:5173']);
+        assert.deepEqual(parseOrigins('*'), ['*']);
+        assert.throws(() => parseOrigins('zudio.example'), /Invalid CORS origin "zudio.example"/);
+        assert.throws(() => parseOrigins('ftp://zudio.example'), /Invalid CORS origin/);
+    });
+
+    it('parses TRUST_PROXY as Express expects it', () => {
+        assert.equal(parseTrustProxy(''), false);
+        assert.equal(parseTrustProxy('true'), true);
+        assert.equal(parseTrustProxy('1'), 1);
+        assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+    });
+});
+
+describe('security middleware', () => {
+    let app;
+    let order;
+
+    before(async () => {
+        ({ app } = await loadApp({
+            CORS_ORIGINS: 'https://zudio.example',
+            RATE_LIMIT_ENABLED: 'true',
+            RATE_LIMIT_MAX: '40',
+            RATE_LIMIT_PAYMENT_MAX: '2',
+            RATE_LIMIT_ENQUIRY_MAX: '1',
+            RATE_LIMIT_LOGIN_MAX: '2',
+            RATE_LIMIT_WEBHOOK_MAX: '3'
+        }));
+    });
+
+    it('serves only the public directory', async () => {
+        for (const file of ['/app.js', '/server.js', '/package.json', '/.env', '/lib/security.js', '/public/admin.html']) {
+            await request(app).get(file).expect(404);
+        }
+        const script = await request(app).get('/js/instamojo.js').expect(200);
+        assert.match(script.headers['content-type'], /javascript/);
+        await request(app).get('/admin.html').expect(200);
+    });
+
+    it('sends a Content-Security-Policy that only runs scripts from this origin', async () => {
+        const res = await request(app).get('/').expect(200);
+        const csp = res.headers['content-security-policy'];
+        assert.match(csp, /script-src 'self' 'nonce-[A-Za-z0-9+/=]+'/);
+        assert.match(csp, /script-src-attr 'none'/);
+        assert.match(csp, /img-src 'self' data: https:\/\/images\.unsplash\.com/);
+        assert.match(csp, /frame-ancestors 'none'/);
+        assert.equal(res.headers['x-content-type-options'], 'nosniff');
+        assert.doesNotMatch(res.text, /<script>|onclick=/);
+    });
+
+    it('renders the test checkout script with the request nonce', async () => {
+        order = (await createPayment(app).expect(201)).body.data;
+        const checkout = new URL(order.longurl);
+        const res = await request(app).get(checkout.pathname + checkout.search).expect(200);
+        const nonce = res.headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+        assert.ok(res.text.includes(`<script nonce="${nonce}">`));
+        assert.doesNotMatch(res.text, /onclick=/);
+    });
+
+    it('answers CORS requests only from allowed origins', async () => {
+        const allowed = await request(app).get('/api/packages').set('Origin', 'https://zudio.example').expect(200);
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://zudio.example');
+        assert.equal(allowed.headers['access-control-allow-credentials'], undefined);
+
+        const other = await request(app).get('/api/packages').set('Origin', 'https://evil.example').expect(200);
+        assert.equal(other.headers['access-control-allow-origin'], undefined);
+
+        const preflight = await request(app)
+            .options('/api/admin/payments')
+            .set('Origin', 'https://zudio.example')
+            .set('Access-Control-Request-Method', 'PATCH')
+            .expect(204);
+        assert.match(preflight.headers['access-control-allow-methods'], /PATCH/);
+    });
+
+    it('limits payment requests more tightly than the rest of the API', async () => {
+        await createPayment(app).expect(201);
+        const limited = await createPayment(app).expect(429);
+        assert.deepEqual(limited.body, { success: false, message: 'Too many requests, please try again later.' });
+        assert.ok(limited.headers.ratelimit);
+
+        await request(app).get('/api/packages').expect(200);
+    });
+
+    it('limits enquiries', async () => {
+        const enquiry = { type: 'enquiry', data: { ...customer(), investment: '30-50', message: 'Interested in a Pune store' } };
+        await request(app).post('/api/send-notification').send(enquiry).expect(201);
+        await request(app).post('/api/send-notification').send(enquiry).expect(429);
+    });
+
+    it('counts only failed admin logins', async () => {
+        await request(app).post('/api/admin/login').send(ADMIN).expect(200);
+        await request(app).post('/api/admin/login').send({ ...ADMIN, password: 'wrong' }).expect(401);
+        await request(app).post('/api/admin/login').send({ ...ADMIN, password: 'wrong' }).expect(401);
+        await request(app).post('/api/admin/login').send(ADMIN).expect(429);
+    });
+
+    it('counts gateway webhooks apart from the rest of the API', async () => {
+        let status = 200;
+        for (let i = 0; i < 40 && status !== 429; i += 1) {
+            ({ status } = await request(app).get('/api/packages'));
+        }
+        assert.equal(status, 429);
+
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(order)).expect(200);
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(order)).expect(200);
+        await request(app).post('/api/webhook').send(signedWebhook(order)).expect(200);
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(order)).expect(429);
+    });
+});
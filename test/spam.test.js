@@ -0,0 +1,155 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createFormTokens, isDisposableEmail, parseDomainList } = require('../lib/antiSpam');
+const { TOKEN_SECRET, loadApp, customer, signedWebhook } = require('./helpers');
+
+describe('spam checks', () => {
+    const tokens = createFormTokens({ secret: 'secret', minFillMs: 3000, ttlMs: 60000 });
+
+    it('accepts a form token only between the minimum fill time and its expiry', () => {
+        const now = Date.now();
+        const token = tokens.issue(now);
+        assert.equal(tokens.check(token, now + 1000), 'too-fast');
+        assert.equal(tokens.check(token, now + 5000), null);
+        assert.equal(tokens.check(token, now + 61000), 'expired-token');
+    });
+
+    it('redeems each token once until it expires', () => {
+        const now = Date.now();
+        const token = tokens.issue(now - 5000);
+        assert.equal(tokens.redeem(token, now), null);
+        assert.equal(tokens.redeem(token, now + 1000), 'reused-token');
+        assert.equal(tokens.redeem(token, now + 60000), 'expired-token');
+        assert.equal(tokens.redeem(tokens.issue(now - 5000), now), null);
+        // A token turned away as too fast is still usable later
+        const early = tokens.issue(now);
+        assert.equal(tokens.redeem(early, now + 1000), 'too-fast');
+        assert.equal(tokens.redeem(early, now + 5000), null);
+    });
+
+    it('rejects missing, malformed and forged tokens', () => {
+        const token = tokens.issue(Date.now() - 5000);
+        const [issuedAt, nonce, signature] = token.split('.');
+        assert.equal(tokens.check(undefined), 'missing-token');
+        assert.equal(tokens.check('not-a-token'), 'invalid-token');
+        assert.equal(tokens.check(`${Number(issuedAt) - 1000}.${nonce}.${signature}`), 'invalid-token');
+        assert.equal(tokens.check(createFormTokens({ secret: 'other' }).issue(Date.now() - 5000)), 'invalid-token');
+    });
+
+    it('recognises disposable email domains and their subdomains', () => {
+        assert.equal(isDisposableEmail('bot@mailinator.com'), true);
+        assert.equal(isDisposableEmail('bot@eu.Mailinator.com'), true);
+        assert.equal(isDisposableEmail('asha@example.com'), false);
+        assert.equal(isDisposableEmail('asha@notmailinator.com'), false);
+        assert.equal(isDisposableEmail('asha@spam.example', parseDomainList(' @Spam.example, junk.example ')), true);
+    });
+});
+
+describe('form spam protection', () => {
+    let app;
+    const formTokens = createFormTokens({ secret: TOKEN_SECRET });
+
+    before(async () => {
+        ({ app } = await loadApp({ SPAM_PROTECTION_ENABLED: 'true', BLOCKED_EMAIL_DOMAINS: 'spam.example' }));
+    });
+
+    // A token from a page that was opened a minute ago
+    function formToken() {
+        return formTokens.issue(Date.now() - 60000);
+    }
+
+    function sendEnquiry(overrides = {}, fields = { formToken: formToken() }) {
+        return request(app)
+            .post('/api/send-notification')
+            .send({ type: 'enquiry', data: { ...customer(), investment: '30-50', ...overrides }, ...fields });
+    }
+
+    function createPayment(overrides = {}, fields = { formToken: formToken() }) {
+        return request(app)
+            .post('/api/create-payment')
+            .send({ packageId: 'basic', customerData: customer(overrides), ...fields });
+    }
+
+    it('renders a fresh form token into the landing pages', async () => {
+        for (const page of ['/', '/instamojo.html', '/claude.html']) {
+            const res = await request(app).get(page).expect(200);
+            assert.equal(res.headers['cache-control'], 'no-store');
+            assert.doesNotMatch(res.text, /\{\{FORM_TOKEN\}\}/);
+            assert.match(res.text, /<meta name="form-token" content="\d+\.[\w-]+\.[\w-]+">/);
+            assert.match(res.text, /name="website" tabindex="-1"/);
+        }
+    });
+
+    it('turns away submissions made straight after the page loads', async () => {
+        const page = await request(app).get('/').expect(200);
+        const pageToken = /name="form-token" content="([^"]+)"/.exec(page.text)[1];
+        const res = await sendEnquiry({ email: 'quick@example.com' }, { formToken: pageToken }).expect(400);
+        assert.equal(res.body.message, 'Submission rejected');
+        assert.match(res.body.errors.form, /take a moment/);
+    });
+
+    it('turns away a replayed form token and hands out a fresh one', async () => {
+        const token = formToken();
+        const first = await sendEnquiry({ email: 'once@example.com', phone: '9555555555' }, { formToken: token }).expect(201);
+        const replay = await sendEnquiry({ email: 'twice@example.com', phone: '9666666666' }, { formToken: token }).expect(400);
+        assert.match(replay.body.errors.form, /already sent/);
+
+        // The fresh tokens are good once the minimum fill time has passed
+        for (const res of [first, replay]) {
+            const next = res.headers['x-form-token'];
+            assert.ok(next && next !== token);
+            assert.equal(formTokens.check(next, Date.now() + 5000), null);
+        }
+    });
+
+    it('requires a form token', async () => {
+        const res = await createPayment({ email: 'notoken@example.com' }, {}).expect(400);
+        assert.match(res.body.errors.form, /reload the page/);
+        await sendEnquiry({ email: 'forged@example.com' }, { formToken: '1.2.3' }).expect(400);
+    });
+
+    it('turns away submissions that fill in the honeypot', async () => {
+        const res = await sendEnquiry({ email: 'bot@example.com' }, { formToken: formToken(), website: 'http://spam.example' }).expect(400);
+        assert.equal(res.body.errors.form, 'Your submission could not be accepted');
+    });
+
+    it('rejects disposable and blocked email domains as a field error', async () => {
+        const disposable = await createPayment({ email: 'bot@yopmail.com', phone: '9000000001' }).expect(400);
+        assert.match(disposable.body.errors.email, /permanent email address/);
+        const blocked = await sendEnquiry({ email: 'bot@spam.example', phone: '9000000002' }).expect(400);
+        assert.match(blocked.body.errors.email, /permanent email address/);
+    });
+
+    it('refuses a second enquiry from the same email or phone', async () => {
+        await sendEnquiry({ email: 'repeat@example.com', phone: '9111111111' }).expect(201);
+
+        const sameEmail = await sendEnquiry({ email: 'Repeat@example.com', phone: '9222222222' }).expect(409);
+        assert.deepEqual(sameEmail.body, {
+            success: false,
+            message: 'We already received an enquiry from this email or phone number. Our franchise team will contact you soon.'
+        });
+        await sendEnquiry({ email: 'other@example.com', phone: '+91 91111 11111' }).expect(409);
+        await sendEnquiry({ email: 'someone.else@example.com', phone: '9333333333' }).expect(201);
+    });
+
+    it('refuses a second payment while the first is unpaid, but not after it failed', async () => {
+        const { body } = await createPayment({ email: 'payer@example.com', phone: '9444444444' }).expect(201);
+        const duplicate = await createPayment({ email: 'payer@example.com', phone: '9444444444' }).expect(409);
+        assert.match(duplicate.body.message, /link we emailed you/);
+
+        await request(app).post('/api/webhooks/mock').send(signedWebhook(body.data, { status: 'Failed', paymentId: 'MOJO_SPAM_1' })).expect(200);
+        await createPayment({ email: 'payer@example.com', phone: '9444444444' }).expect(201);
+    });
+
+    it('counts blocked submissions by form and reason', async () => {
+        const { text } = await request(app).get('/metrics').expect(200);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="enquiry",reason="too-fast"\} 1/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="payment",reason="missing-token"\} 1/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="enquiry",reason="honeypot"\} 1/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="enquiry",reason="reused-token"\} 1/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="payment",reason="disposable-email"\} 1/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="enquiry",reason="duplicate"\} 2/);
+        assert.match(text, /zudio_form_submissions_blocked_total\{form="payment",reason="duplicate"\} 1/);
+    });
+});